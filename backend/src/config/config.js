@@ -20,7 +20,9 @@ const config = {
   
   // Audio
   defaultBitrate: parseInt(process.env.DEFAULT_BITRATE || '256', 10),
-  maxDriftSeconds: parseInt(process.env.MAX_DRIFT_SECONDS || '10', 10),
+  maxDriftSeconds: parseFloat(process.env.MAX_DRIFT_SECONDS || '2'), // Hard seek beyond this drift
+  driftToleranceSeconds: parseFloat(process.env.DRIFT_TOLERANCE_SECONDS || '0.05'), // Ignore drift below this, nudge playback rate above it
+  outOfSyncSeconds: parseFloat(process.env.OUT_OF_SYNC_SECONDS || '0.5'), // Presence flags clients drifting further than this
   positionCheckInterval: parseInt(process.env.POSITION_CHECK_INTERVAL || '3000', 10), // Check every 3 seconds for sync and autoplay
   
   // WebSocket
@@ -28,7 +30,26 @@ const config = {
   wsPingTimeout: parseInt(process.env.WS_PING_TIMEOUT || '60000', 10),
   
   // Rooms
-  roomCount: parseInt(process.env.ROOM_COUNT || '5', 10),
+  roomCount: parseInt(process.env.ROOM_COUNT || '5', 10), // Rooms seeded on first start; managed at runtime afterwards
+  
+  // Roles
+  gmCode: process.env.GM_CODE || null, // Code required to join a room as GM (unset = anyone may)
+  defaultRole: process.env.DEFAULT_ROLE === 'gm' ? 'gm' : 'listener', // Role of connections that don't ask for one
+  
+  // Authentication (enabled when an access code is set or any user account exists)
+  accessCode: process.env.ACCESS_CODE || null, // Shared code that logs anyone in
+  adminUsername: process.env.ADMIN_USERNAME || null, // Admin account created on startup if it doesn't exist
+  adminPassword: process.env.ADMIN_PASSWORD || null,
+  sessionTtlHours: parseInt(process.env.SESSION_TTL_HOURS || '168', 10), // Login lifetime, 7 days default
+  
+  // OSC control (UDP listener for control surfaces, disabled unless a port is set)
+  oscPort: parseInt(process.env.OSC_PORT || '0', 10),
+  oscHost: process.env.OSC_HOST || '127.0.0.1',
+  oscAllowedHosts: (process.env.OSC_ALLOWED_HOSTS || '127.0.0.1,::1').split(',').map(host => host.trim()).filter(Boolean), // Sender addresses accepted, * for any
+  oscFeedbackPort: parseInt(process.env.OSC_FEEDBACK_PORT || '0', 10), // Port senders listen on for feedback (0 = the port they send from)
+  oscFeedbackTargets: (process.env.OSC_FEEDBACK_TARGETS || '').split(',').map(target => target.trim()).filter(Boolean), // host:port list that always gets feedback
+  oscMappingFile: process.env.OSC_MAPPING_FILE || null, // JSON file extending the default address mapping
+  oscDefaultRoom: process.env.OSC_DEFAULT_ROOM || '1', // Room (ID, number or name) for addresses without one, e.g. /scene/recall
   
   // Scanning
   scanOnStartup: process.env.SCAN_ON_STARTUP === 'true',
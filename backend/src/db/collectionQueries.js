@@ -103,7 +103,7 @@ function getCollection(db, collectionId, orderBy = 'title', orderDir = 'asc', se
 /**
  * Get all collections of a specific type
  * @param {Object} db - Database instance
- * @param {string} type - Collection type ('library', 'playlist', 'folder')
+ * @param {string} type - Collection type ('library', 'playlist', 'folder', 'sfx')
  * @param {string} parentId - Optional parent ID for hierarchical collections
  * @returns {Array} Array of collections
  */
@@ -234,7 +234,8 @@ function updateCollection(db, collectionId, updates) {
 function deleteCollection(db, collectionId) {
   try {
     // Protected collections cannot be deleted
-    if (collectionId === 'library' || collectionId === 'current-playlist') {
+    // Room playlists are removed together with their room
+    if (collectionId === 'library' || collectionId === 'current-playlist' || collectionId.startsWith('current-playlist-room-')) {
       throw new Error('Cannot delete protected collection');
     }
 
@@ -575,6 +576,7 @@ function getCollectionTracks(db, collectionId, limit = 50, offset = 0) {
       tracks = db.prepare(`
         SELECT 
           t.*,
+          ct.id AS entry_id,
           ct.position,
           ct.added_at
         FROM collection_tracks ct
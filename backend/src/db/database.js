@@ -89,23 +89,266 @@ async function runMigrations() {
     }
   }
   
-  // Check if room-specific playlists exist in track_collections (for multi-room support)
-  const collectionsTableExists = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='track_collections'").all();
-  if (collectionsTableExists.length > 0) {
-    for (let i = 1; i <= 5; i++) {
-      const roomPlaylistId = `current-playlist-room-${i}`;
-      const roomPlaylistExists = db.prepare("SELECT id FROM track_collections WHERE id = ?").get(roomPlaylistId);
-      
-      if (!roomPlaylistExists) {
-        logger.info(`Creating room ${i} playlist collection`);
-        db.prepare(`
-          INSERT INTO track_collections (id, name, type, parent_id, sort_order, is_ordered, created_at, updated_at)
-          VALUES (?, ?, 'playlist', NULL, 0, 1, strftime('%s', 'now'), strftime('%s', 'now'))
-        `).run(roomPlaylistId, `Room ${i} Playlist`);
-      }
+  // Check if rooms table exists (rooms are created, renamed and deleted at runtime)
+  // Room playlist collections are created by the room state manager once collections exist
+  const roomsTable = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='rooms'").all();
+  if (roomsTable.length === 0) {
+    logger.info('Creating rooms table');
+    db.exec(`
+      CREATE TABLE rooms (
+        id TEXT PRIMARY KEY,
+        number INTEGER NOT NULL UNIQUE,
+        name TEXT NOT NULL,
+        playlist_collection_id TEXT NOT NULL,
+        join_code TEXT,
+        created_at INTEGER NOT NULL
+      )
+    `);
+    logger.info('Rooms table created');
+  } else {
+    // Check if join_code column exists in rooms (optional code needed to join the room)
+    const roomsInfo = db.prepare("PRAGMA table_info(rooms)").all();
+    const hasJoinCode = roomsInfo.some(col => col.name === 'join_code');
+    
+    if (!hasJoinCode) {
+      logger.info('Adding join_code column to rooms table');
+      db.exec('ALTER TABLE rooms ADD COLUMN join_code TEXT');
+    }
+  }
+  
+  // Check if room_states table exists (persisted room playback state)
+  const roomStatesTable = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='room_states'").all();
+  if (roomStatesTable.length === 0) {
+    logger.info('Creating room_states table');
+    db.exec(`
+      CREATE TABLE room_states (
+        room_id TEXT PRIMARY KEY,
+        current_track_id TEXT,
+        playlist_index INTEGER,
+        playback_state TEXT NOT NULL DEFAULT 'stopped',
+        position REAL NOT NULL DEFAULT 0,
+        volume REAL NOT NULL DEFAULT 0.7,
+        repeat_mode INTEGER NOT NULL DEFAULT 0,
+        loop_playlist INTEGER NOT NULL DEFAULT 0,
+        loop_start REAL,
+        loop_end REAL,
+        channels TEXT,
+        crossfade_duration REAL NOT NULL DEFAULT 0,
+        crossfade_manual INTEGER NOT NULL DEFAULT 0,
+        shuffle_mode INTEGER NOT NULL DEFAULT 0,
+        shuffle_state TEXT,
+        ducking TEXT,
+        updated_at INTEGER NOT NULL,
+        FOREIGN KEY (current_track_id) REFERENCES tracks(id) ON DELETE SET NULL
+      )
+    `);
+    logger.info('Room states table created');
+  } else {
+    // Check if channels column exists in room_states (layered channel state as JSON)
+    const roomStatesInfo = db.prepare("PRAGMA table_info(room_states)").all();
+    const hasChannels = roomStatesInfo.some(col => col.name === 'channels');
+    
+    if (!hasChannels) {
+      logger.info('Adding channels column to room_states table');
+      db.exec('ALTER TABLE room_states ADD COLUMN channels TEXT');
+    }
+    
+    // Check if crossfade columns exist in room_states
+    const hasCrossfade = roomStatesInfo.some(col => col.name === 'crossfade_duration');
+    
+    if (!hasCrossfade) {
+      logger.info('Adding crossfade columns to room_states table');
+      db.exec(`
+        ALTER TABLE room_states ADD COLUMN crossfade_duration REAL NOT NULL DEFAULT 0;
+        ALTER TABLE room_states ADD COLUMN crossfade_manual INTEGER NOT NULL DEFAULT 0;
+      `);
+    }
+    
+    // Check if shuffle columns exist in room_states
+    const hasShuffle = roomStatesInfo.some(col => col.name === 'shuffle_mode');
+    
+    if (!hasShuffle) {
+      logger.info('Adding shuffle columns to room_states table');
+      db.exec(`
+        ALTER TABLE room_states ADD COLUMN shuffle_mode INTEGER NOT NULL DEFAULT 0;
+        ALTER TABLE room_states ADD COLUMN shuffle_state TEXT;
+      `);
+    }
+    
+    // Check if ducking column exists in room_states (ducking settings as JSON)
+    const hasDucking = roomStatesInfo.some(col => col.name === 'ducking');
+    
+    if (!hasDucking) {
+      logger.info('Adding ducking column to room_states table');
+      db.exec('ALTER TABLE room_states ADD COLUMN ducking TEXT');
     }
   }
   
+  // Check if scenes table exists (named snapshots of a room's playlist and playback setup)
+  const scenesTable = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='scenes'").all();
+  if (scenesTable.length === 0) {
+    logger.info('Creating scenes table');
+    db.exec(`
+      CREATE TABLE scenes (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        track_ids TEXT NOT NULL,
+        state TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      )
+    `);
+    logger.info('Scenes table created');
+  }
+  
+  // Check if users table exists (accounts that can log in)
+  const usersTable = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='users'").all();
+  if (usersTable.length === 0) {
+    logger.info('Creating users table');
+    db.exec(`
+      CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        password_hash TEXT NOT NULL,
+        is_admin INTEGER NOT NULL DEFAULT 0,
+        created_at INTEGER NOT NULL
+      )
+    `);
+    logger.info('Users table created');
+  }
+  
+  // Check if sessions table exists (login tokens, stored hashed)
+  const sessionsTable = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='sessions'").all();
+  if (sessionsTable.length === 0) {
+    logger.info('Creating sessions table');
+    db.exec(`
+      CREATE TABLE sessions (
+        token_hash TEXT PRIMARY KEY,
+        user_id TEXT,
+        expires_at INTEGER NOT NULL,
+        created_at INTEGER NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+      CREATE INDEX idx_sessions_expires_at ON sessions(expires_at);
+    `);
+    logger.info('Sessions table created');
+  }
+  
+  // Check if api_keys table exists (keys for the automation API, stored hashed)
+  const apiKeysTable = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='api_keys'").all();
+  if (apiKeysTable.length === 0) {
+    logger.info('Creating api_keys table');
+    db.exec(`
+      CREATE TABLE api_keys (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        key_prefix TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        last_used_at INTEGER
+      )
+    `);
+    logger.info('API keys table created');
+  }
+  
+  // Check if scheduled_actions table exists (pending timed actions per room)
+  const scheduledActionsTable = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='scheduled_actions'").all();
+  if (scheduledActionsTable.length === 0) {
+    logger.info('Creating scheduled_actions table');
+    db.exec(`
+      CREATE TABLE scheduled_actions (
+        id TEXT PRIMARY KEY,
+        room_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        params TEXT NOT NULL DEFAULT '{}',
+        run_at INTEGER,
+        created_at INTEGER NOT NULL,
+        FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE
+      );
+      CREATE INDEX idx_scheduled_actions_room_id ON scheduled_actions(room_id);
+    `);
+    logger.info('Scheduled actions table created');
+  }
+  
+  // Check if play_history table exists (one row per track played in a room)
+  const playHistoryTable = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='play_history'").all();
+  if (playHistoryTable.length === 0) {
+    logger.info('Creating play_history table');
+    db.exec(`
+      CREATE TABLE play_history (
+        id TEXT PRIMARY KEY,
+        room_id TEXT NOT NULL,
+        track_id TEXT,
+        title TEXT NOT NULL,
+        artist TEXT,
+        playlist_index INTEGER,
+        started_at INTEGER NOT NULL,
+        ended_at INTEGER,
+        listened_duration REAL NOT NULL DEFAULT 0,
+        end_reason TEXT,
+        FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE
+      );
+      CREATE INDEX idx_play_history_room_started ON play_history(room_id, started_at);
+    `);
+    logger.info('Play history table created');
+  }
+  
+  // Check if adaptive cue tables exist (versions of one piece at different intensities)
+  const adaptiveCuesTable = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='adaptive_cues'").all();
+  if (adaptiveCuesTable.length === 0) {
+    logger.info('Creating adaptive cue tables');
+    db.exec(`
+      CREATE TABLE adaptive_cues (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+      CREATE TABLE adaptive_cue_variants (
+        cue_id TEXT NOT NULL,
+        intensity INTEGER NOT NULL,
+        track_id TEXT NOT NULL,
+        label TEXT,
+        PRIMARY KEY (cue_id, intensity),
+        FOREIGN KEY (cue_id) REFERENCES adaptive_cues(id) ON DELETE CASCADE,
+        FOREIGN KEY (track_id) REFERENCES tracks(id) ON DELETE CASCADE
+      );
+      CREATE INDEX idx_adaptive_cue_variants_track ON adaptive_cue_variants(track_id);
+    `);
+    logger.info('Adaptive cue tables created');
+  }
+  
+  // Check if track_collections allows the 'sfx' type (soundboards); SQLite can't alter a
+  // CHECK constraint, so the table is rebuilt with foreign keys off to keep collection_tracks
+  const collectionsTable = db.prepare("SELECT sql FROM sqlite_master WHERE type='table' AND name='track_collections'").get();
+  if (collectionsTable && !collectionsTable.sql.includes("'sfx'")) {
+    logger.info('Adding sfx type to track_collections table');
+    db.pragma('foreign_keys = OFF');
+    try {
+      db.transaction(() => {
+        db.exec(`
+          CREATE TABLE track_collections_new (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            type TEXT NOT NULL CHECK(type IN ('library', 'playlist', 'folder', 'sfx')),
+            parent_id TEXT,
+            sort_order INTEGER DEFAULT 0,
+            is_ordered INTEGER DEFAULT 1,
+            created_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL,
+            FOREIGN KEY (parent_id) REFERENCES track_collections(id) ON DELETE CASCADE
+          );
+          INSERT INTO track_collections_new SELECT id, name, type, parent_id, sort_order, is_ordered, created_at, updated_at FROM track_collections;
+          DROP TABLE track_collections;
+          ALTER TABLE track_collections_new RENAME TO track_collections;
+        `);
+      })();
+    } finally {
+      db.pragma('foreign_keys = ON');
+    }
+    logger.info('Track collections table rebuilt');
+  }
+  
   logger.info('Database migrations completed');
 }
 
@@ -205,6 +448,14 @@ export const trackQueries = {
     return stmt.get(id);
   },
 
+  /**
+   * Get tracks with an exact title (case-insensitive)
+   */
+  getByTitle: (title) => {
+    const stmt = getDb().prepare('SELECT * FROM tracks WHERE title = ? COLLATE NOCASE');
+    return stmt.all(title);
+  },
+
   /**
    * Get track by filepath
    */
@@ -687,6 +938,542 @@ export const downloadJobQueries = {
   },
 };
 
+// Room operations
+export const roomQueries = {
+  /**
+   * Insert a new room
+   */
+  insert: (room) => {
+    const stmt = getDb().prepare(`
+      INSERT INTO rooms (id, number, name, playlist_collection_id, created_at)
+      VALUES (@id, @number, @name, @playlist_collection_id, @created_at)
+    `);
+    return stmt.run(room);
+  },
+
+  /**
+   * Get room by ID
+   */
+  getById: (id) => {
+    const stmt = getDb().prepare('SELECT * FROM rooms WHERE id = ?');
+    return stmt.get(id);
+  },
+
+  /**
+   * Get all rooms ordered by number
+   */
+  getAll: () => {
+    const stmt = getDb().prepare('SELECT * FROM rooms ORDER BY number ASC');
+    return stmt.all();
+  },
+
+  /**
+   * Get the highest room number in use
+   */
+  getMaxNumber: () => {
+    const stmt = getDb().prepare('SELECT COALESCE(MAX(number), 0) as max_number FROM rooms');
+    return stmt.get().max_number;
+  },
+
+  /**
+   * Rename a room
+   */
+  updateName: (id, name) => {
+    const stmt = getDb().prepare('UPDATE rooms SET name = ? WHERE id = ?');
+    return stmt.run(name, id);
+  },
+
+  /**
+   * Set or clear the code needed to join a room
+   */
+  updateJoinCode: (id, joinCode) => {
+    const stmt = getDb().prepare('UPDATE rooms SET join_code = ? WHERE id = ?');
+    return stmt.run(joinCode, id);
+  },
+
+  /**
+   * Delete a room together with its saved state and playlist collection
+   */
+  delete: (id) => {
+    const db = getDb();
+    const deleteRoom = db.transaction(() => {
+      const room = db.prepare('SELECT * FROM rooms WHERE id = ?').get(id);
+      if (!room) {
+        return;
+      }
+      db.prepare('DELETE FROM room_states WHERE room_id = ?').run(id);
+      db.prepare('DELETE FROM track_collections WHERE id = ?').run(room.playlist_collection_id);
+      db.prepare('DELETE FROM rooms WHERE id = ?').run(id);
+    });
+    return deleteRoom();
+  },
+};
+
+// Room state operations (persisted playback state per room)
+export const roomStateQueries = {
+  /**
+   * Insert or update the saved state of a room
+   */
+  upsert: (state) => {
+    const stmt = getDb().prepare(`
+      INSERT INTO room_states (
+        room_id, current_track_id, playlist_index, playback_state, position,
+        volume, repeat_mode, loop_playlist, loop_start, loop_end, channels,
+        crossfade_duration, crossfade_manual, shuffle_mode, shuffle_state, ducking, updated_at
+      ) VALUES (
+        @room_id, @current_track_id, @playlist_index, @playback_state, @position,
+        @volume, @repeat_mode, @loop_playlist, @loop_start, @loop_end, @channels,
+        @crossfade_duration, @crossfade_manual, @shuffle_mode, @shuffle_state, @ducking, @updated_at
+      )
+      ON CONFLICT(room_id) DO UPDATE SET
+        current_track_id = excluded.current_track_id,
+        playlist_index = excluded.playlist_index,
+        playback_state = excluded.playback_state,
+        position = excluded.position,
+        volume = excluded.volume,
+        repeat_mode = excluded.repeat_mode,
+        loop_playlist = excluded.loop_playlist,
+        loop_start = excluded.loop_start,
+        loop_end = excluded.loop_end,
+        channels = excluded.channels,
+        crossfade_duration = excluded.crossfade_duration,
+        crossfade_manual = excluded.crossfade_manual,
+        shuffle_mode = excluded.shuffle_mode,
+        shuffle_state = excluded.shuffle_state,
+        ducking = excluded.ducking,
+        updated_at = excluded.updated_at
+    `);
+    return stmt.run(state);
+  },
+
+  /**
+   * Get saved state for a room
+   */
+  getByRoomId: (roomId) => {
+    const stmt = getDb().prepare('SELECT * FROM room_states WHERE room_id = ?');
+    return stmt.get(roomId);
+  },
+
+  /**
+   * Get saved state for all rooms
+   */
+  getAll: () => {
+    const stmt = getDb().prepare('SELECT * FROM room_states');
+    return stmt.all();
+  },
+
+  /**
+   * Delete saved state for a room
+   */
+  delete: (roomId) => {
+    const stmt = getDb().prepare('DELETE FROM room_states WHERE room_id = ?');
+    return stmt.run(roomId);
+  },
+};
+
+// Scene operations (saved room setups)
+export const sceneQueries = {
+  /**
+   * Insert a new scene
+   */
+  insert: (scene) => {
+    const stmt = getDb().prepare(`
+      INSERT INTO scenes (id, name, track_ids, state, created_at, updated_at)
+      VALUES (@id, @name, @track_ids, @state, @created_at, @updated_at)
+    `);
+    return stmt.run(scene);
+  },
+
+  /**
+   * Get scene by ID
+   */
+  getById: (id) => {
+    const stmt = getDb().prepare('SELECT * FROM scenes WHERE id = ?');
+    return stmt.get(id);
+  },
+
+  /**
+   * Get all scenes ordered by name
+   */
+  getAll: () => {
+    const stmt = getDb().prepare('SELECT * FROM scenes ORDER BY name COLLATE NOCASE ASC');
+    return stmt.all();
+  },
+
+  /**
+   * Update scene fields
+   */
+  update: (id, updates) => {
+    const fields = Object.keys(updates).map(key => `${key} = @${key}`).join(', ');
+    const stmt = getDb().prepare(`
+      UPDATE scenes 
+      SET ${fields}, updated_at = @updated_at
+      WHERE id = @id
+    `);
+    return stmt.run({ id, ...updates, updated_at: Date.now() });
+  },
+
+  /**
+   * Delete a scene
+   */
+  delete: (id) => {
+    const stmt = getDb().prepare('DELETE FROM scenes WHERE id = ?');
+    return stmt.run(id);
+  },
+};
+
+// User operations (login accounts)
+export const userQueries = {
+  /**
+   * Insert a new user
+   */
+  insert: (user) => {
+    const stmt = getDb().prepare(`
+      INSERT INTO users (id, username, password_hash, is_admin, created_at)
+      VALUES (@id, @username, @password_hash, @is_admin, @created_at)
+    `);
+    return stmt.run(user);
+  },
+
+  /**
+   * Get user by ID
+   */
+  getById: (id) => {
+    const stmt = getDb().prepare('SELECT * FROM users WHERE id = ?');
+    return stmt.get(id);
+  },
+
+  /**
+   * Get user by username (case-insensitive)
+   */
+  getByUsername: (username) => {
+    const stmt = getDb().prepare('SELECT * FROM users WHERE username = ?');
+    return stmt.get(username);
+  },
+
+  /**
+   * Get all users ordered by username
+   */
+  getAll: () => {
+    const stmt = getDb().prepare('SELECT * FROM users ORDER BY username ASC');
+    return stmt.all();
+  },
+
+  /**
+   * Count users
+   */
+  count: () => {
+    const stmt = getDb().prepare('SELECT COUNT(*) as count FROM users');
+    return stmt.get().count;
+  },
+
+  /**
+   * Delete a user (their sessions are removed by cascade)
+   */
+  delete: (id) => {
+    const stmt = getDb().prepare('DELETE FROM users WHERE id = ?');
+    return stmt.run(id);
+  },
+};
+
+// Session operations (login tokens)
+export const sessionQueries = {
+  /**
+   * Insert a new session
+   */
+  insert: (session) => {
+    const stmt = getDb().prepare(`
+      INSERT INTO sessions (token_hash, user_id, expires_at, created_at)
+      VALUES (@token_hash, @user_id, @expires_at, @created_at)
+    `);
+    return stmt.run(session);
+  },
+
+  /**
+   * Get session by token hash
+   */
+  getByTokenHash: (tokenHash) => {
+    const stmt = getDb().prepare('SELECT * FROM sessions WHERE token_hash = ?');
+    return stmt.get(tokenHash);
+  },
+
+  /**
+   * Delete a session
+   */
+  delete: (tokenHash) => {
+    const stmt = getDb().prepare('DELETE FROM sessions WHERE token_hash = ?');
+    return stmt.run(tokenHash);
+  },
+
+  /**
+   * Delete sessions that expired before the given time
+   */
+  deleteExpired: (now) => {
+    const stmt = getDb().prepare('DELETE FROM sessions WHERE expires_at <= ?');
+    return stmt.run(now);
+  },
+};
+
+// API key operations (automation API access)
+export const apiKeyQueries = {
+  /**
+   * Insert a new API key
+   */
+  insert: (apiKey) => {
+    const stmt = getDb().prepare(`
+      INSERT INTO api_keys (id, name, key_hash, key_prefix, created_at)
+      VALUES (@id, @name, @key_hash, @key_prefix, @created_at)
+    `);
+    return stmt.run(apiKey);
+  },
+
+  /**
+   * Get API key by key hash
+   */
+  getByKeyHash: (keyHash) => {
+    const stmt = getDb().prepare('SELECT * FROM api_keys WHERE key_hash = ?');
+    return stmt.get(keyHash);
+  },
+
+  /**
+   * Get all API keys ordered by name
+   */
+  getAll: () => {
+    const stmt = getDb().prepare('SELECT * FROM api_keys ORDER BY name COLLATE NOCASE ASC');
+    return stmt.all();
+  },
+
+  /**
+   * Record when a key was last used
+   */
+  touch: (id, usedAt) => {
+    const stmt = getDb().prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?');
+    return stmt.run(usedAt, id);
+  },
+
+  /**
+   * Delete an API key
+   */
+  delete: (id) => {
+    const stmt = getDb().prepare('DELETE FROM api_keys WHERE id = ?');
+    return stmt.run(id);
+  },
+};
+
+// Play history operations (what was played in each room)
+export const playHistoryQueries = {
+  /**
+   * Insert a new play
+   */
+  insert: (entry) => {
+    const stmt = getDb().prepare(`
+      INSERT INTO play_history (id, room_id, track_id, title, artist, playlist_index, started_at)
+      VALUES (@id, @room_id, @track_id, @title, @artist, @playlist_index, @started_at)
+    `);
+    return stmt.run(entry);
+  },
+
+  /**
+   * Record how long a play has been listened to so far
+   */
+  updateListened: (id, listenedDuration) => {
+    const stmt = getDb().prepare('UPDATE play_history SET listened_duration = ? WHERE id = ?');
+    return stmt.run(listenedDuration, id);
+  },
+
+  /**
+   * Finish a play
+   */
+  finish: (id, endedAt, listenedDuration, endReason) => {
+    const stmt = getDb().prepare(`
+      UPDATE play_history 
+      SET ended_at = ?, listened_duration = ?, end_reason = ?
+      WHERE id = ?
+    `);
+    return stmt.run(endedAt, listenedDuration, endReason, id);
+  },
+
+  /**
+   * Close plays left open by a shutdown, ending them after what was listened
+   */
+  finishOpen: (endReason) => {
+    const stmt = getDb().prepare(`
+      UPDATE play_history 
+      SET ended_at = started_at + CAST(listened_duration * 1000 AS INTEGER), end_reason = ?
+      WHERE ended_at IS NULL
+    `);
+    return stmt.run(endReason);
+  },
+
+  /**
+   * Get a room's plays, newest first, optionally between two timestamps
+   */
+  getByRoom: (roomId, { from = null, to = null, limit = 50, offset = 0 } = {}) => {
+    const stmt = getDb().prepare(`
+      SELECT * FROM play_history
+      WHERE room_id = @roomId
+        AND (@from IS NULL OR started_at >= @from)
+        AND (@to IS NULL OR started_at < @to)
+      ORDER BY started_at DESC
+      LIMIT @limit OFFSET @offset
+    `);
+    return stmt.all({ roomId, from, to, limit, offset });
+  },
+
+  /**
+   * Count a room's plays, optionally between two timestamps
+   */
+  countByRoom: (roomId, { from = null, to = null } = {}) => {
+    const stmt = getDb().prepare(`
+      SELECT COUNT(*) as count FROM play_history
+      WHERE room_id = @roomId
+        AND (@from IS NULL OR started_at >= @from)
+        AND (@to IS NULL OR started_at < @to)
+    `);
+    return stmt.get({ roomId, from, to }).count;
+  },
+
+  /**
+   * Delete a room's plays (the room is being deleted)
+   */
+  deleteByRoom: (roomId) => {
+    const stmt = getDb().prepare('DELETE FROM play_history WHERE room_id = ?');
+    return stmt.run(roomId);
+  },
+};
+
+// Scheduled action operations (sleep timers and other timed room actions)
+export const scheduledActionQueries = {
+  /**
+   * Insert a new scheduled action
+   */
+  insert: (action) => {
+    const stmt = getDb().prepare(`
+      INSERT INTO scheduled_actions (id, room_id, type, params, run_at, created_at)
+      VALUES (@id, @room_id, @type, @params, @run_at, @created_at)
+    `);
+    return stmt.run(action);
+  },
+
+  /**
+   * Get all pending actions ordered by run time (track end actions last)
+   */
+  getAll: () => {
+    const stmt = getDb().prepare('SELECT * FROM scheduled_actions ORDER BY run_at IS NULL, run_at ASC, created_at ASC');
+    return stmt.all();
+  },
+
+  /**
+   * Delete a scheduled action
+   */
+  delete: (id) => {
+    const stmt = getDb().prepare('DELETE FROM scheduled_actions WHERE id = ?');
+    return stmt.run(id);
+  },
+
+  /**
+   * Delete all scheduled actions of a room
+   */
+  deleteByRoom: (roomId) => {
+    const stmt = getDb().prepare('DELETE FROM scheduled_actions WHERE room_id = ?');
+    return stmt.run(roomId);
+  },
+};
+
+// Adaptive cue operations (intensity variants of one piece of music)
+export const adaptiveCueQueries = {
+  /**
+   * Insert a new cue
+   */
+  insert: (cue) => {
+    const stmt = getDb().prepare(`
+      INSERT INTO adaptive_cues (id, name, created_at, updated_at)
+      VALUES (@id, @name, @created_at, @updated_at)
+    `);
+    return stmt.run(cue);
+  },
+
+  /**
+   * Get cue by ID
+   */
+  getById: (id) => {
+    const stmt = getDb().prepare('SELECT * FROM adaptive_cues WHERE id = ?');
+    return stmt.get(id);
+  },
+
+  /**
+   * Get all cues ordered by name
+   */
+  getAll: () => {
+    const stmt = getDb().prepare('SELECT * FROM adaptive_cues ORDER BY name COLLATE NOCASE ASC');
+    return stmt.all();
+  },
+
+  /**
+   * Rename a cue
+   */
+  updateName: (id, name) => {
+    const stmt = getDb().prepare('UPDATE adaptive_cues SET name = ?, updated_at = ? WHERE id = ?');
+    return stmt.run(name, Date.now(), id);
+  },
+
+  /**
+   * Delete a cue (its variants go with it)
+   */
+  delete: (id) => {
+    const stmt = getDb().prepare('DELETE FROM adaptive_cues WHERE id = ?');
+    return stmt.run(id);
+  },
+
+  /**
+   * Get a cue's variants with their tracks, lowest intensity first
+   */
+  getVariants: (cueId) => {
+    const stmt = getDb().prepare(`
+      SELECT v.intensity, v.label, v.track_id, t.title, t.duration
+      FROM adaptive_cue_variants v
+      JOIN tracks t ON t.id = v.track_id
+      WHERE v.cue_id = ?
+      ORDER BY v.intensity ASC
+    `);
+    return stmt.all(cueId);
+  },
+
+  /**
+   * Replace a cue's variants; the list order sets the intensity (0 = calmest)
+   */
+  setVariants: (cueId, variants) => {
+    const db = getDb();
+    const remove = db.prepare('DELETE FROM adaptive_cue_variants WHERE cue_id = ?');
+    const insert = db.prepare(`
+      INSERT INTO adaptive_cue_variants (cue_id, intensity, track_id, label)
+      VALUES (?, ?, ?, ?)
+    `);
+    const touch = db.prepare('UPDATE adaptive_cues SET updated_at = ? WHERE id = ?');
+
+    db.transaction(() => {
+      remove.run(cueId);
+      variants.forEach((variant, intensity) => insert.run(cueId, intensity, variant.trackId, variant.label || null));
+      touch.run(Date.now(), cueId);
+    })();
+  },
+
+  /**
+   * Find the cue a track is a variant of (the oldest cue if there are several)
+   */
+  getByTrack: (trackId) => {
+    const stmt = getDb().prepare(`
+      SELECT v.cue_id, v.intensity
+      FROM adaptive_cue_variants v
+      JOIN adaptive_cues c ON c.id = v.cue_id
+      WHERE v.track_id = ?
+      ORDER BY c.created_at ASC
+      LIMIT 1
+    `);
+    return stmt.get(trackId);
+  },
+};
+
 export default {
   initDatabase,
   getDb,
@@ -696,4 +1483,13 @@ export default {
   trackFolderQueries,
   collectionQueries,
   downloadJobQueries,
+  roomQueries,
+  roomStateQueries,
+  sceneQueries,
+  userQueries,
+  sessionQueries,
+  apiKeyQueries,
+  scheduledActionQueries,
+  playHistoryQueries,
+  adaptiveCueQueries,
 };
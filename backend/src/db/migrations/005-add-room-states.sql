@@ -0,0 +1,17 @@
+-- Migration: Add persisted room playback state
+-- Description: Stores each room's session state so it survives server restarts
+
+CREATE TABLE IF NOT EXISTS room_states (
+    room_id TEXT PRIMARY KEY,
+    current_track_id TEXT,
+    playlist_index INTEGER,
+    playback_state TEXT NOT NULL DEFAULT 'stopped',
+    position REAL NOT NULL DEFAULT 0,
+    volume REAL NOT NULL DEFAULT 0.7,
+    repeat_mode INTEGER NOT NULL DEFAULT 0,
+    loop_playlist INTEGER NOT NULL DEFAULT 0,
+    loop_start REAL,
+    loop_end REAL,
+    updated_at INTEGER NOT NULL,
+    FOREIGN KEY (current_track_id) REFERENCES tracks(id) ON DELETE SET NULL
+);
@@ -0,0 +1,11 @@
+-- Migration: Add rooms table
+-- Description: Rooms are created, renamed and deleted at runtime instead of being fixed by ROOM_COUNT.
+-- The first boot seeds room-1..room-N from ROOM_COUNT; each room gets its own playlist collection.
+
+CREATE TABLE IF NOT EXISTS rooms (
+    id TEXT PRIMARY KEY,
+    number INTEGER NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    playlist_collection_id TEXT NOT NULL,
+    created_at INTEGER NOT NULL
+);
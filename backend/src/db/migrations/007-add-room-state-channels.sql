@@ -0,0 +1,4 @@
+-- Migration: Persist layered channel state
+-- Description: Stores the ambience/sfx channel state of each room as JSON alongside the music state
+
+ALTER TABLE room_states ADD COLUMN channels TEXT;
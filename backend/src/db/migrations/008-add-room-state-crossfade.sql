@@ -0,0 +1,5 @@
+-- Migration: Persist crossfade settings per room
+-- Description: Crossfade duration between tracks and whether manual track changes crossfade too
+
+ALTER TABLE room_states ADD COLUMN crossfade_duration REAL NOT NULL DEFAULT 0;
+ALTER TABLE room_states ADD COLUMN crossfade_manual INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,13 @@
+-- Migration: Add scenes table
+-- Description: Named snapshots of a room setup (playlist, track, position, loop points, flags,
+-- volume and layered channels) that can be recalled into any room.
+-- track_ids is a JSON array of the playlist in order, state is the JSON playback snapshot.
+
+CREATE TABLE IF NOT EXISTS scenes (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    track_ids TEXT NOT NULL,
+    state TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+);
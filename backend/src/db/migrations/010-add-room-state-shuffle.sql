@@ -0,0 +1,6 @@
+-- Migration: Persist shuffle mode per room
+-- Description: Whether shuffle is on, and the shuffle order as JSON ({ seed, order, cursor })
+-- where order lists collection_tracks entry IDs
+
+ALTER TABLE room_states ADD COLUMN shuffle_mode INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE room_states ADD COLUMN shuffle_state TEXT;
@@ -0,0 +1,24 @@
+-- Migration: Add authentication and room join codes
+-- Description: User accounts and session tokens for logging in, plus an optional per-room
+-- join code. Passwords are stored as scrypt "salt:hash" and tokens only as SHA-256 hashes.
+-- Sessions created with the shared access code have no user_id.
+
+CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    is_admin INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id TEXT,
+    expires_at INTEGER NOT NULL,
+    created_at INTEGER NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at);
+
+ALTER TABLE rooms ADD COLUMN join_code TEXT;
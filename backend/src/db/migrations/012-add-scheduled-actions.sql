@@ -0,0 +1,16 @@
+-- Migration: Add scheduled actions table
+-- Description: Pending timed actions per room (pause, stop, fade out, start a playlist, or
+-- stop once the current track ends). params is a JSON object with the action's options and
+-- run_at is NULL for actions that wait for the end of the current track.
+
+CREATE TABLE IF NOT EXISTS scheduled_actions (
+    id TEXT PRIMARY KEY,
+    room_id TEXT NOT NULL,
+    type TEXT NOT NULL,
+    params TEXT NOT NULL DEFAULT '{}',
+    run_at INTEGER,
+    created_at INTEGER NOT NULL,
+    FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_actions_room_id ON scheduled_actions(room_id);
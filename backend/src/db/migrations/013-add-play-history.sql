@@ -0,0 +1,21 @@
+-- Migration: Add play history table
+-- Description: One row per track played in a room's music channel. title and artist are
+-- copied so the log stays readable after a track is deleted. listened_duration counts
+-- seconds actually played (pauses excluded) and end_reason is ended, skipped, stopped
+-- or interrupted (the server shut down mid-play).
+
+CREATE TABLE IF NOT EXISTS play_history (
+    id TEXT PRIMARY KEY,
+    room_id TEXT NOT NULL,
+    track_id TEXT,
+    title TEXT NOT NULL,
+    artist TEXT,
+    playlist_index INTEGER,
+    started_at INTEGER NOT NULL,
+    ended_at INTEGER,
+    listened_duration REAL NOT NULL DEFAULT 0,
+    end_reason TEXT,
+    FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_play_history_room_started ON play_history(room_id, started_at);
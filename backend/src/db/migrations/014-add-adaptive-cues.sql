@@ -0,0 +1,23 @@
+-- Migration: Add adaptive cue tables
+-- Description: An adaptive cue groups versions of the same piece (e.g. calm, tense, battle)
+-- with identical length and tempo. Each variant is a track at an intensity level, 0 being
+-- the calmest; switching intensity crossfades to another variant at the same position.
+
+CREATE TABLE IF NOT EXISTS adaptive_cues (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS adaptive_cue_variants (
+    cue_id TEXT NOT NULL,
+    intensity INTEGER NOT NULL,
+    track_id TEXT NOT NULL,
+    label TEXT,
+    PRIMARY KEY (cue_id, intensity),
+    FOREIGN KEY (cue_id) REFERENCES adaptive_cues(id) ON DELETE CASCADE,
+    FOREIGN KEY (track_id) REFERENCES tracks(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_adaptive_cue_variants_track ON adaptive_cue_variants(track_id);
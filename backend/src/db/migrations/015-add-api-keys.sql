@@ -0,0 +1,13 @@
+-- Migration: Add API keys table
+-- Description: Keys for the automation API (/api/v1/automation) used by VTT macros and
+-- Stream Deck buttons. Only a SHA-256 hash of each key is stored; key_prefix keeps the
+-- first characters so keys can be told apart in listings.
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    key_prefix TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    last_used_at INTEGER
+);
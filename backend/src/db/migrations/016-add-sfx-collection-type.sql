@@ -0,0 +1,30 @@
+-- Migration: Add the 'sfx' collection type
+-- Description: Soundboards are collections of short one-shot effects (type 'sfx') played on
+-- top of a room's music. SQLite can't change a CHECK constraint in place, so the table is
+-- rebuilt; foreign keys are switched off meanwhile so collection_tracks rows are kept.
+
+PRAGMA foreign_keys = OFF;
+
+BEGIN;
+
+CREATE TABLE track_collections_new (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL CHECK(type IN ('library', 'playlist', 'folder', 'sfx')),
+    parent_id TEXT,
+    sort_order INTEGER DEFAULT 0,
+    is_ordered INTEGER DEFAULT 1,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    FOREIGN KEY (parent_id) REFERENCES track_collections(id) ON DELETE CASCADE
+);
+
+INSERT INTO track_collections_new
+SELECT id, name, type, parent_id, sort_order, is_ordered, created_at, updated_at FROM track_collections;
+
+DROP TABLE track_collections;
+ALTER TABLE track_collections_new RENAME TO track_collections;
+
+COMMIT;
+
+PRAGMA foreign_keys = ON;
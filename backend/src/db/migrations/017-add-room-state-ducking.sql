@@ -0,0 +1,5 @@
+-- Migration: Persist ducking settings per room
+-- Description: How far the music dips under sound effects and how fast, as JSON
+-- ({ amount, attack, release } with attack and release in seconds)
+
+ALTER TABLE room_states ADD COLUMN ducking TEXT;
@@ -1,11 +1,11 @@
 -- Track Collections - Unified abstraction for playlists, folders, and library
 -- This schema adds the new collection system while keeping existing tables for gradual migration
 
--- Collection types: 'library', 'playlist', 'folder'
+-- Collection types: 'library', 'playlist', 'folder', 'sfx' (soundboard of one-shot effects)
 CREATE TABLE IF NOT EXISTS track_collections (
     id TEXT PRIMARY KEY,
     name TEXT NOT NULL,
-    type TEXT NOT NULL CHECK(type IN ('library', 'playlist', 'folder')),
+    type TEXT NOT NULL CHECK(type IN ('library', 'playlist', 'folder', 'sfx')),
     parent_id TEXT,
     sort_order INTEGER DEFAULT 0,
     is_ordered INTEGER DEFAULT 1, -- 1 = ordered by position, 0 = ordered by title
@@ -44,18 +44,4 @@ VALUES ('library', 'Music Library', 'library', NULL, 0, 0, strftime('%s', 'now')
 INSERT OR IGNORE INTO track_collections (id, name, type, parent_id, sort_order, is_ordered, created_at, updated_at)
 VALUES ('current-playlist', 'Current Playlist', 'playlist', NULL, 0, 1, strftime('%s', 'now'), strftime('%s', 'now'));
 
--- Create room-specific playlist collections (for multi-room support)
-INSERT OR IGNORE INTO track_collections (id, name, type, parent_id, sort_order, is_ordered, created_at, updated_at)
-VALUES ('current-playlist-room-1', 'Room 1 Playlist', 'playlist', NULL, 0, 1, strftime('%s', 'now'), strftime('%s', 'now'));
-
-INSERT OR IGNORE INTO track_collections (id, name, type, parent_id, sort_order, is_ordered, created_at, updated_at)
-VALUES ('current-playlist-room-2', 'Room 2 Playlist', 'playlist', NULL, 0, 1, strftime('%s', 'now'), strftime('%s', 'now'));
-
-INSERT OR IGNORE INTO track_collections (id, name, type, parent_id, sort_order, is_ordered, created_at, updated_at)
-VALUES ('current-playlist-room-3', 'Room 3 Playlist', 'playlist', NULL, 0, 1, strftime('%s', 'now'), strftime('%s', 'now'));
-
-INSERT OR IGNORE INTO track_collections (id, name, type, parent_id, sort_order, is_ordered, created_at, updated_at)
-VALUES ('current-playlist-room-4', 'Room 4 Playlist', 'playlist', NULL, 0, 1, strftime('%s', 'now'), strftime('%s', 'now'));
-
-INSERT OR IGNORE INTO track_collections (id, name, type, parent_id, sort_order, is_ordered, created_at, updated_at)
-VALUES ('current-playlist-room-5', 'Room 5 Playlist', 'playlist', NULL, 0, 1, strftime('%s', 'now'), strftime('%s', 'now'));
+-- Room-specific playlist collections are created at runtime for each room (see websocket/roomState.js)
@@ -0,0 +1,111 @@
+/**
+ * Authentication for HTTP routes
+ * Clients send their session token as "Authorization: Bearer <token>". Audio elements can't
+ * set headers, so a ?token= query parameter is accepted as well.
+ */
+
+import authService from '../services/auth.js';
+
+// Reachable without logging in (the frontend needs them before showing the login form)
+const PUBLIC_PATHS = new Set(['/api/health', '/api/config']);
+
+/**
+ * Read the session token from a request
+ */
+export function getRequestToken(req) {
+  const header = req.get('Authorization');
+  if (header?.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  return typeof req.query.token === 'string' ? req.query.token : null;
+}
+
+/**
+ * Attach the caller's session (or null) as req.auth
+ */
+export function authenticate(req, res, next) {
+  req.auth = authService.getSession(getRequestToken(req));
+  next();
+}
+
+/**
+ * Reject requests without a session while authentication is enabled
+ */
+export function requireAuth(req, res, next) {
+  if (req.auth || !authService.isEnabled() || PUBLIC_PATHS.has(req.originalUrl.split('?')[0])) {
+    return next();
+  }
+  res.status(401).json({
+    error: 'Unauthorized',
+    message: 'Login required',
+  });
+}
+
+/**
+ * Only let admins through once accounts exist
+ * With just a shared access code there are no admins, so anyone logged in may continue
+ */
+export function requireAdmin(req, res, next) {
+  if (!authService.isEnabled()) {
+    return next();
+  }
+  if (!req.auth) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Login required',
+    });
+  }
+  if (req.auth.user?.isAdmin || !authService.hasAccounts()) {
+    return next();
+  }
+  res.status(403).json({
+    error: 'Forbidden',
+    message: 'Only admins can do this',
+  });
+}
+
+/**
+ * Only let logged in admin accounts through, whatever else is configured
+ * Guards account and API key management: on an open server or one with just an access
+ * code nobody may create accounts or keys (the first admin comes from ADMIN_USERNAME
+ * and ADMIN_PASSWORD at startup)
+ */
+export function requireAdminAccount(req, res, next) {
+  if (req.auth?.user?.isAdmin) {
+    return next();
+  }
+  if (!req.auth) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Log in with an admin account (set ADMIN_USERNAME and ADMIN_PASSWORD to create one)',
+    });
+  }
+  res.status(403).json({
+    error: 'Forbidden',
+    message: 'Only admin accounts can do this',
+  });
+}
+
+/**
+ * Only let callers with a valid API key through (automation API)
+ * The key is sent as "X-API-Key: <key>" or "Authorization: Bearer <key>"; unlike sessions
+ * a key is always required, even while authentication is not configured
+ */
+export function requireApiKey(req, res, next) {
+  const key = req.get('X-API-Key') || getRequestToken(req);
+  if (!key) {
+    return res.status(401).json({
+      error: 'API_KEY_REQUIRED',
+      message: 'Send an API key in the X-API-Key header',
+    });
+  }
+
+  req.apiKey = authService.verifyApiKey(key);
+  if (!req.apiKey) {
+    return res.status(401).json({
+      error: 'INVALID_API_KEY',
+      message: 'The API key is not valid or was revoked',
+    });
+  }
+  next();
+}
@@ -0,0 +1,104 @@
+/**
+ * Role enforcement for HTTP routes
+ * Browser clients identify their socket connection with the X-Client-Id header and prove
+ * it with the X-Client-Secret they got in room_joined, so a request is allowed when that
+ * connection is a GM in the room being controlled.
+ * Callers without a connection (scripts, curl) need the GM code when one is configured.
+ *
+ * Reads of a room with a join code are limited the same way join_room is: the caller
+ * needs a connection in that room, the code (X-Join-Code) or an admin account.
+ */
+
+import config from '../config/config.js';
+import roomStateManager, { ROLES } from '../websocket/roomState.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Resolve the room a request acts on from its body or query
+ */
+const roomFromRequest = (req) => req.body?.roomId || req.query.roomId || null;
+
+/**
+ * Create middleware that only lets GMs through
+ * resolveRoomId(req) returns the room being controlled; when it returns null the
+ * caller's current room is used
+ */
+export function requireGM(resolveRoomId = roomFromRequest) {
+  return (req, res, next) => {
+    const clientId = req.get('X-Client-Id');
+
+    if (!clientId) {
+      if (!config.gmCode || req.get('X-GM-Code') === config.gmCode) {
+        return next();
+      }
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'GM code required',
+      });
+    }
+
+    // Socket IDs are public (presence lists), only the connection knows its secret
+    if (!roomStateManager.checkClientSecret(clientId, req.get('X-Client-Secret'))) {
+      logger.warn({ clientId, method: req.method, url: req.originalUrl }, 'Blocked request with a bad client secret');
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Unknown client',
+      });
+    }
+
+    const roomId = resolveRoomId(req) || roomStateManager.getClientRoomId(clientId);
+    if (roomStateManager.getClientRole(clientId, roomId) === ROLES.GM) {
+      return next();
+    }
+
+    logger.warn({ clientId, roomId, method: req.method, url: req.originalUrl }, 'Blocked request from non-GM client');
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'Only the GM can do this',
+    });
+  };
+}
+
+/**
+ * Check whether a request may see a room
+ */
+export function canAccessRoom(req, roomId) {
+  if (!roomStateManager.roomExists(roomId) || req.auth?.user?.isAdmin) {
+    return true;
+  }
+
+  const clientId = req.get('X-Client-Id');
+  if (clientId && roomStateManager.checkClientSecret(clientId, req.get('X-Client-Secret'))
+    && roomStateManager.getClientRoomId(clientId) === roomId) {
+    return true;
+  }
+
+  return roomStateManager.checkJoinCode(roomId, req.get('X-Join-Code'));
+}
+
+/**
+ * Middleware that keeps reads of rooms with a join code to those who may join them
+ * resolveRoomId(req) returns the room being read (rooms without one are not checked)
+ */
+export function requireRoomAccessForReads(resolveRoomId = (req) => req.query.roomId || null) {
+  return (req, res, next) => {
+    const roomId = req.method === 'GET' ? resolveRoomId(req) : null;
+    if (!roomId || canAccessRoom(req, roomId)) {
+      return next();
+    }
+
+    logger.warn({ roomId, url: req.originalUrl }, 'Blocked read of a room without its join code');
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'This room needs a join code',
+    });
+  };
+}
+
+/**
+ * Middleware that requires the GM role for every request except reads
+ */
+export function requireGMForWrites(resolveRoomId = roomFromRequest) {
+  const gmOnly = requireGM(resolveRoomId);
+  return (req, res, next) => (req.method === 'GET' ? next() : gmOnly(req, res, next));
+}
@@ -0,0 +1,172 @@
+/**
+ * OSC 1.0 packet encoding and decoding
+ * Covers what control surfaces send: messages and bundles with int32 (i), float32 (f),
+ * string (s), blob (b), int64 (h), double (d) and the argument-less T, F, N and I tags.
+ * Bundle time tags are ignored, their messages are handled immediately.
+ */
+
+const BUNDLE_HEADER = '#bundle';
+
+/**
+ * Size of an OSC string or blob padded to a multiple of 4 bytes
+ */
+const padded = (length) => Math.ceil(length / 4) * 4;
+
+/**
+ * Read a null-terminated, 4-byte padded string
+ */
+function readString(buffer, offset) {
+  const end = buffer.indexOf(0, offset);
+  if (end === -1) {
+    throw new Error('Invalid OSC packet: unterminated string');
+  }
+  return { value: buffer.toString('utf8', offset, end), offset: offset + padded(end - offset + 1) };
+}
+
+/**
+ * Decode a single OSC message
+ */
+function decodeMessage(buffer) {
+  const address = readString(buffer, 0);
+  if (!address.value.startsWith('/')) {
+    throw new Error(`Invalid OSC address: ${address.value}`);
+  }
+
+  // Very old senders leave out the type tag string, treat that as no arguments
+  if (address.offset >= buffer.length) {
+    return { address: address.value, args: [] };
+  }
+
+  const typeTags = readString(buffer, address.offset);
+  if (!typeTags.value.startsWith(',')) {
+    throw new Error('Invalid OSC packet: missing type tags');
+  }
+
+  const args = [];
+  let offset = typeTags.offset;
+  for (const type of typeTags.value.slice(1)) {
+    switch (type) {
+      case 'i':
+        args.push(buffer.readInt32BE(offset));
+        offset += 4;
+        break;
+      case 'f':
+        args.push(buffer.readFloatBE(offset));
+        offset += 4;
+        break;
+      case 'h':
+        args.push(Number(buffer.readBigInt64BE(offset)));
+        offset += 8;
+        break;
+      case 'd':
+        args.push(buffer.readDoubleBE(offset));
+        offset += 8;
+        break;
+      case 's':
+      case 'S': {
+        const string = readString(buffer, offset);
+        args.push(string.value);
+        offset = string.offset;
+        break;
+      }
+      case 'b': {
+        const size = buffer.readInt32BE(offset);
+        args.push(buffer.subarray(offset + 4, offset + 4 + size));
+        offset += 4 + padded(size);
+        break;
+      }
+      case 'T':
+        args.push(true);
+        break;
+      case 'F':
+        args.push(false);
+        break;
+      case 'N':
+      case 'I':
+        args.push(null);
+        break;
+      default:
+        throw new Error(`Unsupported OSC type tag: ${type}`);
+    }
+  }
+
+  return { address: address.value, args };
+}
+
+/**
+ * Decode an OSC packet (a message or a bundle) into a flat list of messages
+ */
+export function decodePacket(buffer) {
+  if (buffer.length === 0 || buffer.length % 4 !== 0) {
+    throw new Error('Invalid OSC packet: size is not a multiple of 4');
+  }
+
+  if (buffer[0] !== '#'.charCodeAt(0)) {
+    return [decodeMessage(buffer)];
+  }
+
+  const header = readString(buffer, 0);
+  if (header.value !== BUNDLE_HEADER) {
+    throw new Error('Invalid OSC bundle');
+  }
+
+  // Skip the 8-byte time tag, then read the size-prefixed elements
+  const messages = [];
+  let offset = header.offset + 8;
+  while (offset < buffer.length) {
+    const size = buffer.readInt32BE(offset);
+    messages.push(...decodePacket(buffer.subarray(offset + 4, offset + 4 + size)));
+    offset += 4 + size;
+  }
+  return messages;
+}
+
+/**
+ * Encode a string padded with nulls to a multiple of 4 bytes
+ */
+function encodeString(value) {
+  const bytes = Buffer.from(value, 'utf8');
+  const buffer = Buffer.alloc(padded(bytes.length + 1));
+  bytes.copy(buffer);
+  return buffer;
+}
+
+/**
+ * Encode an OSC message
+ * Args are { type, value } pairs with type i, f or s, or a bare { type } for T and F
+ */
+export function encodeMessage(address, args = []) {
+  let typeTags = ',';
+  const parts = [];
+
+  for (const { type, value } of args) {
+    switch (type) {
+      case 'i': {
+        const part = Buffer.alloc(4);
+        part.writeInt32BE(Math.round(value));
+        parts.push(part);
+        typeTags += 'i';
+        break;
+      }
+      case 'f': {
+        const part = Buffer.alloc(4);
+        part.writeFloatBE(value);
+        parts.push(part);
+        typeTags += 'f';
+        break;
+      }
+      case 's':
+        parts.push(encodeString(String(value ?? '')));
+        typeTags += 's';
+        break;
+      case 'T':
+      case 'F':
+        typeTags += type;
+        break;
+      default:
+        throw new Error(`Unsupported OSC type tag: ${type}`);
+    }
+  }
+
+  return Buffer.concat([encodeString(address), encodeString(typeTags), ...parts]);
+}
@@ -0,0 +1,426 @@
+/**
+ * OSC control server
+ * Optional UDP listener (enabled by OSC_PORT) that lets control surfaces, TouchOSC layouts
+ * and lighting desks drive rooms, and sends room state back so faders and LEDs follow
+ * changes made anywhere else.
+ *
+ * Addresses map to actions; `{room}` matches a room ID, number or name. The defaults are
+ * listed in DEFAULT_MAPPING and can be extended or overridden with a JSON file
+ * (OSC_MAPPING_FILE) of the same shape, where null removes a default:
+ *
+ *   {
+ *     "addresses": {
+ *       "/deck/tavern": { "action": "recall_scene", "room": "2", "args": ["Tavern"] },
+ *       "/room/{room}/toggle": null
+ *     },
+ *     "feedback": { "volume": "/mixer/{room}/fader" }
+ *   }
+ *
+ * Only senders listed in OSC_ALLOWED_HOSTS are heard, and a sender only gets feedback
+ * after its first mapped message.
+ *
+ * Button actions ignore a 0 argument so momentary buttons only fire on press. Repeat,
+ * loop and shuffle follow their argument (1/0) when one is sent and toggle otherwise.
+ */
+
+import dgram from 'dgram';
+import fs from 'fs';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import roomStateManager from '../websocket/roomState.js';
+import { MAX_FADE_DURATION } from '../websocket/sessionState.js';
+import { decodePacket, encodeMessage } from './oscCodec.js';
+
+const FEEDBACK_INTERVAL = 200; // How often room state is compared for feedback (ms)
+const MAX_FEEDBACK_CLIENTS = 16; // Senders remembered for feedback, oldest dropped first
+const DEFAULT_FADE_OUT_DURATION = 5; // seconds
+
+export const DEFAULT_MAPPING = {
+  addresses: {
+    '/room/{room}/play': 'play',
+    '/room/{room}/pause': 'pause',
+    '/room/{room}/toggle': 'toggle',
+    '/room/{room}/stop': 'stop',
+    '/room/{room}/next': 'next',
+    '/room/{room}/previous': 'previous',
+    '/room/{room}/volume': 'volume', // f: 0.0 to 1.0
+    '/room/{room}/repeat': 'repeat', // i: 1/0, or no argument to toggle
+    '/room/{room}/loop': 'loop',
+    '/room/{room}/shuffle': 'shuffle',
+    '/room/{room}/intensity': 'intensity', // i: adaptive cue variant
+    '/room/{room}/fadeout': 'fade_out', // f: seconds, then pause
+    '/room/{room}/scene': 'recall_scene', // s: scene ID or name
+    '/scene/recall': 'recall_scene', // s: scene ID or name, optional s/i: room (OSC_DEFAULT_ROOM otherwise)
+    '/feedback/refresh': 'refresh', // Resend all feedback to the sender
+  },
+  feedback: {
+    playing: '/room/{room}/playing', // i
+    paused: '/room/{room}/paused', // i
+    volume: '/room/{room}/volume', // f
+    repeat: '/room/{room}/repeat', // i
+    loop: '/room/{room}/loop', // i
+    shuffle: '/room/{room}/shuffle', // i
+    track: '/room/{room}/track', // s: title, empty when stopped
+    intensity: '/room/{room}/intensity', // i: -1 without an adaptive cue
+    error: '/error', // s: sent to the sender of a message that failed
+  },
+};
+
+const isRelease = (args) => args[0] === 0 || args[0] === false;
+
+const numberArg = (args, name) => {
+  const value = typeof args[0] === 'boolean' ? Number(args[0]) : args[0];
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new Error(`${name} needs a number argument`);
+  }
+  return value;
+};
+
+/**
+ * Set a flag from the argument (1/0), or toggle it when there is none
+ */
+const setFlag = (current, args, toggle) => {
+  const wanted = args.length > 0 ? Boolean(numberArg(args, 'Flag')) : !current;
+  return wanted !== current ? toggle() : null;
+};
+
+// Actions by name: room actions get the resolved room ID, trigger actions ignore releases
+const ACTIONS = {
+  play: {
+    trigger: true,
+    run: (sync, roomId) => {
+      const state = roomStateManager.getRoomState(roomId);
+      if (state.playbackState === 'paused' && state.hasTrack()) {
+        return sync.resume(roomId);
+      }
+      // A stopped room starts its playlist (or up-next queue)
+      return state.isPlaying() ? null : sync.playNextTrack(roomId);
+    },
+  },
+  pause: { trigger: true, run: (sync, roomId) => sync.pause(roomId) },
+  toggle: {
+    trigger: true,
+    run: (sync, roomId) => (roomStateManager.getRoomState(roomId).isPlaying()
+      ? sync.pause(roomId)
+      : ACTIONS.play.run(sync, roomId)),
+  },
+  stop: { trigger: true, run: (sync, roomId) => sync.stop(roomId) },
+  next: { trigger: true, run: (sync, roomId) => sync.playNextTrack(roomId) },
+  previous: { trigger: true, run: (sync, roomId) => sync.playPreviousTrack(roomId) },
+  volume: { run: (sync, roomId, args) => sync.setVolume(numberArg(args, 'Volume'), roomId) },
+  repeat: {
+    run: (sync, roomId, args) => setFlag(roomStateManager.getRoomState(roomId).repeatMode, args, () => sync.toggleRepeat(roomId)),
+  },
+  loop: {
+    run: (sync, roomId, args) => setFlag(roomStateManager.getRoomState(roomId).loopPlaylist, args, () => sync.toggleLoop(roomId)),
+  },
+  shuffle: {
+    run: (sync, roomId, args) => setFlag(roomStateManager.getRoomState(roomId).shuffleMode, args, () => sync.toggleShuffle(roomId)),
+  },
+  intensity: { run: (sync, roomId, args) => sync.setIntensity(Math.round(numberArg(args, 'Intensity')), roomId) },
+  fade_out: {
+    trigger: true,
+    run: (sync, roomId, args) => {
+      const duration = typeof args[0] === 'number' && args[0] > 0 ? args[0] : DEFAULT_FADE_OUT_DURATION;
+      return sync.fadeOut(roomId, Math.min(duration, MAX_FADE_DURATION), 'pause');
+    },
+  },
+  recall_scene: {
+    trigger: true,
+    room: (args) => (args[1] !== undefined ? String(args[1]) : config.oscDefaultRoom),
+    run: (sync, roomId, args) => {
+      if (typeof args[0] !== 'string' || !args[0].trim()) {
+        throw new Error('Scene recall needs a scene ID or name argument');
+      }
+      const name = args[0].trim().toLowerCase();
+      const scene = sync.getScene(args[0])
+        || sync.getScenes().find(candidate => candidate.name.toLowerCase() === name);
+      if (!scene) {
+        throw new Error(`No scene matches "${args[0]}"`);
+      }
+      return sync.recallScene(scene.id, roomId);
+    },
+  },
+  refresh: { roomless: true },
+};
+
+/**
+ * Turn an address pattern into a regular expression with {room} as a capture
+ */
+const compilePattern = (pattern) => new RegExp(
+  '^' + pattern.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace('{room}', '([^/]+)') + '$'
+);
+
+class OscServer {
+  constructor() {
+    this.socket = null;
+    this.syncController = null;
+    this.routes = []; // [{ pattern, regex, action, room, args }]
+    this.feedback = { ...DEFAULT_MAPPING.feedback };
+    this.clients = new Map(); // "host:port" -> { host, port, fixed } receiving feedback (fixed = OSC_FEEDBACK_TARGETS)
+    this.lastFeedback = new Map(); // address -> { type, value } last sent
+    this.feedbackInterval = null;
+  }
+
+  /**
+   * Start listening if OSC is enabled
+   */
+  start(syncController) {
+    if (!config.oscPort) {
+      return;
+    }
+
+    this.syncController = syncController;
+    this.loadMapping();
+
+    for (const target of config.oscFeedbackTargets) {
+      const [host, port] = target.split(':');
+      if (host && parseInt(port, 10)) {
+        this.clients.set(target, { host, port: parseInt(port, 10), fixed: true });
+      } else {
+        logger.warn({ target }, 'Ignoring invalid OSC feedback target, expected host:port');
+      }
+    }
+
+    this.socket = dgram.createSocket('udp4');
+    this.socket.on('message', (packet, remote) => this.handlePacket(packet, remote));
+    this.socket.on('error', (error) => logger.error({ error }, 'OSC socket error'));
+    this.socket.bind(config.oscPort, config.oscHost, () => {
+      logger.info({ port: config.oscPort, host: config.oscHost, allowedHosts: config.oscAllowedHosts, routes: this.routes.length }, 'OSC server listening');
+    });
+
+    this.lastFeedback = this.getFeedbackValues();
+    this.feedbackInterval = setInterval(() => this.sendChangedFeedback(), FEEDBACK_INTERVAL);
+  }
+
+  /**
+   * Merge the mapping file over the defaults and compile the address patterns
+   */
+  loadMapping() {
+    let custom = {};
+    if (config.oscMappingFile) {
+      try {
+        custom = JSON.parse(fs.readFileSync(config.oscMappingFile, 'utf8'));
+      } catch (error) {
+        logger.error({ error, file: config.oscMappingFile }, 'Failed to load OSC mapping, using the defaults');
+      }
+    }
+
+    const addresses = { ...DEFAULT_MAPPING.addresses, ...custom.addresses };
+    this.feedback = { ...DEFAULT_MAPPING.feedback, ...custom.feedback };
+    this.routes = [];
+
+    for (const [pattern, entry] of Object.entries(addresses)) {
+      if (!entry) {
+        continue;
+      }
+      const route = typeof entry === 'string' ? { action: entry } : entry;
+      if (!ACTIONS[route.action]) {
+        logger.warn({ pattern, action: route.action }, 'Ignoring OSC address mapped to an unknown action');
+        continue;
+      }
+      this.routes.push({ ...route, pattern, regex: compilePattern(pattern) });
+    }
+  }
+
+  /**
+   * Find a room by ID, number or name
+   */
+  resolveRoom(value) {
+    if (roomStateManager.roomExists(value)) {
+      return value;
+    }
+    const rooms = roomStateManager.getAllRooms();
+    const room = /^\d+$/.test(value)
+      ? rooms.find(candidate => candidate.number === Number(value))
+      : rooms.find(candidate => candidate.name.toLowerCase() === value.toLowerCase());
+    if (!room) {
+      throw new Error(`No room matches "${value}"`);
+    }
+    return room.id;
+  }
+
+  /**
+   * Check a sender against OSC_ALLOWED_HOSTS
+   */
+  isAllowedHost(address) {
+    return config.oscAllowedHosts.includes('*') || config.oscAllowedHosts.includes(address);
+  }
+
+  /**
+   * Decode a datagram and handle its messages
+   */
+  handlePacket(packet, remote) {
+    if (!this.isAllowedHost(remote.address)) {
+      logger.debug({ from: remote.address }, 'Ignoring OSC packet from a host that is not allowed');
+      return;
+    }
+
+    let messages;
+    try {
+      messages = decodePacket(packet);
+    } catch (error) {
+      logger.warn({ error: error.message, from: remote.address }, 'Ignoring invalid OSC packet');
+      return;
+    }
+
+    for (const message of messages) {
+      const route = this.routes.find(candidate => candidate.regex.test(message.address));
+      if (!route) {
+        logger.debug({ address: message.address }, 'Unmapped OSC address');
+        continue;
+      }
+
+      // Only senders that speak our mapping get feedback
+      const client = this.rememberClient(remote);
+      this.handleMessage(message, route, client).catch((error) => {
+        logger.warn({ error: error.message, address: message.address, from: remote.address }, 'OSC message failed');
+        this.send(client, this.feedback.error, [{ type: 's', value: error.message }]);
+      });
+    }
+  }
+
+  /**
+   * Run the action an address is mapped to
+   */
+  async handleMessage({ address, args }, route, client) {
+    const match = route.regex.exec(address);
+
+    const action = ACTIONS[route.action];
+    if (action.trigger && isRelease(args)) {
+      return;
+    }
+    if (action.roomless) {
+      this.sendAllFeedback(client);
+      return;
+    }
+
+    const actionArgs = route.args || args;
+    const roomValue = match[1] ?? route.room ?? (action.room ? action.room(actionArgs) : config.oscDefaultRoom);
+    const roomId = this.resolveRoom(String(roomValue));
+    if (roomStateManager.getLeaderId(roomId)) {
+      throw new Error(`Room ${roomValue} is linked to another room, unlink it first`);
+    }
+
+    logger.info({ address, action: route.action, roomId }, 'OSC action');
+    await action.run(this.syncController, roomId, actionArgs);
+    this.sendChangedFeedback();
+  }
+
+  /**
+   * Remember where a sender wants its feedback (OSC_FEEDBACK_PORT, or the port it sent from)
+   */
+  rememberClient(remote) {
+    const host = remote.address;
+    const port = config.oscFeedbackPort || remote.port;
+    const key = `${host}:${port}`;
+
+    const existing = this.clients.get(key);
+    if (existing) {
+      return existing;
+    }
+
+    const client = { host, port, fixed: false };
+    this.clients.set(key, client);
+    const remembered = Array.from(this.clients.entries()).filter(([, candidate]) => !candidate.fixed);
+    if (remembered.length > MAX_FEEDBACK_CLIENTS) {
+      this.clients.delete(remembered[0][0]);
+    }
+
+    logger.info({ host, port }, 'OSC client connected, sending feedback');
+    this.sendAllFeedback(client);
+    return client;
+  }
+
+  /**
+   * Current feedback values of all rooms by address
+   */
+  getFeedbackValues() {
+    const values = new Map();
+
+    for (const room of roomStateManager.getAllRooms()) {
+      // A linked room reports its leader's playback
+      const state = roomStateManager.getRoomState(roomStateManager.getPlaybackRoomId(room.id));
+      const fields = {
+        playing: { type: 'i', value: state.isPlaying() ? 1 : 0 },
+        paused: { type: 'i', value: state.playbackState === 'paused' ? 1 : 0 },
+        volume: { type: 'f', value: state.volume },
+        repeat: { type: 'i', value: state.repeatMode ? 1 : 0 },
+        loop: { type: 'i', value: state.loopPlaylist ? 1 : 0 },
+        shuffle: { type: 'i', value: state.shuffleMode ? 1 : 0 },
+        track: { type: 's', value: state.currentTrack?.title || '' },
+        intensity: { type: 'i', value: state.adaptiveCue ? state.adaptiveCue.intensity : -1 },
+      };
+
+      for (const [name, arg] of Object.entries(fields)) {
+        const pattern = this.feedback[name];
+        if (pattern) {
+          values.set(pattern.replace('{room}', room.number), arg);
+        }
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Send feedback values that changed since the last check to every client
+   */
+  sendChangedFeedback() {
+    if (!this.socket) {
+      return;
+    }
+
+    const values = this.getFeedbackValues();
+    for (const [address, arg] of values) {
+      const previous = this.lastFeedback.get(address);
+      if (previous?.type === arg.type && previous.value === arg.value) {
+        continue;
+      }
+      for (const client of this.clients.values()) {
+        this.send(client, address, [arg]);
+      }
+    }
+    this.lastFeedback = values;
+  }
+
+  /**
+   * Send every feedback value to one client
+   */
+  sendAllFeedback(client) {
+    for (const [address, arg] of this.getFeedbackValues()) {
+      this.send(client, address, [arg]);
+    }
+  }
+
+  send(client, address, args) {
+    if (!this.socket || !address) {
+      return;
+    }
+    this.socket.send(encodeMessage(address, args), client.port, client.host, (error) => {
+      if (error) {
+        logger.debug({ error: error.message, host: client.host, port: client.port }, 'Failed to send OSC feedback');
+      }
+    });
+  }
+
+  /**
+   * Stop listening
+   */
+  stop() {
+    if (this.feedbackInterval) {
+      clearInterval(this.feedbackInterval);
+      this.feedbackInterval = null;
+    }
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+      logger.info('OSC server closed');
+    }
+  }
+}
+
+// Singleton instance
+const oscServer = new OscServer();
+
+export default oscServer;
@@ -0,0 +1,227 @@
+import express from 'express';
+import config from '../config/config.js';
+import authService from '../services/auth.js';
+import logger from '../utils/logger.js';
+import { getRequestToken, requireAdminAccount } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * Get what the login form should offer and who is logged in
+ * GET /api/auth/status
+ */
+router.get('/status', (req, res) => {
+  try {
+    res.json({
+      authRequired: authService.isEnabled(),
+      accessCodeEnabled: !!config.accessCode,
+      accountsEnabled: authService.hasAccounts(),
+      authenticated: !!req.auth,
+      user: req.auth?.user || null,
+    });
+  } catch (error) {
+    logger.error({ error }, 'Failed to get auth status');
+    res.status(500).json({
+      error: 'Failed to get auth status',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Log in with an account or the shared access code
+ * POST /api/auth/login
+ * Body: { username: string, password: string } or { accessCode: string }
+ */
+router.post('/login', (req, res) => {
+  try {
+    const { username, password, accessCode } = req.body;
+
+    let session = null;
+    if (typeof accessCode === 'string' && accessCode) {
+      session = authService.loginWithAccessCode(accessCode);
+    } else if (typeof username === 'string' && typeof password === 'string' && username && password) {
+      session = authService.loginWithPassword(username.trim(), password);
+    } else {
+      return res.status(400).json({
+        error: 'Missing required fields: username and password, or accessCode',
+      });
+    }
+
+    if (!session) {
+      logger.warn({ username: username || null, ip: req.ip }, 'Failed login attempt');
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid credentials',
+      });
+    }
+
+    logger.info({ username: session.user?.username || null }, 'User logged in');
+    res.json(session);
+  } catch (error) {
+    logger.error({ error }, 'Failed to log in');
+    res.status(500).json({
+      error: 'Failed to log in',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * End the current session
+ * POST /api/auth/logout
+ */
+router.post('/logout', (req, res) => {
+  try {
+    authService.revokeSession(getRequestToken(req));
+    res.json({ success: true });
+  } catch (error) {
+    logger.error({ error }, 'Failed to log out');
+    res.status(500).json({
+      error: 'Failed to log out',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * List user accounts
+ * GET /api/auth/users
+ */
+router.get('/users', requireAdminAccount, (req, res) => {
+  try {
+    res.json(authService.listUsers());
+  } catch (error) {
+    logger.error({ error }, 'Failed to list users');
+    res.status(500).json({
+      error: 'Failed to list users',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Create a user account
+ * POST /api/auth/users
+ * Body: { username: string, password: string, isAdmin?: boolean }
+ */
+router.post('/users', requireAdminAccount, (req, res) => {
+  try {
+    const { username, password, isAdmin = false } = req.body;
+
+    if (typeof username !== 'string' || !username.trim() || typeof password !== 'string') {
+      return res.status(400).json({
+        error: 'Missing required fields: username, password',
+      });
+    }
+
+    const user = authService.createUser({ username: username.trim(), password, isAdmin: !!isAdmin });
+    logger.info({ username: user.username, isAdmin: user.isAdmin }, 'User account created');
+
+    res.status(201).json(user);
+  } catch (error) {
+    logger.error({ error }, 'Failed to create user');
+    if (error.message.includes('already exists')) {
+      return res.status(409).json({ error: error.message });
+    }
+    if (error.message.includes('Password must')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({
+      error: 'Failed to create user',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Delete a user account (logs it out everywhere)
+ * DELETE /api/auth/users/:id
+ */
+router.delete('/users/:id', requireAdminAccount, (req, res) => {
+  try {
+    if (req.auth?.user?.id === req.params.id) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+
+    if (!authService.deleteUser(req.params.id)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error({ error }, 'Failed to delete user');
+    res.status(500).json({
+      error: 'Failed to delete user',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * List API keys for the automation API
+ * GET /api/auth/keys
+ */
+router.get('/keys', requireAdminAccount, (req, res) => {
+  try {
+    res.json(authService.listApiKeys());
+  } catch (error) {
+    logger.error({ error }, 'Failed to list API keys');
+    res.status(500).json({
+      error: 'Failed to list API keys',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Create an API key (the key itself is only returned in this response)
+ * POST /api/auth/keys
+ * Body: { name: string }
+ */
+router.post('/keys', requireAdminAccount, (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        error: 'Missing or invalid field: name',
+      });
+    }
+
+    const apiKey = authService.createApiKey(name.trim());
+    logger.info({ keyId: apiKey.id, name: apiKey.name }, 'API key created');
+
+    res.status(201).json(apiKey);
+  } catch (error) {
+    logger.error({ error }, 'Failed to create API key');
+    res.status(500).json({
+      error: 'Failed to create API key',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Revoke an API key
+ * DELETE /api/auth/keys/:id
+ */
+router.delete('/keys/:id', requireAdminAccount, (req, res) => {
+  try {
+    if (!authService.revokeApiKey(req.params.id)) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    logger.info({ keyId: req.params.id }, 'API key revoked');
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error({ error }, 'Failed to revoke API key');
+    res.status(500).json({
+      error: 'Failed to revoke API key',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
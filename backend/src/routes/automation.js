@@ -0,0 +1,440 @@
+/**
+ * Automation API (v1)
+ * A stable surface for VTT macros, Stream Deck buttons and other scripts. Every request
+ * needs an API key (created with POST /api/auth/keys). Rooms are addressed explicitly by
+ * ID, number or name, and tracks, collections, scenes and cues by ID or name.
+ * Errors always look like { error: CODE, message } with CODE from ERROR_CODES; codes and
+ * response fields are only ever added to, never renamed, within v1.
+ */
+
+import express from 'express';
+import { getSyncController } from '../websocket/socketServer.js';
+import roomStateManager from '../websocket/roomState.js';
+import { MAX_FADE_DURATION } from '../websocket/sessionState.js';
+import { trackQueries, collectionQueries } from '../db/database.js';
+import logger from '../utils/logger.js';
+import { requireApiKey } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Stable error codes and the HTTP status they are sent with
+export const ERROR_CODES = {
+  API_KEY_REQUIRED: 401, // Sent by requireApiKey
+  INVALID_API_KEY: 401, // Sent by requireApiKey
+  INVALID_REQUEST: 400,
+  INVALID_INTENSITY: 400,
+  NOT_FOUND: 404,
+  ROOM_NOT_FOUND: 404,
+  TRACK_NOT_FOUND: 404,
+  COLLECTION_NOT_FOUND: 404,
+  SCENE_NOT_FOUND: 404,
+  CUE_NOT_FOUND: 404,
+  AMBIGUOUS_NAME: 409,
+  ROOM_LINKED: 409,
+  NOTHING_TO_RESUME: 409,
+  NO_ADAPTIVE_CUE: 409,
+  EMPTY_COLLECTION: 409,
+  INTERNAL_ERROR: 500,
+};
+
+// Collection types that can be played into a room
+const PLAYABLE_COLLECTION_TYPES = ['folder', 'playlist'];
+
+/**
+ * An error with a stable code for automation callers
+ */
+class AutomationError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * Map errors thrown by the sync controller onto stable codes
+ */
+const toAutomationError = (error) => {
+  if (error instanceof AutomationError) return error;
+  if (error.message.includes('No adaptive cue')) return new AutomationError('NO_ADAPTIVE_CUE', error.message);
+  if (error.message.includes('Invalid intensity')) return new AutomationError('INVALID_INTENSITY', error.message);
+  if (error.message.includes('No track to resume')) return new AutomationError('NOTHING_TO_RESUME', error.message);
+  if (error.message.includes('Track not found')) return new AutomationError('TRACK_NOT_FOUND', error.message);
+  if (error.message.includes('Collection not found')) return new AutomationError('COLLECTION_NOT_FOUND', error.message);
+  if (error.message.includes('Scene not found')) return new AutomationError('SCENE_NOT_FOUND', error.message);
+  return new AutomationError('INTERNAL_ERROR', error.message);
+};
+
+/**
+ * Wrap an automation handler: its result is sent as JSON, its errors as { error, message }
+ */
+const action = (description, handler) => async (req, res) => {
+  try {
+    res.json(await handler(req));
+  } catch (error) {
+    const { code, message } = toAutomationError(error);
+    if (code === 'INTERNAL_ERROR') {
+      logger.error({ error, keyId: req.apiKey?.id }, `Automation failed to ${description}`);
+    }
+    res.status(ERROR_CODES[code]).json({ error: code, message });
+  }
+};
+
+/**
+ * Find one item by ID, falling back to an exact (case-insensitive) name match
+ */
+const resolve = (value, { label, code, getById, findByName }) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new AutomationError('INVALID_REQUEST', `${label} must be an ID or name`);
+  }
+
+  const byId = getById(value);
+  if (byId) {
+    return byId;
+  }
+
+  const matches = findByName(value.trim());
+  if (matches.length === 0) {
+    throw new AutomationError(code, `No ${label} matches "${value}"`);
+  }
+  if (matches.length > 1) {
+    throw new AutomationError('AMBIGUOUS_NAME', `${matches.length} ${label}s are named "${value}", use the ID instead`);
+  }
+  return matches[0];
+};
+
+const sameName = (name) => (item) => item.name?.toLowerCase() === name.toLowerCase();
+
+const resolveTrack = (value) => resolve(value, {
+  label: 'track',
+  code: 'TRACK_NOT_FOUND',
+  getById: (id) => trackQueries.getById(id),
+  findByName: (title) => trackQueries.getByTitle(title),
+});
+
+const resolveCollection = (value) => resolve(value, {
+  label: 'collection',
+  code: 'COLLECTION_NOT_FOUND',
+  getById: (id) => {
+    const collection = collectionQueries.getCollection(id);
+    return PLAYABLE_COLLECTION_TYPES.includes(collection?.type) ? collection : null;
+  },
+  findByName: (name) => PLAYABLE_COLLECTION_TYPES
+    .flatMap(type => collectionQueries.getCollections(type))
+    .filter(sameName(name)),
+});
+
+const resolveScene = (value) => resolve(value, {
+  label: 'scene',
+  code: 'SCENE_NOT_FOUND',
+  getById: (id) => getSyncController().getScene(id),
+  findByName: (name) => getSyncController().getScenes().filter(sameName(name)),
+});
+
+const resolveCue = (value) => resolve(value, {
+  label: 'cue',
+  code: 'CUE_NOT_FOUND',
+  getById: (id) => getSyncController().getCue(id),
+  findByName: (name) => getSyncController().getCues().filter(sameName(name)),
+});
+
+/**
+ * Find a cue variant by intensity level or label
+ */
+const resolveVariant = (cue, intensity) => {
+  const variant = typeof intensity === 'string'
+    ? cue.variants.find(candidate => candidate.label?.toLowerCase() === intensity.trim().toLowerCase())
+    : cue.variants.find(candidate => candidate.intensity === intensity);
+  if (!variant) {
+    throw new AutomationError('INVALID_INTENSITY', `Cue "${cue.name}" has no variant "${intensity}"`);
+  }
+  return variant;
+};
+
+/**
+ * Check an optional fade duration in seconds
+ */
+const checkFade = (value, field) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value !== 'number' || value < 0 || value > MAX_FADE_DURATION) {
+    throw new AutomationError('INVALID_REQUEST', `${field} must be between 0 and ${MAX_FADE_DURATION} seconds`);
+  }
+  return value || null;
+};
+
+/**
+ * Build the room state returned to automation callers
+ */
+const formatRoomState = (roomId) => {
+  const room = roomStateManager.getRoom(roomId);
+  const state = getSyncController().getState(roomId);
+  const cue = state.adaptiveCue ? getSyncController().getCue(state.adaptiveCue.cueId) : null;
+  const variant = cue?.variants.find(candidate => candidate.intensity === state.adaptiveCue.intensity);
+
+  return {
+    room: { id: room.id, number: room.number, name: room.name, linkedTo: room.leaderId },
+    playbackState: state.playbackState,
+    track: state.currentTrack ? {
+      id: state.currentTrack.id,
+      title: state.currentTrack.title,
+      artist: state.currentTrack.artist,
+      album: state.currentTrack.album,
+      duration: state.currentTrack.duration,
+    } : null,
+    playlistIndex: state.currentTrackPlaylistIndex,
+    position: state.position,
+    volume: state.volume,
+    repeat: state.repeatMode,
+    loopPlaylist: state.loopPlaylist,
+    shuffle: state.shuffleMode,
+    loopStart: state.loopStart,
+    loopEnd: state.loopEnd,
+    adaptiveCue: cue ? {
+      id: cue.id,
+      name: cue.name,
+      intensity: state.adaptiveCue.intensity,
+      label: variant?.label || null,
+    } : null,
+    serverTime: state.serverTime,
+  };
+};
+
+router.use(requireApiKey);
+
+/**
+ * Resolve the :room parameter (ID, number or name) to a room ID
+ */
+router.param('room', (req, res, next, value) => {
+  try {
+    let roomId = roomStateManager.roomExists(value) ? value : null;
+    if (!roomId) {
+      const rooms = roomStateManager.getAllRooms();
+      const matches = /^\d+$/.test(value)
+        ? rooms.filter(room => room.number === Number(value))
+        : rooms.filter(sameName(value));
+      if (matches.length > 1) {
+        throw new AutomationError('AMBIGUOUS_NAME', `${matches.length} rooms are named "${value}", use the ID instead`);
+      }
+      roomId = matches[0]?.id;
+    }
+    if (!roomId) {
+      throw new AutomationError('ROOM_NOT_FOUND', `No room matches "${value}"`);
+    }
+
+    req.roomId = roomId;
+    next();
+  } catch (error) {
+    const { code, message } = toAutomationError(error);
+    res.status(ERROR_CODES[code]).json({ error: code, message });
+  }
+});
+
+/**
+ * Refuse playback changes in a room that mirrors another room
+ */
+const rejectLinkedRoom = (req, res, next) => {
+  const leaderId = roomStateManager.getLeaderId(req.roomId);
+  if (!leaderId) {
+    return next();
+  }
+  res.status(ERROR_CODES.ROOM_LINKED).json({
+    error: 'ROOM_LINKED',
+    message: `Room ${req.roomId} mirrors ${leaderId} until it is unlinked`,
+  });
+};
+
+/**
+ * List rooms
+ * GET /api/v1/automation/rooms
+ */
+router.get('/rooms', action('list rooms', () => ({
+  rooms: roomStateManager.getAllRooms().map(room => ({
+    id: room.id,
+    number: room.number,
+    name: room.name,
+    linkedTo: room.leaderId,
+    playbackState: room.isPlaying ? 'playing' : room.hasTrack ? 'paused' : 'stopped',
+    track: room.currentTrack ? { id: room.currentTrack.id, title: room.currentTrack.title } : null,
+  })),
+})));
+
+/**
+ * Get a room's playback state
+ * GET /api/v1/automation/rooms/:room
+ */
+router.get('/rooms/:room', action('get room state', (req) => formatRoomState(req.roomId)));
+
+/**
+ * Play a track, collection, scene or adaptive cue (each by ID or name)
+ * POST /api/v1/automation/rooms/:room/play
+ * Body: { track | collection | scene | cue: string, position?: number (track only),
+ *         intensity?: number | string (cue only), fadeIn?: number (seconds) }
+ */
+router.post('/rooms/:room/play', rejectLinkedRoom, action('play', async (req) => {
+  const { track, collection, scene, cue, position = 0, intensity, fadeIn } = req.body || {};
+  const targets = [track, collection, scene, cue].filter(value => value !== undefined);
+  if (targets.length !== 1) {
+    throw new AutomationError('INVALID_REQUEST', 'Send exactly one of track, collection, scene or cue');
+  }
+  if (typeof position !== 'number' || position < 0) {
+    throw new AutomationError('INVALID_REQUEST', 'position must be a number of seconds >= 0');
+  }
+  const options = { fadeIn: checkFade(fadeIn, 'fadeIn') };
+  const syncController = getSyncController();
+
+  if (track !== undefined) {
+    const found = resolveTrack(track);
+    await syncController.playTrack(found.id, req.roomId, Math.min(position, found.duration || Infinity), null, options);
+  } else if (collection !== undefined) {
+    const result = await syncController.playCollection(resolveCollection(collection).id, req.roomId, options);
+    if (!result.success) {
+      throw new AutomationError('EMPTY_COLLECTION', 'The collection has no tracks');
+    }
+  } else if (scene !== undefined) {
+    await syncController.recallScene(resolveScene(scene).id, req.roomId);
+  } else {
+    const found = resolveCue(cue);
+    const variant = intensity !== undefined ? resolveVariant(found, intensity) : found.variants[0];
+    if (!variant) {
+      throw new AutomationError('CUE_NOT_FOUND', `Cue "${found.name}" has no variants`);
+    }
+    await syncController.playTrack(variant.trackId, req.roomId, 0, null, options);
+  }
+
+  return { success: true, state: formatRoomState(req.roomId) };
+}));
+
+/**
+ * Pause, optionally fading out first
+ * POST /api/v1/automation/rooms/:room/pause
+ * Body: { fadeOut?: number (seconds) }
+ */
+router.post('/rooms/:room/pause', rejectLinkedRoom, action('pause', (req) => {
+  const fadeOut = checkFade(req.body?.fadeOut, 'fadeOut');
+  const syncController = getSyncController();
+  if (fadeOut) {
+    syncController.fadeOut(req.roomId, fadeOut, 'pause');
+  } else {
+    syncController.pause(req.roomId);
+  }
+  return { success: true, state: formatRoomState(req.roomId) };
+}));
+
+/**
+ * Resume, optionally fading in
+ * POST /api/v1/automation/rooms/:room/resume
+ * Body: { fadeIn?: number (seconds) }
+ */
+router.post('/rooms/:room/resume', rejectLinkedRoom, action('resume', (req) => {
+  const fadeIn = checkFade(req.body?.fadeIn, 'fadeIn');
+  getSyncController().resume(req.roomId, { fadeIn });
+  return { success: true, state: formatRoomState(req.roomId) };
+}));
+
+/**
+ * Stop, optionally fading out first
+ * POST /api/v1/automation/rooms/:room/stop
+ * Body: { fadeOut?: number (seconds) }
+ */
+router.post('/rooms/:room/stop', rejectLinkedRoom, action('stop', (req) => {
+  const fadeOut = checkFade(req.body?.fadeOut, 'fadeOut');
+  const syncController = getSyncController();
+  if (fadeOut) {
+    syncController.fadeOut(req.roomId, fadeOut, 'stop');
+  } else {
+    syncController.stop(req.roomId);
+  }
+  return { success: true, state: formatRoomState(req.roomId) };
+}));
+
+/**
+ * Skip to the next track (up-next queue first, then the playlist)
+ * POST /api/v1/automation/rooms/:room/next
+ */
+router.post('/rooms/:room/next', rejectLinkedRoom, action('play the next track', async (req) => {
+  await getSyncController().playNextTrack(req.roomId);
+  return { success: true, state: formatRoomState(req.roomId) };
+}));
+
+/**
+ * Go back to the previous playlist track
+ * POST /api/v1/automation/rooms/:room/previous
+ */
+router.post('/rooms/:room/previous', rejectLinkedRoom, action('play the previous track', async (req) => {
+  await getSyncController().playPreviousTrack(req.roomId);
+  return { success: true, state: formatRoomState(req.roomId) };
+}));
+
+/**
+ * Switch the adaptive cue playing in a room to another intensity
+ * POST /api/v1/automation/rooms/:room/intensity
+ * Body: { intensity: number (level, 0 = calmest) | string (variant label) }
+ */
+router.post('/rooms/:room/intensity', rejectLinkedRoom, action('set intensity', (req) => {
+  const { intensity } = req.body || {};
+  if (!Number.isInteger(intensity) && (typeof intensity !== 'string' || !intensity.trim())) {
+    throw new AutomationError('INVALID_REQUEST', 'intensity must be a level number or a variant label');
+  }
+
+  const syncController = getSyncController();
+  const { adaptiveCue } = roomStateManager.getRoomState(req.roomId);
+  const cue = adaptiveCue ? syncController.getCue(adaptiveCue.cueId) : null;
+  if (!cue) {
+    throw new AutomationError('NO_ADAPTIVE_CUE', 'No adaptive cue is playing');
+  }
+
+  syncController.setIntensity(resolveVariant(cue, intensity).intensity, req.roomId);
+  return { success: true, state: formatRoomState(req.roomId) };
+}));
+
+/**
+ * Set repeat, playlist loop and custom loop points
+ * POST /api/v1/automation/rooms/:room/loop
+ * Body: { repeat?: boolean, loopPlaylist?: boolean, loopStart?: number | null, loopEnd?: number | null }
+ * (loopStart and loopEnd go together; both null clears them)
+ */
+router.post('/rooms/:room/loop', rejectLinkedRoom, action('set loops', (req) => {
+  const { repeat, loopPlaylist, loopStart, loopEnd } = req.body || {};
+
+  for (const [field, value] of [['repeat', repeat], ['loopPlaylist', loopPlaylist]]) {
+    if (value !== undefined && typeof value !== 'boolean') {
+      throw new AutomationError('INVALID_REQUEST', `${field} must be true or false`);
+    }
+  }
+  const setsLoopPoints = loopStart !== undefined || loopEnd !== undefined;
+  const clearsLoopPoints = loopStart === null && loopEnd === null;
+  if (setsLoopPoints && !clearsLoopPoints
+    && (typeof loopStart !== 'number' || typeof loopEnd !== 'number' || loopStart < 0 || loopEnd <= loopStart)) {
+    throw new AutomationError('INVALID_REQUEST', 'loopStart must be >= 0 and loopEnd must be > loopStart (or both null)');
+  }
+  if (repeat === undefined && loopPlaylist === undefined && !setsLoopPoints) {
+    throw new AutomationError('INVALID_REQUEST', 'Send repeat, loopPlaylist or loopStart and loopEnd');
+  }
+
+  const syncController = getSyncController();
+  const roomState = roomStateManager.getRoomState(req.roomId);
+  if (repeat !== undefined && repeat !== roomState.repeatMode) {
+    syncController.toggleRepeat(req.roomId);
+  }
+  if (loopPlaylist !== undefined && loopPlaylist !== roomState.loopPlaylist) {
+    syncController.toggleLoop(req.roomId);
+  }
+  if (clearsLoopPoints) {
+    syncController.clearLoopPoints(req.roomId);
+  } else if (setsLoopPoints) {
+    syncController.setLoopPoints(loopStart, loopEnd, req.roomId);
+  }
+
+  return { success: true, state: formatRoomState(req.roomId) };
+}));
+
+// Anything else under /api/v1/automation
+router.use((req, res) => {
+  res.status(ERROR_CODES.NOT_FOUND).json({
+    error: 'NOT_FOUND',
+    message: `No automation endpoint ${req.method} ${req.path}`,
+  });
+});
+
+export default router;
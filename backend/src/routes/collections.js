@@ -6,8 +6,9 @@
 import express from 'express';
 import { getDb } from '../db/database.js';
 import * as collectionQueries from '../db/collectionQueries.js';
-import { getIO } from '../websocket/socketServer.js';
+import { getIO, getSyncController } from '../websocket/socketServer.js';
 import logger from '../utils/logger.js';
+import { requireGMForWrites } from '../middleware/roles.js';
 
 const router = express.Router();
 
@@ -22,11 +23,12 @@ const emitPlaylistUpdate = (collectionId) => {
       const io = getIO();
       if (io) {
         // Extract room ID if this is a room-specific playlist
-        const roomMatch = collectionId.match(/^current-playlist-room-(\d+)$/);
+        const roomMatch = collectionId.match(/^current-playlist-(room-.+)$/);
         if (roomMatch) {
-          const roomId = `room-${roomMatch[1]}`;
+          const roomId = roomMatch[1];
           io.to(roomId).emit('playlist_update', { collectionId, roomId });
           logger.info({ event: 'playlist_update', roomId, collectionId }, '📢 Broadcasting playlist update to room');
+          getSyncController().handlePlaylistChange(roomId);
         } else {
           // Legacy 'current-playlist' - broadcast to all
           io.emit('playlist_update', { collectionId });
@@ -42,6 +44,9 @@ const emitPlaylistUpdate = (collectionId) => {
 export default () => {
   // Get db lazily in each route to avoid initialization order issues
 
+  // Only GMs edit collections; room playlists are checked against their own room
+  router.use(requireGMForWrites(req => req.path.match(/^\/current-playlist-(room-[^/]+)/)?.[1] || null));
+
   /**
    * GET /api/collections
    * Get all collections, optionally filtered by type and parent
@@ -122,7 +127,7 @@ export default () => {
         return res.status(400).json({ error: 'Name and type are required' });
       }
 
-      if (!['library', 'playlist', 'folder'].includes(type)) {
+      if (!['library', 'playlist', 'folder', 'sfx'].includes(type)) {
         return res.status(400).json({ error: 'Invalid collection type' });
       }
 
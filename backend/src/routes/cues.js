@@ -0,0 +1,156 @@
+import express from 'express';
+import { getSyncController } from '../websocket/socketServer.js';
+import logger from '../utils/logger.js';
+import { requireGMForWrites } from '../middleware/roles.js';
+
+const router = express.Router();
+
+// Only GMs edit adaptive cues
+router.use(requireGMForWrites());
+
+/**
+ * Map variant validation errors to a 400 response
+ */
+function sendVariantError(res, error) {
+  if (error.message.includes('Invalid variants') || error.message.includes('Track not found')) {
+    res.status(400).json({ error: error.message });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * List all adaptive cues with their variants
+ * GET /api/cues
+ */
+router.get('/', (req, res) => {
+  try {
+    const syncController = getSyncController();
+    res.json(syncController.getCues());
+  } catch (error) {
+    logger.error({ error }, 'Failed to list cues');
+    res.status(500).json({
+      error: 'Failed to list cues',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Get an adaptive cue
+ * GET /api/cues/:id
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const syncController = getSyncController();
+    const cue = syncController.getCue(req.params.id);
+
+    if (!cue) {
+      return res.status(404).json({ error: 'Cue not found' });
+    }
+
+    res.json(cue);
+  } catch (error) {
+    logger.error({ error }, 'Failed to get cue');
+    res.status(500).json({
+      error: 'Failed to get cue',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Create an adaptive cue
+ * POST /api/cues
+ * Body: { name: string, variants: [{ trackId: string, label?: string }] } (calmest first)
+ */
+router.post('/', (req, res) => {
+  try {
+    const { name, variants } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        error: 'Missing or invalid field: name',
+      });
+    }
+
+    const syncController = getSyncController();
+    const result = syncController.createCue(name.trim(), variants);
+
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error({ error }, 'Failed to create cue');
+    if (sendVariantError(res, error)) {
+      return;
+    }
+    res.status(500).json({
+      error: 'Failed to create cue',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Rename an adaptive cue and/or replace its variants
+ * PUT /api/cues/:id
+ * Body: { name?: string, variants?: [{ trackId: string, label?: string }] }
+ */
+router.put('/:id', (req, res) => {
+  try {
+    const { name, variants } = req.body;
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({
+        error: 'Invalid field: name',
+      });
+    }
+
+    if (name === undefined && variants === undefined) {
+      return res.status(400).json({
+        error: 'Missing field: name or variants',
+      });
+    }
+
+    const syncController = getSyncController();
+    if (!syncController.getCue(req.params.id)) {
+      return res.status(404).json({ error: 'Cue not found' });
+    }
+
+    const result = syncController.updateCue(req.params.id, { name: name?.trim(), variants });
+
+    res.json(result);
+  } catch (error) {
+    logger.error({ error }, 'Failed to update cue');
+    if (sendVariantError(res, error)) {
+      return;
+    }
+    res.status(500).json({
+      error: 'Failed to update cue',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Delete an adaptive cue
+ * DELETE /api/cues/:id
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    const syncController = getSyncController();
+
+    if (!syncController.getCue(req.params.id)) {
+      return res.status(404).json({ error: 'Cue not found' });
+    }
+
+    res.json(syncController.deleteCue(req.params.id));
+  } catch (error) {
+    logger.error({ error }, 'Failed to delete cue');
+    res.status(500).json({
+      error: 'Failed to delete cue',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
 import logger from '../utils/logger.js';
 import downloadQueue from '../services/downloadQueue.js';
+import { requireAdmin } from '../middleware/auth.js';
 import { 
   searchYouTube, 
   isValidYouTubeUrl, 
@@ -471,10 +472,10 @@ router.post('/clear/completed', (req, res) => {
 });
 
 /**
- * Clear all jobs from queue
+ * Clear all jobs from queue (admins only once accounts exist)
  * POST /api/downloads/clear/all
  */
-router.post('/clear/all', (req, res) => {
+router.post('/clear/all', requireAdmin, (req, res) => {
   try {
     const deletedCount = downloadQueue.clearAll();
     
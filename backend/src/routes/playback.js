@@ -1,17 +1,61 @@
 import express from 'express';
 import { getSyncController } from '../websocket/socketServer.js';
+import { CHANNELS } from '../websocket/channelState.js';
+import { MAX_DUCK_RAMP } from '../websocket/sessionState.js';
+import roomStateManager from '../websocket/roomState.js';
 import logger from '../utils/logger.js';
+import { requireGMForWrites, requireRoomAccessForReads } from '../middleware/roles.js';
 
 const router = express.Router();
 
+// Only GMs control playback
+router.use(requireGMForWrites());
+router.use(requireRoomAccessForReads());
+
+/**
+ * Refuse playback changes in a room that mirrors another room
+ * The room's own up-next queue can still be edited for when it is unlinked
+ */
+const rejectLinkedRoom = (req, res, next) => {
+  const leaderId = roomStateManager.getLeaderId(req.body?.roomId || 'room-1');
+  if (req.method === 'GET' || req.path.startsWith('/queue') || !leaderId) {
+    return next();
+  }
+  res.status(409).json({
+    error: 'Room is linked',
+    message: `This room mirrors ${leaderId} until it is unlinked`,
+  });
+};
+
+router.use(rejectLinkedRoom);
+
+/**
+ * Validate the :channel route parameter
+ */
+const validateChannel = (req, res, next) => {
+  if (!CHANNELS.includes(req.params.channel)) {
+    return res.status(400).json({
+      error: `Invalid channel: ${req.params.channel}`,
+      channels: CHANNELS,
+    });
+  }
+  next();
+};
+
+/**
+ * Check an optional fade duration in seconds (0 or missing = no fade)
+ */
+const isValidFade = (value) => value === undefined || value === null
+  || (typeof value === 'number' && value >= 0);
+
 /**
  * Play a track
  * POST /api/playback/play
- * Body: { trackId: string, startPosition?: number, playlistIndex?: number }
+ * Body: { trackId: string, startPosition?: number, playlistIndex?: number, fadeIn?: number (seconds) }
  */
 router.post('/play', async (req, res) => {
   try {
-    const { trackId, startPosition = 0, roomId = 'room-1', playlistIndex = null } = req.body;
+    const { trackId, startPosition = 0, roomId = 'room-1', playlistIndex = null, fadeIn } = req.body;
 
     if (!trackId) {
       return res.status(400).json({
@@ -19,8 +63,14 @@ router.post('/play', async (req, res) => {
       });
     }
 
+    if (!isValidFade(fadeIn)) {
+      return res.status(400).json({
+        error: 'Invalid field: fadeIn',
+      });
+    }
+
     const syncController = getSyncController();
-    const result = await syncController.playTrack(trackId, roomId, startPosition, playlistIndex);
+    const result = await syncController.playTrack(trackId, roomId, startPosition, playlistIndex, { fadeIn });
 
     res.json(result);
   } catch (error) {
@@ -32,15 +82,96 @@ router.post('/play', async (req, res) => {
   }
 });
 
+/**
+ * Play a stinger over the current music, then resume the music where it left off
+ * POST /api/playback/stinger
+ * Body: { trackId: string }
+ */
+router.post('/stinger', (req, res) => {
+  try {
+    const { trackId, roomId = 'room-1' } = req.body;
+
+    if (!trackId) {
+      return res.status(400).json({
+        error: 'Missing required field: trackId',
+      });
+    }
+
+    const syncController = getSyncController();
+    const result = syncController.playStinger(trackId, roomId);
+
+    res.json(result);
+  } catch (error) {
+    logger.error({ error }, 'Failed to play stinger');
+    res.status(500).json({
+      error: 'Failed to play stinger',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Play a one-shot sound effect over the room's music (the room state is left alone)
+ * POST /api/playback/sfx
+ * Body: { trackId: string, volume?: number (0.0 to 1.0), pan?: number (-1 left to 1 right), duck?: boolean }
+ */
+router.post('/sfx', (req, res) => {
+  try {
+    const { trackId, roomId = 'room-1', volume, pan, duck = false } = req.body;
+
+    if (!trackId) {
+      return res.status(400).json({
+        error: 'Missing required field: trackId',
+      });
+    }
+
+    if (volume !== undefined && (typeof volume !== 'number' || volume < 0 || volume > 1)) {
+      return res.status(400).json({
+        error: 'Invalid field: volume',
+      });
+    }
+
+    if (pan !== undefined && (typeof pan !== 'number' || pan < -1 || pan > 1)) {
+      return res.status(400).json({
+        error: 'Invalid field: pan',
+      });
+    }
+
+    const syncController = getSyncController();
+    const result = syncController.playSfx(trackId, roomId, { volume, pan, duck });
+
+    res.json(result);
+  } catch (error) {
+    logger.error({ error }, 'Failed to play sound effect');
+    if (error.message.includes('Track not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({
+      error: 'Failed to play sound effect',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * Pause playback
  * POST /api/playback/pause
+ * Body: { fadeOut?: number (fade out over this many seconds, then pause) }
  */
 router.post('/pause', (req, res) => {
   try {
-    const { roomId = 'room-1' } = req.body;
+    const { roomId = 'room-1', fadeOut } = req.body;
+
+    if (!isValidFade(fadeOut)) {
+      return res.status(400).json({
+        error: 'Invalid field: fadeOut',
+      });
+    }
+
     const syncController = getSyncController();
-    const result = syncController.pause(roomId);
+    const result = fadeOut
+      ? syncController.fadeOut(roomId, fadeOut, 'pause')
+      : syncController.pause(roomId);
 
     res.json(result);
   } catch (error) {
@@ -55,12 +186,20 @@ router.post('/pause', (req, res) => {
 /**
  * Resume playback
  * POST /api/playback/resume
+ * Body: { fadeIn?: number (fade in over this many seconds) }
  */
 router.post('/resume', (req, res) => {
   try {
-    const { roomId = 'room-1' } = req.body;
+    const { roomId = 'room-1', fadeIn } = req.body;
+
+    if (!isValidFade(fadeIn)) {
+      return res.status(400).json({
+        error: 'Invalid field: fadeIn',
+      });
+    }
+
     const syncController = getSyncController();
-    const result = syncController.resume(roomId);
+    const result = syncController.resume(roomId, { fadeIn });
 
     res.json(result);
   } catch (error) {
@@ -75,12 +214,22 @@ router.post('/resume', (req, res) => {
 /**
  * Stop playback
  * POST /api/playback/stop
+ * Body: { fadeOut?: number (fade out over this many seconds, then stop) }
  */
 router.post('/stop', (req, res) => {
   try {
-    const { roomId = 'room-1' } = req.body;
+    const { roomId = 'room-1', fadeOut } = req.body;
+
+    if (!isValidFade(fadeOut)) {
+      return res.status(400).json({
+        error: 'Invalid field: fadeOut',
+      });
+    }
+
     const syncController = getSyncController();
-    const result = syncController.stop(roomId);
+    const result = fadeOut
+      ? syncController.fadeOut(roomId, fadeOut, 'stop')
+      : syncController.stop(roomId);
 
     res.json(result);
   } catch (error) {
@@ -148,6 +297,111 @@ router.post('/volume', (req, res) => {
   }
 });
 
+/**
+ * Set crossfade settings
+ * POST /api/playback/crossfade
+ * Body: { duration: number (seconds, 0 = off), manual?: boolean }
+ */
+router.post('/crossfade', (req, res) => {
+  try {
+    const { duration, manual = false, roomId = 'room-1' } = req.body;
+
+    if (typeof duration !== 'number' || duration < 0) {
+      return res.status(400).json({
+        error: 'Missing or invalid field: duration',
+      });
+    }
+
+    const syncController = getSyncController();
+    const result = syncController.setCrossfade(duration, manual, roomId);
+
+    res.json(result);
+  } catch (error) {
+    logger.error({ error }, 'Failed to set crossfade');
+    res.status(500).json({
+      error: 'Failed to set crossfade',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Set how the music ducks under sound effects
+ * POST /api/playback/ducking
+ * Body: { amount?: number (0 = off, 1 = silent), attack?: number (seconds), release?: number (seconds) }
+ */
+router.post('/ducking', (req, res) => {
+  try {
+    const { amount, attack, release, roomId = 'room-1' } = req.body;
+
+    if (amount !== undefined && (typeof amount !== 'number' || amount < 0 || amount > 1)) {
+      return res.status(400).json({
+        error: 'Invalid field: amount',
+      });
+    }
+
+    for (const [name, value] of Object.entries({ attack, release })) {
+      if (value !== undefined && (typeof value !== 'number' || value < 0 || value > MAX_DUCK_RAMP)) {
+        return res.status(400).json({
+          error: `Invalid field: ${name}`,
+          message: `${name} must be between 0 and ${MAX_DUCK_RAMP} seconds`,
+        });
+      }
+    }
+
+    const syncController = getSyncController();
+    const result = syncController.setDucking({ amount, attack, release }, roomId);
+
+    res.json(result);
+  } catch (error) {
+    logger.error({ error }, 'Failed to set ducking');
+    res.status(500).json({
+      error: 'Failed to set ducking',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Switch the adaptive cue playing in a room to another intensity
+ * POST /api/playback/intensity
+ * Body: { intensity: number (variant level, 0 = calmest), crossfade?: number (seconds) }
+ */
+router.post('/intensity', (req, res) => {
+  try {
+    const { intensity, crossfade, roomId = 'room-1' } = req.body;
+
+    if (!Number.isInteger(intensity) || intensity < 0) {
+      return res.status(400).json({
+        error: 'Missing or invalid field: intensity',
+      });
+    }
+
+    if (crossfade !== undefined && (typeof crossfade !== 'number' || crossfade < 0)) {
+      return res.status(400).json({
+        error: 'Invalid field: crossfade',
+      });
+    }
+
+    const syncController = getSyncController();
+    const result = syncController.setIntensity(intensity, roomId, { crossfade });
+
+    res.json(result);
+  } catch (error) {
+    logger.error({ error }, 'Failed to set intensity');
+    if (error.message.includes('No adaptive cue')) {
+      return res.status(409).json({ error: error.message });
+    }
+    if (error.message.includes('Invalid intensity')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({
+      error: 'Failed to set intensity',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * Toggle repeat mode
  * POST /api/playback/repeat
@@ -188,6 +442,26 @@ router.post('/loop', (req, res) => {
   }
 });
 
+/**
+ * Toggle shuffle mode
+ * POST /api/playback/shuffle
+ */
+router.post('/shuffle', (req, res) => {
+  try {
+    const { roomId = 'room-1' } = req.body;
+    const syncController = getSyncController();
+    const result = syncController.toggleShuffle(roomId);
+
+    res.json(result);
+  } catch (error) {
+    logger.error({ error }, 'Failed to toggle shuffle mode');
+    res.status(500).json({
+      error: 'Failed to toggle shuffle mode',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * Set custom loop points for repeat mode
  * POST /api/playback/loop-points
@@ -262,6 +536,136 @@ router.post('/next', async (req, res) => {
   }
 });
 
+/**
+ * Get the up-next queue of a room
+ * GET /api/playback/queue
+ */
+router.get('/queue', (req, res) => {
+  try {
+    const { roomId = 'room-1' } = req.query;
+    const syncController = getSyncController();
+
+    res.json(syncController.getState(roomId).queue);
+  } catch (error) {
+    logger.error({ error }, 'Failed to get queue');
+    res.status(500).json({
+      error: 'Failed to get queue',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Add a track to the up-next queue (played before the playlist continues)
+ * POST /api/playback/queue
+ * Body: { trackId: string, position?: number }
+ */
+router.post('/queue', (req, res) => {
+  try {
+    const { trackId, position = null, roomId = 'room-1' } = req.body;
+
+    if (!trackId) {
+      return res.status(400).json({
+        error: 'Missing required field: trackId',
+      });
+    }
+
+    if (position !== null && (!Number.isInteger(position) || position < 0)) {
+      return res.status(400).json({
+        error: 'Invalid field: position',
+      });
+    }
+
+    const syncController = getSyncController();
+    const result = syncController.enqueueTrack(trackId, roomId, position);
+
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error({ error }, 'Failed to add track to queue');
+    if (error.message === 'Track not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({
+      error: 'Failed to add track to queue',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Move a queue entry
+ * PUT /api/playback/queue/:entryId
+ * Body: { position: number }
+ */
+router.put('/queue/:entryId', (req, res) => {
+  try {
+    const { position, roomId = 'room-1' } = req.body;
+
+    if (!Number.isInteger(position) || position < 0) {
+      return res.status(400).json({
+        error: 'Missing or invalid field: position',
+      });
+    }
+
+    const syncController = getSyncController();
+    const result = syncController.moveQueueEntry(req.params.entryId, position, roomId);
+
+    res.json(result);
+  } catch (error) {
+    logger.error({ error }, 'Failed to move queue entry');
+    if (error.message === 'Queue entry not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({
+      error: 'Failed to move queue entry',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Remove a queue entry
+ * DELETE /api/playback/queue/:entryId
+ */
+router.delete('/queue/:entryId', (req, res) => {
+  try {
+    const { roomId = 'room-1' } = req.body;
+    const syncController = getSyncController();
+    const result = syncController.removeQueueEntry(req.params.entryId, roomId);
+
+    res.json(result);
+  } catch (error) {
+    logger.error({ error }, 'Failed to remove queue entry');
+    if (error.message === 'Queue entry not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({
+      error: 'Failed to remove queue entry',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Empty the up-next queue
+ * DELETE /api/playback/queue
+ */
+router.delete('/queue', (req, res) => {
+  try {
+    const { roomId = 'room-1' } = req.body;
+    const syncController = getSyncController();
+    const result = syncController.clearQueue(roomId);
+
+    res.json(result);
+  } catch (error) {
+    logger.error({ error }, 'Failed to clear queue');
+    res.status(500).json({
+      error: 'Failed to clear queue',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * Play previous track in playlist
  * POST /api/playback/previous
@@ -282,6 +686,224 @@ router.post('/previous', async (req, res) => {
   }
 });
 
+/**
+ * Play a track on a channel (music, ambience, sfx)
+ * POST /api/playback/channels/:channel/play
+ * Body: { trackId: string, startPosition?: number }
+ */
+router.post('/channels/:channel/play', validateChannel, async (req, res) => {
+  try {
+    const { trackId, startPosition = 0, roomId = 'room-1' } = req.body;
+
+    if (!trackId) {
+      return res.status(400).json({
+        error: 'Missing required field: trackId',
+      });
+    }
+
+    const syncController = getSyncController();
+    const result = await syncController.playChannelTrack(req.params.channel, trackId, roomId, startPosition);
+
+    res.json(result);
+  } catch (error) {
+    logger.error({ error, channel: req.params.channel }, 'Failed to play track on channel');
+    res.status(500).json({
+      error: 'Failed to play track on channel',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Pause a channel
+ * POST /api/playback/channels/:channel/pause
+ */
+router.post('/channels/:channel/pause', validateChannel, (req, res) => {
+  try {
+    const { roomId = 'room-1' } = req.body;
+    const syncController = getSyncController();
+    const result = syncController.pauseChannel(req.params.channel, roomId);
+
+    res.json(result);
+  } catch (error) {
+    logger.error({ error, channel: req.params.channel }, 'Failed to pause channel');
+    res.status(500).json({
+      error: 'Failed to pause channel',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Resume a channel
+ * POST /api/playback/channels/:channel/resume
+ */
+router.post('/channels/:channel/resume', validateChannel, (req, res) => {
+  try {
+    const { roomId = 'room-1' } = req.body;
+    const syncController = getSyncController();
+    const result = syncController.resumeChannel(req.params.channel, roomId);
+
+    res.json(result);
+  } catch (error) {
+    logger.error({ error, channel: req.params.channel }, 'Failed to resume channel');
+    res.status(500).json({
+      error: 'Failed to resume channel',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Stop a channel
+ * POST /api/playback/channels/:channel/stop
+ */
+router.post('/channels/:channel/stop', validateChannel, (req, res) => {
+  try {
+    const { roomId = 'room-1' } = req.body;
+    const syncController = getSyncController();
+    const result = syncController.stopChannel(req.params.channel, roomId);
+
+    res.json(result);
+  } catch (error) {
+    logger.error({ error, channel: req.params.channel }, 'Failed to stop channel');
+    res.status(500).json({
+      error: 'Failed to stop channel',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Seek a channel
+ * POST /api/playback/channels/:channel/seek
+ * Body: { position: number }
+ */
+router.post('/channels/:channel/seek', validateChannel, (req, res) => {
+  try {
+    const { position, roomId = 'room-1' } = req.body;
+
+    if (typeof position !== 'number') {
+      return res.status(400).json({
+        error: 'Missing or invalid field: position',
+      });
+    }
+
+    const syncController = getSyncController();
+    const result = syncController.seekChannel(req.params.channel, position, roomId);
+
+    res.json(result);
+  } catch (error) {
+    logger.error({ error, channel: req.params.channel }, 'Failed to seek channel');
+    res.status(500).json({
+      error: 'Failed to seek channel',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Set channel volume
+ * POST /api/playback/channels/:channel/volume
+ * Body: { volume: number } (0.0 to 1.0)
+ */
+router.post('/channels/:channel/volume', validateChannel, (req, res) => {
+  try {
+    const { volume, roomId = 'room-1' } = req.body;
+
+    if (typeof volume !== 'number') {
+      return res.status(400).json({
+        error: 'Missing or invalid field: volume',
+      });
+    }
+
+    const syncController = getSyncController();
+    const result = syncController.setChannelVolume(req.params.channel, volume, roomId);
+
+    res.json(result);
+  } catch (error) {
+    logger.error({ error, channel: req.params.channel }, 'Failed to set channel volume');
+    res.status(500).json({
+      error: 'Failed to set channel volume',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Toggle channel repeat mode
+ * POST /api/playback/channels/:channel/repeat
+ */
+router.post('/channels/:channel/repeat', validateChannel, (req, res) => {
+  try {
+    const { roomId = 'room-1' } = req.body;
+    const syncController = getSyncController();
+    const result = syncController.toggleChannelRepeat(req.params.channel, roomId);
+
+    res.json(result);
+  } catch (error) {
+    logger.error({ error, channel: req.params.channel }, 'Failed to toggle channel repeat mode');
+    res.status(500).json({
+      error: 'Failed to toggle channel repeat mode',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Set channel loop points
+ * POST /api/playback/channels/:channel/loop-points
+ * Body: { loopStart: number, loopEnd: number } (in seconds)
+ */
+router.post('/channels/:channel/loop-points', validateChannel, (req, res) => {
+  try {
+    const { loopStart, loopEnd, roomId = 'room-1' } = req.body;
+
+    if (typeof loopStart !== 'number' || typeof loopEnd !== 'number') {
+      return res.status(400).json({
+        error: 'Invalid loop points: both loopStart and loopEnd must be numbers',
+      });
+    }
+
+    if (loopStart < 0 || loopEnd <= loopStart) {
+      return res.status(400).json({
+        error: 'Invalid loop points: loopStart must be >= 0 and loopEnd must be > loopStart',
+      });
+    }
+
+    const syncController = getSyncController();
+    const result = syncController.setChannelLoopPoints(req.params.channel, loopStart, loopEnd, roomId);
+
+    res.json(result);
+  } catch (error) {
+    logger.error({ error, channel: req.params.channel }, 'Failed to set channel loop points');
+    res.status(500).json({
+      error: 'Failed to set channel loop points',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Clear channel loop points
+ * DELETE /api/playback/channels/:channel/loop-points
+ */
+router.delete('/channels/:channel/loop-points', validateChannel, (req, res) => {
+  try {
+    const { roomId = 'room-1' } = req.body;
+    const syncController = getSyncController();
+    const result = syncController.clearChannelLoopPoints(req.params.channel, roomId);
+
+    res.json(result);
+  } catch (error) {
+    logger.error({ error, channel: req.params.channel }, 'Failed to clear channel loop points');
+    res.status(500).json({
+      error: 'Failed to clear channel loop points',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * Get current playback state
  * GET /api/playback/state
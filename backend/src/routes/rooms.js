@@ -0,0 +1,280 @@
+import express from 'express';
+import { getSyncController } from '../websocket/socketServer.js';
+import roomStateManager from '../websocket/roomState.js';
+import logger from '../utils/logger.js';
+import playHistory from '../services/playHistory.js';
+import { requireGM, requireGMForWrites, requireRoomAccessForReads } from '../middleware/roles.js';
+
+const router = express.Router();
+
+// Only GMs manage rooms: a room is managed by its own GMs, creating one needs a GM
+// of the caller's own room
+router.use('/:id', requireGMForWrites(req => req.params.id));
+router.use('/:id', requireRoomAccessForReads(req => req.params.id));
+
+/**
+ * List all rooms
+ * GET /api/rooms
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json(roomStateManager.getAllRooms());
+  } catch (error) {
+    logger.error({ error }, 'Failed to list rooms');
+    res.status(500).json({
+      error: 'Failed to list rooms',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Create a room
+ * POST /api/rooms
+ * Body: { name?: string }
+ */
+router.post('/', requireGM(() => null), (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (name != null && typeof name !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid field: name',
+      });
+    }
+
+    const syncController = getSyncController();
+    const result = syncController.createRoom(name?.trim() || null);
+
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error({ error }, 'Failed to create room');
+    res.status(500).json({
+      error: 'Failed to create room',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Rename a room
+ * PUT /api/rooms/:id
+ * Body: { name: string }
+ */
+router.put('/:id', (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        error: 'Missing or invalid field: name',
+      });
+    }
+
+    if (!roomStateManager.roomExists(req.params.id)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const syncController = getSyncController();
+    const result = syncController.renameRoom(req.params.id, name.trim());
+
+    res.json(result);
+  } catch (error) {
+    logger.error({ error }, 'Failed to rename room');
+    res.status(500).json({
+      error: 'Failed to rename room',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Set or clear the code clients need to join a room
+ * PUT /api/rooms/:id/join-code
+ * Body: { joinCode: string | null }
+ */
+router.put('/:id/join-code', (req, res) => {
+  try {
+    const { joinCode } = req.body;
+
+    if (joinCode !== null && typeof joinCode !== 'string') {
+      return res.status(400).json({
+        error: 'Missing or invalid field: joinCode',
+      });
+    }
+
+    if (!roomStateManager.roomExists(req.params.id)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const syncController = getSyncController();
+    const result = syncController.setRoomJoinCode(req.params.id, joinCode?.trim() || null);
+
+    res.json(result);
+  } catch (error) {
+    logger.error({ error }, 'Failed to set room join code');
+    if (error.message.includes('Cannot set')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({
+      error: 'Failed to set room join code',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Parse a history date filter: a timestamp in ms or an ISO date string
+ * Returns null when not given and NaN when invalid
+ */
+function parseTimeFilter(value) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+/**
+ * Get the tracks played in a room, newest first
+ * (while a room is linked, its plays are logged in the room it mirrors)
+ * GET /api/rooms/:id/history?from=2024-01-01&to=2024-01-02&limit=50&offset=0
+ */
+router.get('/:id/history', (req, res) => {
+  try {
+    if (!roomStateManager.roomExists(req.params.id)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const from = parseTimeFilter(req.query.from);
+    const to = parseTimeFilter(req.query.to);
+    for (const [field, value] of [['from', from], ['to', to]]) {
+      if (Number.isNaN(value)) {
+        return res.status(400).json({
+          error: `Invalid field: ${field}`,
+          message: 'Must be a timestamp in ms or an ISO date',
+        });
+      }
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = parseInt(req.query.offset) || 0;
+
+    res.json(playHistory.getHistory(req.params.id, { from, to, limit, offset }));
+  } catch (error) {
+    logger.error({ error }, 'Failed to get room history');
+    res.status(500).json({
+      error: 'Failed to get room history',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Get who is listening in a room (name, device, role, drift, blocked audio)
+ * GET /api/rooms/:id/presence
+ */
+router.get('/:id/presence', (req, res) => {
+  try {
+    if (!roomStateManager.roomExists(req.params.id)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    res.json(roomStateManager.getRoomPresence(req.params.id));
+  } catch (error) {
+    logger.error({ error }, 'Failed to get room presence');
+    res.status(500).json({
+      error: 'Failed to get room presence',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Link a room so it mirrors another room's playback until unlinked
+ * PUT /api/rooms/:id/link
+ * Body: { leaderId: string }
+ */
+router.put('/:id/link', (req, res) => {
+  try {
+    const { leaderId } = req.body;
+
+    if (typeof leaderId !== 'string' || !leaderId) {
+      return res.status(400).json({
+        error: 'Missing or invalid field: leaderId',
+      });
+    }
+
+    if (!roomStateManager.roomExists(req.params.id) || !roomStateManager.roomExists(leaderId)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const syncController = getSyncController();
+    const result = syncController.linkRoom(req.params.id, leaderId);
+
+    res.json(result);
+  } catch (error) {
+    logger.error({ error }, 'Failed to link room');
+    if (error.message.includes('Cannot link')) {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({
+      error: 'Failed to link room',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Unlink a room, returning it to its own playlist and playback
+ * DELETE /api/rooms/:id/link
+ */
+router.delete('/:id/link', (req, res) => {
+  try {
+    if (!roomStateManager.roomExists(req.params.id)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const syncController = getSyncController();
+    const result = syncController.unlinkRoom(req.params.id);
+
+    if (!result.success) {
+      return res.status(409).json({ error: 'Room is not linked' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error({ error }, 'Failed to unlink room');
+    res.status(500).json({
+      error: 'Failed to unlink room',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Delete a room (clients in it are moved to the default room)
+ * DELETE /api/rooms/:id
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    if (!roomStateManager.roomExists(req.params.id)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const syncController = getSyncController();
+    const result = syncController.deleteRoom(req.params.id);
+
+    res.json(result);
+  } catch (error) {
+    logger.error({ error }, 'Failed to delete room');
+    if (error.message.includes('Cannot delete')) {
+      return res.status(403).json({ error: error.message });
+    }
+    res.status(500).json({
+      error: 'Failed to delete room',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
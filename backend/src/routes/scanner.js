@@ -1,6 +1,7 @@
 import express from 'express';
 import fileScanner from '../scanner/fileScanner.js';
 import logger from '../utils/logger.js';
+import { requireAdmin } from '../middleware/auth.js';
 
 const { scanMusicLibrary, getScanStats, SUPPORTED_FORMATS } = fileScanner;
 
@@ -12,10 +13,10 @@ let lastScanResult = null;
 let scanProgress = null;
 
 /**
- * Trigger a music library scan
+ * Trigger a music library scan (admins only once accounts exist)
  * POST /api/scan
  */
-router.post('/', async (req, res) => {
+router.post('/', requireAdmin, async (req, res) => {
   if (scanInProgress) {
     return res.status(409).json({
       error: 'Scan already in progress',
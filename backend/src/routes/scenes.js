@@ -0,0 +1,192 @@
+import express from 'express';
+import { getSyncController } from '../websocket/socketServer.js';
+import roomStateManager from '../websocket/roomState.js';
+import logger from '../utils/logger.js';
+import { requireGMForWrites } from '../middleware/roles.js';
+
+const router = express.Router();
+
+// Only GMs save and recall scenes
+router.use(requireGMForWrites());
+
+/**
+ * List all scenes
+ * GET /api/scenes
+ */
+router.get('/', (req, res) => {
+  try {
+    const syncController = getSyncController();
+    res.json(syncController.getScenes());
+  } catch (error) {
+    logger.error({ error }, 'Failed to list scenes');
+    res.status(500).json({
+      error: 'Failed to list scenes',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Get a scene
+ * GET /api/scenes/:id
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const syncController = getSyncController();
+    const scene = syncController.getScene(req.params.id);
+
+    if (!scene) {
+      return res.status(404).json({ error: 'Scene not found' });
+    }
+
+    res.json(scene);
+  } catch (error) {
+    logger.error({ error }, 'Failed to get scene');
+    res.status(500).json({
+      error: 'Failed to get scene',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Capture a room's current setup as a new scene
+ * POST /api/scenes
+ * Body: { name: string, roomId?: string }
+ */
+router.post('/', (req, res) => {
+  try {
+    const { name, roomId = 'room-1' } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        error: 'Missing or invalid field: name',
+      });
+    }
+
+    if (!roomStateManager.roomExists(roomId)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const syncController = getSyncController();
+    const result = syncController.captureScene(name.trim(), roomId);
+
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error({ error }, 'Failed to capture scene');
+    res.status(500).json({
+      error: 'Failed to capture scene',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Rename a scene, or overwrite it with a room's current setup
+ * PUT /api/scenes/:id
+ * Body: { name?: string, roomId?: string }
+ */
+router.put('/:id', (req, res) => {
+  try {
+    const { name, roomId } = req.body;
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({
+        error: 'Invalid field: name',
+      });
+    }
+
+    if (name === undefined && roomId === undefined) {
+      return res.status(400).json({
+        error: 'Missing field: name or roomId',
+      });
+    }
+
+    const syncController = getSyncController();
+    if (!syncController.getScene(req.params.id)) {
+      return res.status(404).json({ error: 'Scene not found' });
+    }
+
+    if (roomId !== undefined && !roomStateManager.roomExists(roomId)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    let result;
+    if (roomId !== undefined) {
+      result = syncController.updateSceneFromRoom(req.params.id, roomId);
+    }
+    if (name !== undefined) {
+      result = syncController.renameScene(req.params.id, name.trim());
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error({ error }, 'Failed to update scene');
+    res.status(500).json({
+      error: 'Failed to update scene',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Recall a scene into a room
+ * POST /api/scenes/:id/recall
+ * Body: { roomId?: string }
+ */
+router.post('/:id/recall', async (req, res) => {
+  try {
+    const { roomId = 'room-1' } = req.body;
+    const syncController = getSyncController();
+
+    if (!syncController.getScene(req.params.id)) {
+      return res.status(404).json({ error: 'Scene not found' });
+    }
+
+    if (!roomStateManager.roomExists(roomId)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const leaderId = roomStateManager.getLeaderId(roomId);
+    if (leaderId) {
+      return res.status(409).json({
+        error: 'Room is linked',
+        message: `This room mirrors ${leaderId} until it is unlinked`,
+      });
+    }
+
+    const result = await syncController.recallScene(req.params.id, roomId);
+
+    res.json(result);
+  } catch (error) {
+    logger.error({ error }, 'Failed to recall scene');
+    res.status(500).json({
+      error: 'Failed to recall scene',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Delete a scene
+ * DELETE /api/scenes/:id
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    const syncController = getSyncController();
+
+    if (!syncController.getScene(req.params.id)) {
+      return res.status(404).json({ error: 'Scene not found' });
+    }
+
+    res.json(syncController.deleteScene(req.params.id));
+  } catch (error) {
+    logger.error({ error }, 'Failed to delete scene');
+    res.status(500).json({
+      error: 'Failed to delete scene',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,109 @@
+import express from 'express';
+import { getScheduler } from '../websocket/socketServer.js';
+import roomStateManager from '../websocket/roomState.js';
+import logger from '../utils/logger.js';
+import { requireGMForWrites, requireRoomAccessForReads } from '../middleware/roles.js';
+
+const router = express.Router();
+
+// Only GMs schedule and cancel actions
+router.use(requireGMForWrites());
+router.use(requireRoomAccessForReads());
+
+/**
+ * List a room's pending actions
+ * GET /api/schedule?roomId=room-1
+ */
+router.get('/', (req, res) => {
+  try {
+    const roomId = req.query.roomId || 'room-1';
+
+    if (!roomStateManager.roomExists(roomId)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    res.json(getScheduler().getActions(roomId));
+  } catch (error) {
+    logger.error({ error }, 'Failed to list scheduled actions');
+    res.status(500).json({
+      error: 'Failed to list scheduled actions',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Schedule an action in a room
+ * POST /api/schedule
+ * Body: {
+ *   type: 'stop_after_track' | 'pause' | 'stop' | 'fade_out' | 'play_playlist',
+ *   runAt?: number (server timestamp in ms) or delay?: number (seconds from now),
+ *   duration?: number, then?: 'pause' | 'stop' (fade_out),
+ *   collectionId?: string (play_playlist)
+ * }
+ */
+router.post('/', (req, res) => {
+  try {
+    const { roomId = 'room-1', type, runAt, delay, ...params } = req.body;
+
+    if (typeof type !== 'string') {
+      return res.status(400).json({
+        error: 'Missing required field: type',
+      });
+    }
+
+    if (delay !== undefined && (typeof delay !== 'number' || delay < 0)) {
+      return res.status(400).json({
+        error: 'Invalid field: delay',
+      });
+    }
+
+    if (!roomStateManager.roomExists(roomId)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const time = delay !== undefined ? Date.now() + delay * 1000 : runAt;
+    const action = getScheduler().schedule(roomId, type, time ?? null, params);
+
+    res.status(201).json(action);
+  } catch (error) {
+    logger.error({ error }, 'Failed to schedule action');
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.includes('already scheduled')) {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({
+      error: 'Failed to schedule action',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Cancel a pending action
+ * DELETE /api/schedule/:id
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    const { roomId = 'room-1' } = req.body;
+
+    if (!getScheduler().cancel(req.params.id, roomId)) {
+      return res.status(404).json({ error: 'Scheduled action not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error({ error }, 'Failed to cancel scheduled action');
+    res.status(500).json({
+      error: 'Failed to cancel scheduled action',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,102 @@
+import express from 'express';
+import { getAmbientSpawner } from '../websocket/socketServer.js';
+import roomStateManager from '../websocket/roomState.js';
+import logger from '../utils/logger.js';
+import { requireGMForWrites, requireRoomAccessForReads } from '../middleware/roles.js';
+
+const router = express.Router();
+
+// Only GMs start and stop spawners
+router.use(requireGMForWrites());
+router.use(requireRoomAccessForReads());
+
+/**
+ * List a room's running ambient spawners
+ * GET /api/spawners?roomId=room-1
+ */
+router.get('/', (req, res) => {
+  try {
+    const roomId = req.query.roomId || 'room-1';
+
+    if (!roomStateManager.roomExists(roomId)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    res.json(getAmbientSpawner().getSpawners(roomId));
+  } catch (error) {
+    logger.error({ error }, 'Failed to list spawners');
+    res.status(500).json({
+      error: 'Failed to list spawners',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Start an ambient spawner in a room
+ * POST /api/spawners
+ * Body: {
+ *   collectionId: string (sfx, folder or playlist collection the effects are drawn from),
+ *   minInterval?: number, maxInterval?: number (seconds between effects),
+ *   minVolume?: number, maxVolume?: number (0.0 to 1.0),
+ *   minPan?: number, maxPan?: number (-1 left to 1 right, centered when left out)
+ * }
+ */
+router.post('/', (req, res) => {
+  try {
+    const { roomId = 'room-1', collectionId, ...options } = req.body;
+
+    if (!collectionId) {
+      return res.status(400).json({
+        error: 'Missing required field: collectionId',
+      });
+    }
+
+    if (!roomStateManager.roomExists(roomId)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const spawner = getAmbientSpawner().start(roomId, collectionId, options);
+
+    res.status(201).json(spawner);
+  } catch (error) {
+    logger.error({ error }, 'Failed to start spawner');
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.includes('empty') || error.message.includes('already has')) {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({
+      error: 'Failed to start spawner',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Stop an ambient spawner
+ * DELETE /api/spawners/:id
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    const { roomId = 'room-1' } = req.body;
+
+    if (!getAmbientSpawner().stop(req.params.id, roomId)) {
+      return res.status(404).json({ error: 'Spawner not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error({ error }, 'Failed to stop spawner');
+    res.status(500).json({
+      error: 'Failed to stop spawner',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
@@ -3,6 +3,7 @@ import { trackQueries, folderQueries } from '../db/database.js';
 import config from '../config/config.js';
 import logger from '../utils/logger.js';
 import { getClientCount, getConnectedClients } from '../websocket/socketServer.js';
+import { canAccessRoom } from '../middleware/roles.js';
 
 const router = express.Router();
 
@@ -40,10 +41,12 @@ router.get('/health', (req, res) => {
 router.get('/config', (req, res) => {
   res.json({
     maxDriftSeconds: config.maxDriftSeconds,
+    driftToleranceSeconds: config.driftToleranceSeconds,
     positionCheckInterval: config.positionCheckInterval,
     defaultBitrate: config.defaultBitrate,
     addMusicUrl: config.addMusicUrl,
     addMusicText: config.addMusicText,
+    gmCodeRequired: !!config.gmCode,
   });
 });
 
@@ -84,11 +87,11 @@ router.get('/stats', (req, res) => {
 });
 
 /**
- * Get connected clients info
+ * Get connected clients info (clients in rooms the caller can't join are left out)
  */
 router.get('/clients', (req, res) => {
   try {
-    const clients = getConnectedClients();
+    const clients = getConnectedClients().filter(client => !client.roomId || canAccessRoom(req, client.roomId));
     res.json({
       count: clients.length,
       clients,
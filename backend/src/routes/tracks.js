@@ -2,9 +2,10 @@ import express from 'express';
 import { unlink } from 'fs/promises';
 import { join } from 'path';
 import { trackQueries, trackFolderQueries } from '../db/database.js';
-import { getIO } from '../websocket/socketServer.js';
+import { getIO, getSyncController } from '../websocket/socketServer.js';
 import config from '../config/config.js';
 import logger from '../utils/logger.js';
+import { requireAdmin } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -212,10 +213,10 @@ router.put('/:id', (req, res) => {
 });
 
 /**
- * Delete track
+ * Delete track (admins only once accounts exist)
  * DELETE /api/tracks/:id
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireAdmin, async (req, res) => {
   try {
     const trackId = req.params.id;
     
@@ -267,6 +268,7 @@ router.delete('/:id', async (req, res) => {
         io.emit('track_deleted', { trackId });
         logger.info({ event: 'track_deleted', trackId }, '📢 Broadcasting track deletion to all clients');
       }
+      getSyncController().removeTrackFromQueues(trackId);
     } catch (err) {
       logger.error({ error: err }, 'Failed to emit track deletion');
     }
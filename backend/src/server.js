@@ -14,9 +14,20 @@ import playbackRoutes from './routes/playback.js';
 import folderRoutes from './routes/folders.js';
 import collectionsRoutes from './routes/collections.js';
 import downloadsRoutes from './routes/downloads.js';
+import roomsRoutes from './routes/rooms.js';
+import scenesRoutes from './routes/scenes.js';
+import scheduleRoutes from './routes/schedule.js';
+import cuesRoutes from './routes/cues.js';
+import spawnersRoutes from './routes/spawners.js';
+import authRoutes from './routes/auth.js';
+import automationRoutes from './routes/automation.js';
+import { authenticate, requireAuth } from './middleware/auth.js';
 import { scanMusicLibrary } from './scanner/fileScanner.js';
-import { initWebSocket, closeWebSocket, getClientCount } from './websocket/socketServer.js';
+import { initWebSocket, closeWebSocket, getClientCount, getSyncController } from './websocket/socketServer.js';
 import downloadQueue from './services/downloadQueue.js';
+import authService from './services/auth.js';
+import playHistory from './services/playHistory.js';
+import oscServer from './osc/oscServer.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -28,10 +39,11 @@ const httpServer = createServer(app);
 // Middleware
 app.use(cors());
 app.use(express.json());
+app.use(authenticate);
 
-// Debug logging for POST requests
+// Debug logging for POST requests (login bodies carry passwords, so they are left out)
 app.use((req, res, next) => {
-  if (req.method === 'POST') {
+  if (req.method === 'POST' && !req.url.startsWith('/api/auth')) {
     logger.info({ method: req.method, url: req.url, body: req.body }, '📬 POST request body');
   }
   next();
@@ -51,7 +63,7 @@ app.use((req, res, next) => {
     const duration = Date.now() - start;
     logger.info({
       method: req.method,
-      url: req.url,
+      url: req.url.replace(/([?&]token=)[^&]+/, '$1***'),
       status: res.statusCode,
       duration: `${duration}ms`,
     });
@@ -60,6 +72,11 @@ app.use((req, res, next) => {
 });
 
 // API Routes (must be before static files)
+app.use('/api/auth', authRoutes);
+// Automation API authenticates with API keys instead of sessions
+app.use('/api/v1/automation', automationRoutes);
+// Everything below needs a session once authentication is configured
+app.use(['/api', '/audio'], requireAuth);
 app.use('/api', systemRoutes);
 app.use('/api/tracks', trackRoutes);
 app.use('/api/folders', folderRoutes);
@@ -67,6 +84,11 @@ app.use('/audio', audioRoutes);
 app.use('/api/scan', scannerRoutes);
 app.use('/api/playback', playbackRoutes);
 app.use('/api/downloads', downloadsRoutes);
+app.use('/api/rooms', roomsRoutes);
+app.use('/api/scenes', scenesRoutes);
+app.use('/api/schedule', scheduleRoutes);
+app.use('/api/cues', cuesRoutes);
+app.use('/api/spawners', spawnersRoutes);
 // Unified collections API (replaces old playlist and folders routes)
 app.use('/api/collections', collectionsRoutes());
 
@@ -99,6 +121,13 @@ app.get('*', (req, res, next) => {
           scan: '/api/scan',
           scanStatus: '/api/scan/status',
           playback: '/api/playback',
+          rooms: '/api/rooms',
+          scenes: '/api/scenes',
+          schedule: '/api/schedule',
+          cues: '/api/cues',
+          spawners: '/api/spawners',
+          auth: '/api/auth',
+          automation: '/api/v1/automation',
           websocket: '/socket.io',
         }
       });
@@ -131,6 +160,8 @@ async function start() {
     // Initialize database
     logger.info('Initializing database...');
     await initDatabase();
+    authService.init();
+    playHistory.init();
     
     // Perform initial scan if configured
     if (config.scanOnStartup) {
@@ -171,6 +202,9 @@ async function start() {
     // Resume download queue (process any pending jobs from previous run)
     await downloadQueue.resumeQueue();
     
+    // Start the OSC listener for control surfaces (only when OSC_PORT is set)
+    oscServer.start(getSyncController());
+    
     // File watcher disabled - library updates happen on startup scan and through download queue
     logger.info('File watcher disabled - library synced on startup and through downloads');
   } catch (error) {
@@ -185,7 +219,8 @@ async function start() {
 async function shutdown() {
   logger.info('Shutting down gracefully...');
   
-  // Close WebSocket server
+  // Stop the OSC listener and close WebSocket server
+  oscServer.stop();
   closeWebSocket();
   
   // Close HTTP server
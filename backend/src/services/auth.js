@@ -0,0 +1,283 @@
+import { createHash, randomBytes, scryptSync, timingSafeEqual } from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { userQueries, sessionQueries, apiKeyQueries } from '../db/database.js';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// API keys start with this so they are easy to recognize in scripts and configs
+const API_KEY_PREFIX = 'rpgm_';
+
+// Saving last use on every request would mean a write per button press
+const API_KEY_TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Hash a session token or code for storage and comparison
+ */
+const sha256 = (value) => createHash('sha256').update(value).digest('hex');
+
+/**
+ * Compare two strings without leaking where they differ
+ */
+const safeEqual = (a, b) => timingSafeEqual(Buffer.from(sha256(a)), Buffer.from(sha256(b)));
+
+/**
+ * Authentication Service
+ * Singleton service for user accounts, the shared access code and session tokens.
+ * Authentication is only enforced once an access code is configured or an account exists,
+ * so a fresh install on a trusted network keeps working without logging in.
+ */
+class AuthService {
+  /**
+   * Create the configured admin account and drop expired sessions
+   */
+  init() {
+    if (config.adminUsername && config.adminPassword && !userQueries.getByUsername(config.adminUsername)) {
+      this.createUser({ username: config.adminUsername, password: config.adminPassword, isAdmin: true });
+      logger.info({ username: config.adminUsername }, 'Admin account created');
+    }
+
+    const { changes } = sessionQueries.deleteExpired(Date.now());
+    if (changes > 0) {
+      logger.info({ count: changes }, 'Expired sessions removed');
+    }
+
+    logger.info({
+      enabled: this.isEnabled(),
+      accessCode: !!config.accessCode,
+      accounts: this.hasAccounts(),
+    }, 'Authentication initialized');
+  }
+
+  /**
+   * Whether requests need a session
+   */
+  isEnabled() {
+    return !!config.accessCode || this.hasAccounts();
+  }
+
+  /**
+   * Whether any user account exists
+   */
+  hasAccounts() {
+    return userQueries.count() > 0;
+  }
+
+  /**
+   * Convert a user row into its API shape (never includes the password hash)
+   */
+  formatUser(row) {
+    return {
+      id: row.id,
+      username: row.username,
+      isAdmin: !!row.is_admin,
+      createdAt: row.created_at,
+    };
+  }
+
+  /**
+   * Hash a password as "salt:hash" with scrypt
+   */
+  hashPassword(password) {
+    const salt = randomBytes(16);
+    const hash = scryptSync(password, salt, 64);
+    return `${salt.toString('hex')}:${hash.toString('hex')}`;
+  }
+
+  /**
+   * Check a password against a stored "salt:hash"
+   */
+  verifyPassword(password, stored) {
+    const [salt, hash] = stored.split(':');
+    const expected = Buffer.from(hash, 'hex');
+    const actual = scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+    return timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * List all users
+   */
+  listUsers() {
+    return userQueries.getAll().map(row => this.formatUser(row));
+  }
+
+  /**
+   * Create a user account
+   */
+  createUser({ username, password, isAdmin = false }) {
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (userQueries.getByUsername(username)) {
+      throw new Error(`Username ${username} already exists`);
+    }
+
+    const row = {
+      id: uuidv4(),
+      username,
+      password_hash: this.hashPassword(password),
+      is_admin: isAdmin ? 1 : 0,
+      created_at: Date.now(),
+    };
+    userQueries.insert(row);
+
+    return this.formatUser(row);
+  }
+
+  /**
+   * Delete a user account and log it out everywhere
+   * Returns false if the user doesn't exist
+   */
+  deleteUser(userId) {
+    return userQueries.delete(userId).changes > 0;
+  }
+
+  /**
+   * Start a session, returning the token only this once
+   */
+  createSession(user = null) {
+    const token = randomBytes(32).toString('hex');
+    const now = Date.now();
+    const expiresAt = now + config.sessionTtlHours * 60 * 60 * 1000;
+
+    sessionQueries.insert({
+      token_hash: sha256(token),
+      user_id: user?.id || null,
+      expires_at: expiresAt,
+      created_at: now,
+    });
+
+    return { token, expiresAt, user };
+  }
+
+  /**
+   * Log in with a username and password
+   * Returns the new session, or null if the credentials are wrong
+   */
+  loginWithPassword(username, password) {
+    const row = userQueries.getByUsername(username);
+    if (!row || !this.verifyPassword(password, row.password_hash)) {
+      return null;
+    }
+    return this.createSession(this.formatUser(row));
+  }
+
+  /**
+   * Log in with the shared access code
+   * Returns the new session, or null if the code is wrong or none is configured
+   */
+  loginWithAccessCode(accessCode) {
+    if (!config.accessCode || !safeEqual(accessCode, config.accessCode)) {
+      return null;
+    }
+    return this.createSession();
+  }
+
+  /**
+   * Look up the session for a token
+   * Returns { user, expiresAt } (user is null for access code sessions) or null
+   */
+  getSession(token) {
+    if (!token || typeof token !== 'string') {
+      return null;
+    }
+
+    const tokenHash = sha256(token);
+    const session = sessionQueries.getByTokenHash(tokenHash);
+    if (!session) {
+      return null;
+    }
+    if (session.expires_at <= Date.now()) {
+      sessionQueries.delete(tokenHash);
+      return null;
+    }
+
+    const userRow = session.user_id ? userQueries.getById(session.user_id) : null;
+    return {
+      user: userRow ? this.formatUser(userRow) : null,
+      expiresAt: session.expires_at,
+    };
+  }
+
+  /**
+   * End the session for a token
+   */
+  revokeSession(token) {
+    if (token) {
+      sessionQueries.delete(sha256(token));
+    }
+  }
+
+  /**
+   * Convert an API key row into its API shape (never includes the key or its hash)
+   */
+  formatApiKey(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      prefix: row.key_prefix,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at,
+    };
+  }
+
+  /**
+   * List all API keys
+   */
+  listApiKeys() {
+    return apiKeyQueries.getAll().map(row => this.formatApiKey(row));
+  }
+
+  /**
+   * Create an API key for the automation API, returning the key only this once
+   */
+  createApiKey(name) {
+    const key = `${API_KEY_PREFIX}${randomBytes(24).toString('hex')}`;
+    const row = {
+      id: uuidv4(),
+      name,
+      key_hash: sha256(key),
+      key_prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      created_at: Date.now(),
+    };
+    apiKeyQueries.insert(row);
+
+    return { ...this.formatApiKey(row), key };
+  }
+
+  /**
+   * Revoke an API key
+   * Returns false if the key doesn't exist
+   */
+  revokeApiKey(keyId) {
+    return apiKeyQueries.delete(keyId).changes > 0;
+  }
+
+  /**
+   * Look up the API key record for a key
+   * Returns the formatted key or null
+   */
+  verifyApiKey(key) {
+    if (!key || typeof key !== 'string' || !key.startsWith(API_KEY_PREFIX)) {
+      return null;
+    }
+
+    const row = apiKeyQueries.getByKeyHash(sha256(key));
+    if (!row) {
+      return null;
+    }
+
+    const now = Date.now();
+    if (!row.last_used_at || now - row.last_used_at > API_KEY_TOUCH_INTERVAL_MS) {
+      apiKeyQueries.touch(row.id, now);
+      row.last_used_at = now;
+    }
+
+    return this.formatApiKey(row);
+  }
+}
+
+// Export singleton instance
+const authService = new AuthService();
+export default authService;
@@ -0,0 +1,146 @@
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+import { playHistoryQueries } from '../db/database.js';
+
+/**
+ * Play History Service
+ * Singleton service that logs every track played in a room's music channel, with how
+ * long it was actually listened to (pauses excluded) and why it ended.
+ * Each room has at most one open play, the track it is currently on.
+ */
+class PlayHistoryService {
+  constructor() {
+    this.openPlays = new Map(); // roomId -> { id, startedAt, listened (seconds), playingSince (ms or null when paused) }
+  }
+
+  /**
+   * Close plays left open when the server last stopped
+   */
+  init() {
+    const { changes } = playHistoryQueries.finishOpen('interrupted');
+    if (changes > 0) {
+      logger.info({ count: changes }, 'Closed plays left open by the last shutdown');
+    }
+  }
+
+  /**
+   * Convert a database row to the entry sent to clients
+   */
+  formatEntry(row) {
+    return {
+      id: row.id,
+      roomId: row.room_id,
+      trackId: row.track_id,
+      title: row.title,
+      artist: row.artist,
+      playlistIndex: row.playlist_index,
+      startedAt: row.started_at,
+      endedAt: row.ended_at,
+      listenedDuration: row.listened_duration,
+      endReason: row.end_reason,
+    };
+  }
+
+  /**
+   * Seconds an open play has been listened to up to a time
+   */
+  getListened(play, time) {
+    const running = play.playingSince !== null ? Math.max(0, time - play.playingSince) / 1000 : 0;
+    return play.listened + running;
+  }
+
+  /**
+   * Start logging a play (startTime is when clients start playing)
+   * A play still open in the room ends as skipped
+   */
+  startPlay(roomId, track, playlistIndex = null, startTime = Date.now()) {
+    this.endPlay(roomId, 'skipped');
+
+    const entry = {
+      id: uuidv4(),
+      room_id: roomId,
+      track_id: track.id,
+      title: track.title,
+      artist: track.artist || null,
+      playlist_index: playlistIndex,
+      started_at: startTime,
+    };
+    playHistoryQueries.insert(entry);
+    this.openPlays.set(roomId, { id: entry.id, startedAt: startTime, listened: 0, playingSince: startTime });
+  }
+
+  /**
+   * Stop counting listened time while a room is paused
+   */
+  pausePlay(roomId, time = Date.now()) {
+    const play = this.openPlays.get(roomId);
+    if (!play || play.playingSince === null) {
+      return;
+    }
+
+    play.listened = this.getListened(play, time);
+    play.playingSince = null;
+    playHistoryQueries.updateListened(play.id, play.listened);
+  }
+
+  /**
+   * Count listened time again when a room resumes
+   * A room with no open play (e.g. restored after a restart) starts a new one
+   */
+  resumePlay(roomId, track, playlistIndex = null, startTime = Date.now()) {
+    const play = this.openPlays.get(roomId);
+    if (!play) {
+      this.startPlay(roomId, track, playlistIndex, startTime);
+    } else if (play.playingSince === null) {
+      play.playingSince = startTime;
+    }
+  }
+
+  /**
+   * Finish a room's open play: ended, skipped, stopped or interrupted
+   */
+  endPlay(roomId, reason, time = Date.now()) {
+    const play = this.openPlays.get(roomId);
+    if (!play) {
+      return;
+    }
+
+    // A play cut off before its scheduled start ends the moment it would have started
+    const endedAt = Math.max(time, play.startedAt);
+    this.openPlays.delete(roomId);
+    playHistoryQueries.finish(play.id, endedAt, this.getListened(play, endedAt), reason);
+  }
+
+  /**
+   * Forget a deleted room's plays, so a new room that reuses its ID starts empty
+   */
+  clearRoom(roomId) {
+    this.openPlays.delete(roomId);
+    playHistoryQueries.deleteByRoom(roomId);
+  }
+
+  /**
+   * Finish every open play (shutdown)
+   */
+  endAll(reason) {
+    for (const roomId of Array.from(this.openPlays.keys())) {
+      this.endPlay(roomId, reason);
+    }
+  }
+
+  /**
+   * Get a room's plays, newest first
+   * Filters: { from, to } timestamps in ms, { limit, offset } for paging
+   */
+  getHistory(roomId, filters = {}) {
+    return {
+      history: playHistoryQueries.getByRoom(roomId, filters).map(row => this.formatEntry(row)),
+      total: playHistoryQueries.countByRoom(roomId, filters),
+    };
+  }
+}
+
+// Singleton instance
+const playHistory = new PlayHistoryService();
+
+export default playHistory;
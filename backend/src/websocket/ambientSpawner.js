@@ -0,0 +1,202 @@
+/**
+ * Ambient Spawner - Fires random one-shot effects into rooms
+ * Each spawner draws a random track from a collection (bird calls, wolf howls, thunder)
+ * at a random interval and plays it as a sound effect with a random volume and stereo
+ * pan, leaving the room's music alone. Spawners live in memory only: restored rooms come
+ * back paused, so they don't start making noise again after a restart.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { collectionQueries } from '../db/database.js';
+import logger from '../utils/logger.js';
+
+// Collection types a spawner can draw effects from
+const SOURCE_COLLECTION_TYPES = ['sfx', 'folder', 'playlist'];
+
+const MIN_INTERVAL = 1; // seconds
+const MAX_INTERVAL = 3600; // seconds
+const MAX_SPAWNERS_PER_ROOM = 10;
+
+const randomBetween = (min, max) => min + Math.random() * (max - min);
+
+export class AmbientSpawner {
+  constructor(io, syncController) {
+    this.io = io;
+    this.syncController = syncController;
+    this.spawners = new Map(); // Running spawners by ID
+    this.timers = new Map(); // Armed timeouts by spawner ID
+  }
+
+  /**
+   * Get the running spawners of a room, oldest first
+   */
+  getSpawners(roomId) {
+    return Array.from(this.spawners.values())
+      .filter(spawner => spawner.roomId === roomId)
+      .sort((a, b) => a.startedAt - b.startedAt);
+  }
+
+  /**
+   * Broadcast a room's spawners so clients can list them
+   */
+  broadcastSpawners(roomId) {
+    this.io.to(roomId).emit('spawners_update', {
+      roomId,
+      spawners: this.getSpawners(roomId),
+      serverTimestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Check a [min, max] range option, falling back to defaults when it is missing
+   */
+  validateRange(name, min, max, [lower, upper], defaults) {
+    const range = [min ?? defaults[0], max ?? defaults[1]];
+    if (range.some(value => typeof value !== 'number' || !Number.isFinite(value) || value < lower || value > upper)
+      || range[0] > range[1]) {
+      throw new Error(`Invalid ${name} range: min and max must be between ${lower} and ${upper}, min first`);
+    }
+    return range;
+  }
+
+  /**
+   * Start a spawner in a room
+   * Options: { minInterval, maxInterval } seconds between effects (default 20 to 60)
+   *          { minVolume, maxVolume } 0.0 to 1.0 (default 0.6 to 1)
+   *          { minPan, maxPan } -1 (left) to 1 (right), leave out to play centered
+   */
+  start(roomId, collectionId, options = {}) {
+    const collection = collectionId ? collectionQueries.getCollection(collectionId) : null;
+    if (!collection || !SOURCE_COLLECTION_TYPES.includes(collection.type)) {
+      throw new Error('Collection not found');
+    }
+    if (collectionQueries.getCollectionTracks(collectionId, 1, 0).tracks.length === 0) {
+      throw new Error('Collection is empty');
+    }
+    if (this.getSpawners(roomId).length >= MAX_SPAWNERS_PER_ROOM) {
+      throw new Error(`Room already has ${MAX_SPAWNERS_PER_ROOM} spawners running`);
+    }
+
+    const [minInterval, maxInterval] = this.validateRange('interval', options.minInterval, options.maxInterval, [MIN_INTERVAL, MAX_INTERVAL], [20, 60]);
+    const [minVolume, maxVolume] = this.validateRange('volume', options.minVolume, options.maxVolume, [0, 1], [0.6, 1]);
+    const panned = options.minPan !== undefined || options.maxPan !== undefined;
+    const [minPan, maxPan] = panned
+      ? this.validateRange('pan', options.minPan, options.maxPan, [-1, 1], [-1, 1])
+      : [null, null];
+
+    const spawner = {
+      id: uuidv4(),
+      roomId,
+      collectionId,
+      collectionName: collection.name,
+      minInterval,
+      maxInterval,
+      minVolume,
+      maxVolume,
+      minPan,
+      maxPan,
+      lastTrack: null,
+      nextSpawnAt: null,
+      startedAt: Date.now(),
+    };
+    this.spawners.set(spawner.id, spawner);
+    this.arm(spawner);
+    this.broadcastSpawners(roomId);
+
+    logger.info({ spawnerId: spawner.id, roomId, collectionId, minInterval, maxInterval }, 'Ambient spawner started');
+
+    return spawner;
+  }
+
+  /**
+   * Stop a spawner; returns false if there is no such spawner in the room
+   */
+  stop(spawnerId, roomId) {
+    const spawner = this.spawners.get(spawnerId);
+    if (!spawner || spawner.roomId !== roomId) {
+      return false;
+    }
+
+    this.remove(spawner);
+    this.broadcastSpawners(roomId);
+
+    logger.info({ spawnerId, roomId }, 'Ambient spawner stopped');
+
+    return true;
+  }
+
+  /**
+   * Forget a spawner and its timer
+   */
+  remove(spawner) {
+    clearTimeout(this.timers.get(spawner.id));
+    this.timers.delete(spawner.id);
+    this.spawners.delete(spawner.id);
+  }
+
+  /**
+   * Wait a random interval before the next effect
+   */
+  arm(spawner) {
+    const delay = randomBetween(spawner.minInterval, spawner.maxInterval) * 1000;
+    spawner.nextSpawnAt = Math.round(Date.now() + delay);
+    this.timers.set(spawner.id, setTimeout(() => this.spawn(spawner.id), delay));
+  }
+
+  /**
+   * Play a random effect from the spawner's collection, then wait for the next one
+   * A spawner whose collection was deleted or emptied stops itself
+   */
+  spawn(spawnerId) {
+    const spawner = this.spawners.get(spawnerId);
+    if (!spawner) {
+      return;
+    }
+    this.timers.delete(spawnerId);
+
+    try {
+      const { tracks } = collectionQueries.getCollectionTracks(spawner.collectionId, 1000, 0);
+      if (tracks.length === 0) {
+        throw new Error('Collection is empty');
+      }
+
+      // Avoid the same effect twice in a row when there is a choice
+      const candidates = tracks.length > 1 ? tracks.filter(track => track.id !== spawner.lastTrack?.id) : tracks;
+      const track = candidates[Math.floor(Math.random() * candidates.length)];
+
+      this.syncController.playSfx(track.id, spawner.roomId, {
+        volume: randomBetween(spawner.minVolume, spawner.maxVolume),
+        pan: spawner.minPan !== null ? randomBetween(spawner.minPan, spawner.maxPan) : undefined,
+      });
+      spawner.lastTrack = { id: track.id, title: track.title };
+    } catch (error) {
+      logger.warn({ error: error.message, spawnerId, roomId: spawner.roomId }, 'Ambient spawner stopped after a failed effect');
+      this.remove(spawner);
+      this.broadcastSpawners(spawner.roomId);
+      return;
+    }
+
+    this.arm(spawner);
+    this.broadcastSpawners(spawner.roomId);
+  }
+
+  /**
+   * Stop all spawners of a room (the room is being deleted)
+   */
+  clearRoom(roomId) {
+    for (const spawner of this.getSpawners(roomId)) {
+      this.remove(spawner);
+    }
+  }
+
+  /**
+   * Stop everything
+   */
+  cleanup() {
+    for (const spawner of Array.from(this.spawners.values())) {
+      this.remove(spawner);
+    }
+  }
+}
+
+export default AmbientSpawner;
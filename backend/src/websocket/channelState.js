@@ -0,0 +1,241 @@
+/**
+ * Channel state management
+ * Tracks playback of a single layered channel (e.g. ambience or sfx) on top of a room's music
+ * The music channel itself lives directly on SessionState because it is tied to the room playlist
+ */
+
+export const MUSIC_CHANNEL = 'music';
+export const LAYER_CHANNELS = ['ambience', 'sfx'];
+export const CHANNELS = [MUSIC_CHANNEL, ...LAYER_CHANNELS];
+
+export class ChannelState {
+  constructor(name) {
+    this.name = name;
+    this.currentTrack = null;
+    this.playbackState = 'stopped'; // 'playing', 'paused', 'stopped'
+    this.position = 0; // Current position in seconds
+    this.lastUpdateTime = null; // Server timestamp of last state change
+    this.volume = 1.0; // 0.0 to 1.0, relative to the client's own volume
+    this.repeatMode = false; // Whether to loop the channel's track
+    this.loopStart = null; // Custom loop start point in seconds (null = beginning)
+    this.loopEnd = null; // Custom loop end point in seconds (null = end of track)
+    this.playGeneration = 0; // Incremented on every track start so end reports can be matched to one play
+    this.endedGeneration = null; // Play generation whose end has already been handled
+  }
+
+  /**
+   * Start playing a track on this channel
+   * startTime is the server time clients are scheduled to start at
+   */
+  playTrack(track, startPosition = 0, startTime = Date.now()) {
+    this.currentTrack = track;
+    this.playbackState = 'playing';
+    this.position = startPosition;
+    this.lastUpdateTime = startTime;
+    this.playGeneration += 1;
+
+    return this.getState();
+  }
+
+  /**
+   * Accept the end of the current play once (see SessionState.claimTrackEnd)
+   */
+  claimTrackEnd({ trackId = null, generation } = {}) {
+    if (!this.currentTrack || this.playbackState !== 'playing') {
+      return false;
+    }
+    if ((trackId && trackId !== this.currentTrack.id)
+      || (generation !== undefined && generation !== this.playGeneration)
+      || this.endedGeneration === this.playGeneration) {
+      return false;
+    }
+
+    this.endedGeneration = this.playGeneration;
+    return true;
+  }
+
+  /**
+   * Pause the channel
+   */
+  pause() {
+    if (this.playbackState === 'playing') {
+      this.position = this.getCurrentPosition();
+    }
+
+    this.playbackState = 'paused';
+    this.lastUpdateTime = Date.now();
+
+    return this.getState();
+  }
+
+  /**
+   * Resume the channel
+   */
+  resume(startTime = Date.now()) {
+    if (this.playbackState === 'paused' && this.currentTrack) {
+      this.playbackState = 'playing';
+      this.lastUpdateTime = startTime;
+    }
+
+    return this.getState();
+  }
+
+  /**
+   * Stop the channel and unload its track
+   */
+  stop() {
+    this.playbackState = 'stopped';
+    this.position = 0;
+    this.lastUpdateTime = Date.now();
+    this.currentTrack = null;
+
+    return this.getState();
+  }
+
+  /**
+   * Seek to a specific position
+   */
+  seek(position, startTime = Date.now()) {
+    this.position = position;
+    this.lastUpdateTime = startTime;
+
+    return this.getState();
+  }
+
+  /**
+   * Set channel volume
+   */
+  setVolume(volume) {
+    this.volume = Math.max(0, Math.min(1, volume));
+    return this.getState();
+  }
+
+  /**
+   * Set repeat mode
+   */
+  setRepeat(enabled) {
+    this.repeatMode = !!enabled;
+    return this.getState();
+  }
+
+  /**
+   * Set custom loop points
+   */
+  setLoopPoints(loopStart, loopEnd) {
+    this.loopStart = loopStart;
+    this.loopEnd = loopEnd;
+    return this.getState();
+  }
+
+  /**
+   * Clear custom loop points (use full track)
+   */
+  clearLoopPoints() {
+    this.loopStart = null;
+    this.loopEnd = null;
+    return this.getState();
+  }
+
+  /**
+   * Get current expected position
+   * Repeating channels loop on the client without a round trip, so wrap here as well
+   */
+  getCurrentPosition() {
+    if (this.playbackState !== 'playing' || !this.lastUpdateTime) {
+      return this.position;
+    }
+
+    // Clients start at the scheduled time, so the position holds still until then
+    const elapsed = Math.max(0, (Date.now() - this.lastUpdateTime) / 1000);
+    let position = this.position + elapsed;
+
+    const loopEnd = this.loopEnd !== null ? this.loopEnd : this.currentTrack?.duration;
+    if (this.repeatMode && loopEnd && position >= loopEnd) {
+      const loopStart = this.loopStart !== null ? this.loopStart : 0;
+      const loopDuration = loopEnd - loopStart;
+      if (loopDuration > 0) {
+        position = loopStart + ((position - loopEnd) % loopDuration);
+      }
+    }
+
+    return position;
+  }
+
+  /**
+   * Get milliseconds until the track (or, when repeating, the current pass) ends
+   * Returns null when nothing is playing or the duration is unknown
+   */
+  getTimeRemaining() {
+    const duration = this.currentTrack?.duration;
+    if (this.playbackState !== 'playing' || !duration) {
+      return null;
+    }
+
+    const end = this.repeatMode && this.loopEnd !== null ? this.loopEnd : duration;
+    const startsIn = Math.max(0, this.lastUpdateTime - Date.now());
+    return startsIn + (end - this.getCurrentPosition()) * 1000;
+  }
+
+  /**
+   * Get a plain snapshot for persistence
+   */
+  getSnapshot() {
+    return {
+      trackId: this.currentTrack?.id || null,
+      playbackState: this.playbackState,
+      position: this.getCurrentPosition(),
+      volume: this.volume,
+      repeatMode: this.repeatMode,
+      loopStart: this.loopStart,
+      loopEnd: this.loopEnd,
+    };
+  }
+
+  /**
+   * Restore a saved snapshot (a restored track always comes back paused)
+   */
+  restore(track, snapshot) {
+    this.currentTrack = track;
+    this.playbackState = track && snapshot.playbackState !== 'stopped' ? 'paused' : 'stopped';
+    this.position = track ? Math.min(snapshot.position || 0, track.duration || Infinity) : 0;
+    this.lastUpdateTime = Date.now();
+    this.volume = Math.max(0, Math.min(1, snapshot.volume ?? 1.0));
+    this.repeatMode = !!snapshot.repeatMode;
+    this.loopStart = snapshot.loopStart ?? null;
+    this.loopEnd = snapshot.loopEnd ?? null;
+
+    return this.getState();
+  }
+
+  /**
+   * Get complete channel state object
+   */
+  getState() {
+    return {
+      channel: this.name,
+      currentTrack: this.currentTrack,
+      playGeneration: this.playGeneration,
+      playbackState: this.playbackState,
+      position: this.getCurrentPosition(),
+      lastUpdateTime: this.lastUpdateTime,
+      volume: this.volume,
+      repeatMode: this.repeatMode,
+      loopStart: this.loopStart,
+      loopEnd: this.loopEnd,
+    };
+  }
+
+  /**
+   * Check if a track is currently loaded
+   */
+  hasTrack() {
+    return this.currentTrack !== null;
+  }
+
+  /**
+   * Check if currently playing
+   */
+  isPlaying() {
+    return this.playbackState === 'playing';
+  }
+}
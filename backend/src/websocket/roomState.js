@@ -3,33 +3,278 @@
  * Manages multiple rooms, each with its own playback state and playlist
  */
 
+import { randomBytes, timingSafeEqual } from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
 import { SessionState } from './sessionState.js';
+import { trackQueries, roomQueries, roomStateQueries, collectionQueries, adaptiveCueQueries } from '../db/database.js';
 import logger from '../utils/logger.js';
 import config from '../config/config.js';
 
+const DEFAULT_ROOM_ID = 'room-1';
+
+// Roles of a connection within its room
+export const ROLES = {
+  GM: 'gm', // Controls playback and edits the playlist
+  LISTENER: 'listener', // Only receives audio
+};
+
 class RoomStateManager {
   constructor() {
     this.rooms = new Map();
     this.clientRooms = new Map(); // Maps clientId -> roomId
-    this.initializeRooms();
+    this.clientRoles = new Map(); // Maps clientId -> role in its current room
+    this.clientInfo = new Map(); // Maps clientId -> presence info (name, device, last position report)
+    this.clientSecrets = new Map(); // Maps clientId -> secret proving a request comes from that connection
   }
 
   /**
-   * Initialize all rooms based on config
+   * Load all rooms from the database
+   * On first start the rooms table is seeded with ROOM_COUNT numbered rooms
    */
   initializeRooms() {
-    for (let i = 1; i <= config.roomCount; i++) {
-      const roomId = `room-${i}`;
-      this.rooms.set(roomId, {
-        id: roomId,
-        number: i,
-        sessionState: new SessionState(),
-        clients: new Set(),
-        playlistCollectionId: `current-playlist-${roomId}`,
-        positionCheckInterval: null,
+    if (roomQueries.getAll().length === 0) {
+      // Always seed at least the default room
+      const roomCount = Math.max(1, config.roomCount);
+      for (let i = 1; i <= roomCount; i++) {
+        roomQueries.insert({
+          id: `room-${i}`,
+          number: i,
+          name: `Room ${i}`,
+          playlist_collection_id: `current-playlist-room-${i}`,
+          created_at: Date.now(),
+        });
+      }
+      logger.info({ roomCount }, 'Seeded rooms from ROOM_COUNT');
+    }
+
+    for (const row of roomQueries.getAll()) {
+      this.addRoom(row);
+    }
+  }
+
+  /**
+   * Register a room row in memory and make sure its playlist collection exists
+   */
+  addRoom(row) {
+    if (!collectionQueries.getCollection(row.playlist_collection_id)) {
+      collectionQueries.createCollection({
+        id: row.playlist_collection_id,
+        name: `${row.name} Playlist`,
+        type: 'playlist',
+        is_ordered: 1,
       });
-      logger.info({ roomId, number: i }, 'Room initialized');
     }
+
+    const room = {
+      id: row.id,
+      number: row.number,
+      name: row.name,
+      sessionState: new SessionState(),
+      clients: new Set(),
+      playlistCollectionId: row.playlist_collection_id,
+      joinCode: row.join_code || null,
+      queue: [], // Up-next entries played before the playlist continues (not persisted)
+      leaderId: null, // Room this room mirrors while linked (not persisted)
+      linkResume: null, // What the room's own state was playing when it was linked
+      positionCheckInterval: null,
+      crossfadeTimeout: null,
+      trackEndTimeout: null,
+      gaplessTimeout: null,
+      fadeTimeout: null,
+    };
+    this.rooms.set(row.id, room);
+    logger.info({ roomId: row.id, number: row.number, name: row.name }, 'Room initialized');
+
+    return room;
+  }
+
+  /**
+   * Create a new room with its own playlist collection
+   */
+  createRoom(name) {
+    const number = roomQueries.getMaxNumber() + 1;
+    const roomId = `room-${number}`;
+    const row = {
+      id: roomId,
+      number,
+      name: name || `Room ${number}`,
+      playlist_collection_id: `current-playlist-${roomId}`,
+      created_at: Date.now(),
+    };
+
+    roomQueries.insert(row);
+    const room = this.addRoom(row);
+    this.saveRoomState(roomId);
+
+    return room;
+  }
+
+  /**
+   * Rename a room (and its playlist collection)
+   */
+  renameRoom(roomId, name) {
+    const room = this.getRoom(roomId);
+    roomQueries.updateName(roomId, name);
+    collectionQueries.updateCollection(room.playlistCollectionId, { name: `${name} Playlist` });
+    room.name = name;
+
+    logger.info({ roomId, name }, 'Room renamed');
+
+    return room;
+  }
+
+  /**
+   * Set or clear the code clients need to join a room
+   * The default room stays open because clients land there on connect
+   */
+  setRoomJoinCode(roomId, joinCode) {
+    const room = this.getRoom(roomId);
+    if (roomId === DEFAULT_ROOM_ID && joinCode) {
+      throw new Error('Cannot set a join code on the default room');
+    }
+
+    roomQueries.updateJoinCode(roomId, joinCode);
+    room.joinCode = joinCode;
+
+    logger.info({ roomId, hasJoinCode: !!joinCode }, 'Room join code changed');
+
+    return room;
+  }
+
+  /**
+   * Check a join code against a room (rooms without a code accept anything)
+   */
+  checkJoinCode(roomId, joinCode) {
+    const room = this.getRoom(roomId);
+    return !room.joinCode || joinCode === room.joinCode;
+  }
+
+  /**
+   * Link a follower room to a leader room
+   * The follower's clients hear the leader until unlinked; the follower's own music and
+   * channels are paused meanwhile and remembered so unlinking can bring them back
+   */
+  linkRoom(followerId, leaderId) {
+    const follower = this.getRoom(followerId);
+    const leader = this.getRoom(leaderId);
+
+    if (followerId === leaderId) {
+      throw new Error('Cannot link a room to itself');
+    }
+    if (leader.leaderId) {
+      throw new Error(`Cannot link to ${leaderId}, it mirrors ${leader.leaderId} itself`);
+    }
+    if (this.getFollowerIds(followerId).length > 0) {
+      throw new Error(`Cannot link ${followerId}, other rooms mirror it`);
+    }
+
+    if (!follower.leaderId) {
+      const ownState = follower.sessionState;
+      const playingChannels = Object.entries(ownState.channels)
+        .filter(([, channel]) => channel.isPlaying())
+        .map(([name]) => name);
+      follower.linkResume = { music: ownState.isPlaying(), channels: playingChannels };
+
+      if (ownState.isPlaying()) {
+        ownState.pause();
+      }
+      playingChannels.forEach(name => ownState.getChannel(name).pause());
+      this.clearRoomCrossfadeTimeout(followerId);
+      this.clearRoomTrackEndTimeout(followerId);
+      this.clearRoomGaplessTimeout(followerId);
+      this.clearRoomFadeTimeout(followerId);
+      this.saveRoomState(followerId);
+    }
+    follower.leaderId = leaderId;
+
+    logger.info({ followerId, leaderId }, 'Room linked');
+
+    return follower;
+  }
+
+  /**
+   * Unlink a follower room and restart whatever its own state was playing when linked
+   * Returns the room, or null if it was not linked
+   */
+  unlinkRoom(followerId, startTime = Date.now()) {
+    const follower = this.getRoom(followerId);
+    if (!follower.leaderId) {
+      return null;
+    }
+
+    const { music, channels } = follower.linkResume || { music: false, channels: [] };
+    const ownState = follower.sessionState;
+    if (music) {
+      ownState.resume(startTime);
+    }
+    channels.forEach(name => ownState.getChannel(name).resume(startTime));
+
+    logger.info({ followerId, leaderId: follower.leaderId }, 'Room unlinked');
+
+    follower.leaderId = null;
+    follower.linkResume = null;
+    this.saveRoomState(followerId);
+
+    return follower;
+  }
+
+  /**
+   * Get the room a room mirrors (null when it is not linked)
+   */
+  getLeaderId(roomId) {
+    return this.rooms.get(roomId)?.leaderId || null;
+  }
+
+  /**
+   * Get the rooms that mirror a room
+   */
+  getFollowerIds(roomId) {
+    return Array.from(this.rooms.values())
+      .filter(room => room.leaderId === roomId)
+      .map(room => room.id);
+  }
+
+  /**
+   * Get the room whose playback the clients of a room hear
+   */
+  getPlaybackRoomId(roomId) {
+    return this.getLeaderId(roomId) || roomId;
+  }
+
+  /**
+   * Get the socket rooms that hear a room's playback events (the room and its followers)
+   */
+  getAudience(roomId) {
+    return [roomId, ...this.getFollowerIds(roomId)];
+  }
+
+  /**
+   * Delete a room, its saved state and its playlist collection
+   * Returns the IDs of clients that were in the room so they can be moved elsewhere
+   */
+  deleteRoom(roomId) {
+    const room = this.getRoom(roomId);
+    if (roomId === DEFAULT_ROOM_ID) {
+      throw new Error('Cannot delete the default room');
+    }
+
+    this.clearRoomInterval(roomId);
+    this.clearRoomCrossfadeTimeout(roomId);
+    this.clearRoomTrackEndTimeout(roomId);
+    this.clearRoomGaplessTimeout(roomId);
+    this.clearRoomFadeTimeout(roomId);
+    roomQueries.delete(roomId);
+
+    const clientIds = Array.from(room.clients);
+    for (const clientId of clientIds) {
+      this.clientRooms.delete(clientId);
+      this.clientRoles.delete(clientId);
+    }
+    this.rooms.delete(roomId);
+
+    logger.info({ roomId, movedClients: clientIds.length }, 'Room deleted');
+
+    return clientIds;
   }
 
   /**
@@ -51,37 +296,133 @@ class RoomStateManager {
     return room.sessionState;
   }
 
+  /**
+   * Get a room's up-next queue
+   */
+  getQueue(roomId) {
+    return [...this.getRoom(roomId).queue];
+  }
+
+  /**
+   * Add a track to a room's up-next queue (at the end unless a position is given)
+   * Returns the new entry
+   */
+  enqueue(roomId, track, position = null) {
+    const room = this.getRoom(roomId);
+    const entry = {
+      id: uuidv4(),
+      trackId: track.id,
+      title: track.title,
+      artist: track.artist,
+      duration: track.duration,
+      addedAt: Date.now(),
+    };
+
+    const index = position === null ? room.queue.length : Math.max(0, Math.min(position, room.queue.length));
+    room.queue.splice(index, 0, entry);
+
+    return entry;
+  }
+
+  /**
+   * Move a queue entry to a new position
+   * Returns false if the entry isn't queued
+   */
+  moveQueueEntry(roomId, entryId, position) {
+    const room = this.getRoom(roomId);
+    const index = room.queue.findIndex(entry => entry.id === entryId);
+    if (index === -1) {
+      return false;
+    }
+
+    const [entry] = room.queue.splice(index, 1);
+    room.queue.splice(Math.max(0, Math.min(position, room.queue.length)), 0, entry);
+    return true;
+  }
+
+  /**
+   * Remove a queue entry
+   * Returns false if the entry isn't queued
+   */
+  removeQueueEntry(roomId, entryId) {
+    const room = this.getRoom(roomId);
+    const index = room.queue.findIndex(entry => entry.id === entryId);
+    if (index === -1) {
+      return false;
+    }
+
+    room.queue.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Take the first entry off a room's queue (null when empty)
+   */
+  shiftQueue(roomId) {
+    return this.getRoom(roomId).queue.shift() || null;
+  }
+
+  /**
+   * Empty a room's queue
+   */
+  clearQueue(roomId) {
+    this.getRoom(roomId).queue = [];
+  }
+
+  /**
+   * Remove every queue entry for a track (after the track was deleted)
+   * Returns the IDs of rooms whose queue changed
+   */
+  removeTrackFromQueues(trackId) {
+    const changed = [];
+    for (const [roomId, room] of this.rooms) {
+      const queue = room.queue.filter(entry => entry.trackId !== trackId);
+      if (queue.length !== room.queue.length) {
+        room.queue = queue;
+        changed.push(roomId);
+      }
+    }
+    return changed;
+  }
+
   /**
    * Get all rooms info
    */
   getAllRooms() {
     const rooms = [];
     for (const [roomId, room] of this.rooms) {
+      // A linked room plays whatever its leader plays
+      const playbackState = this.getRoomState(this.getPlaybackRoomId(roomId));
       rooms.push({
         id: roomId,
         number: room.number,
+        name: room.name,
         clientCount: room.clients.size,
-        hasTrack: room.sessionState.hasTrack(),
-        isPlaying: room.sessionState.isPlaying(),
-        currentTrack: room.sessionState.currentTrack,
+        blockedCount: this.getBlockedClientIds(roomId).length,
+        hasTrack: playbackState.hasTrack(),
+        isPlaying: playbackState.isPlaying(),
+        currentTrack: playbackState.currentTrack,
         playlistCollectionId: room.playlistCollectionId,
+        hasJoinCode: !!room.joinCode,
+        leaderId: room.leaderId,
       });
     }
     return rooms;
   }
 
   /**
-   * Add client to room
+   * Add client to room with a role
    */
-  joinRoom(clientId, roomId) {
+  joinRoom(clientId, roomId, role = ROLES.LISTENER) {
     // Leave current room first if in one
     this.leaveRoom(clientId);
 
     const room = this.getRoom(roomId);
     room.clients.add(clientId);
     this.clientRooms.set(clientId, roomId);
+    this.clientRoles.set(clientId, role);
 
-    logger.info({ clientId, roomId, clientCount: room.clients.size }, 'Client joined room');
+    logger.info({ clientId, roomId, role, clientCount: room.clients.size }, 'Client joined room');
     
     return room;
   }
@@ -102,9 +443,123 @@ class RoomStateManager {
     }
 
     this.clientRooms.delete(clientId);
+    this.clientRoles.delete(clientId);
     return currentRoomId;
   }
 
+  /**
+   * Start tracking presence for a new connection
+   */
+  registerClient(clientId, { name = null, device = null, audioBlocked = false } = {}) {
+    const now = Date.now();
+    const info = {
+      name,
+      device,
+      connectedAt: now,
+      trackId: null,
+      position: null,
+      playbackState: null,
+      drift: null,
+      audioBlocked,
+      audioBlockedSince: audioBlocked ? now : null,
+      lastReportAt: null,
+    };
+    this.clientInfo.set(clientId, info);
+    return info;
+  }
+
+  /**
+   * Update a connection's presence info; returns null for unknown connections
+   */
+  updateClientInfo(clientId, fields) {
+    const info = this.clientInfo.get(clientId);
+    if (!info) {
+      return null;
+    }
+    Object.assign(info, fields);
+    return info;
+  }
+
+  /**
+   * Get a connection's presence info
+   */
+  getClientInfo(clientId) {
+    return this.clientInfo.get(clientId) || null;
+  }
+
+  /**
+   * Stop tracking presence for a connection that went away
+   */
+  unregisterClient(clientId) {
+    this.clientInfo.delete(clientId);
+    this.clientSecrets.delete(clientId);
+  }
+
+  /**
+   * Issue the secret a connection sends along with its ID on HTTP requests
+   * Socket IDs are visible to the whole room, so the ID alone proves nothing
+   */
+  issueClientSecret(clientId) {
+    const secret = randomBytes(24).toString('hex');
+    this.clientSecrets.set(clientId, secret);
+    return secret;
+  }
+
+  /**
+   * Check a connection's secret
+   */
+  checkClientSecret(clientId, secret) {
+    const expected = this.clientSecrets.get(clientId);
+    if (!expected || typeof secret !== 'string' || secret.length !== expected.length) {
+      return false;
+    }
+    return timingSafeEqual(Buffer.from(secret), Buffer.from(expected));
+  }
+
+  /**
+   * Get the clients in a room whose browser is blocking audio (they hear nothing)
+   */
+  getBlockedClientIds(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) {
+      return [];
+    }
+    return Array.from(room.clients).filter(clientId => this.clientInfo.get(clientId)?.audioBlocked);
+  }
+
+  /**
+   * Get who is in a room, longest connected first
+   * A client counts as out of sync once its last reported drift is past OUT_OF_SYNC_SECONDS
+   */
+  getRoomPresence(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) {
+      return [];
+    }
+
+    return Array.from(room.clients)
+      .map(clientId => {
+        const info = this.clientInfo.get(clientId) || {};
+        return {
+          id: clientId,
+          ...info,
+          role: this.clientRoles.get(clientId) || null,
+          outOfSync: typeof info.drift === 'number' && info.drift > config.outOfSyncSeconds,
+        };
+      })
+      .sort((a, b) => (a.connectedAt || 0) - (b.connectedAt || 0));
+  }
+
+  /**
+   * Get a client's role in a room (null if the client is not in that room)
+   */
+  getClientRole(clientId, roomId = this.clientRooms.get(clientId)) {
+    if (!roomId || this.clientRooms.get(clientId) !== roomId) {
+      return null;
+    }
+    return this.clientRoles.get(clientId) || null;
+  }
+
   /**
    * Get client's current room
    */
@@ -144,6 +599,7 @@ class RoomStateManager {
     for (const [roomId, room] of this.rooms) {
       stats[roomId] = {
         number: room.number,
+        name: room.name,
         clientCount: room.clients.size,
         hasTrack: room.sessionState.hasTrack(),
         isPlaying: room.sessionState.isPlaying(),
@@ -157,7 +613,7 @@ class RoomStateManager {
    * Get default room (room-1)
    */
   getDefaultRoom() {
-    return this.getRoom('room-1');
+    return this.getRoom(DEFAULT_ROOM_ID);
   }
 
   /**
@@ -167,6 +623,116 @@ class RoomStateManager {
     return this.rooms.has(roomId);
   }
 
+  /**
+   * Look up which adaptive cue a room's current track is a variant of
+   */
+  updateAdaptiveCue(roomId) {
+    const state = this.getRoomState(roomId);
+    const variant = state.currentTrack ? adaptiveCueQueries.getByTrack(state.currentTrack.id) : null;
+    state.setAdaptiveCue(variant ? { cueId: variant.cue_id, intensity: variant.intensity } : null);
+  }
+
+  /**
+   * Save a room's session state to the database
+   */
+  saveRoomState(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) {
+      return;
+    }
+
+    const state = room.sessionState;
+    try {
+      roomStateQueries.upsert({
+        room_id: roomId,
+        current_track_id: state.currentTrack?.id || null,
+        playlist_index: state.currentTrackPlaylistIndex,
+        playback_state: state.playbackState,
+        position: state.getCurrentPosition(),
+        volume: state.volume,
+        repeat_mode: state.repeatMode ? 1 : 0,
+        loop_playlist: state.loopPlaylist ? 1 : 0,
+        shuffle_mode: state.shuffleMode ? 1 : 0,
+        shuffle_state: state.shuffleMode ? JSON.stringify(state.shuffle) : null,
+        loop_start: state.loopStart,
+        loop_end: state.loopEnd,
+        channels: JSON.stringify(Object.fromEntries(
+          Object.entries(state.channels).map(([name, channel]) => [name, channel.getSnapshot()])
+        )),
+        crossfade_duration: state.crossfadeDuration,
+        crossfade_manual: state.crossfadeManual ? 1 : 0,
+        ducking: JSON.stringify(state.ducking),
+        updated_at: Date.now(),
+      });
+    } catch (error) {
+      logger.error({ error, roomId }, 'Failed to save room state');
+    }
+  }
+
+  /**
+   * Save session state of all rooms
+   */
+  saveAllRoomStates() {
+    for (const roomId of this.rooms.keys()) {
+      this.saveRoomState(roomId);
+    }
+  }
+
+  /**
+   * Restore room session states saved before the last shutdown
+   * Rooms with a track come back paused at the last known position
+   */
+  restoreRoomStates() {
+    let savedStates;
+    try {
+      savedStates = roomStateQueries.getAll();
+    } catch (error) {
+      logger.error({ error }, 'Failed to load saved room states');
+      return;
+    }
+
+    for (const saved of savedStates) {
+      const room = this.rooms.get(saved.room_id);
+      if (!room) {
+        continue;
+      }
+
+      const track = saved.current_track_id ? trackQueries.getById(saved.current_track_id) : null;
+      room.sessionState.restore(track || null, {
+        playlistIndex: saved.playlist_index,
+        playbackState: saved.playback_state,
+        position: saved.position,
+        volume: saved.volume,
+        repeatMode: saved.repeat_mode === 1,
+        loopPlaylist: saved.loop_playlist === 1,
+        shuffleMode: saved.shuffle_mode === 1,
+        shuffle: saved.shuffle_state ? JSON.parse(saved.shuffle_state) : null,
+        loopStart: saved.loop_start,
+        loopEnd: saved.loop_end,
+        crossfadeDuration: saved.crossfade_duration,
+        crossfadeManual: saved.crossfade_manual === 1,
+        ducking: saved.ducking ? JSON.parse(saved.ducking) : null,
+      });
+
+      const savedChannels = saved.channels ? JSON.parse(saved.channels) : {};
+      for (const [name, snapshot] of Object.entries(savedChannels)) {
+        const channel = room.sessionState.channels[name];
+        if (!channel) {
+          continue;
+        }
+        const channelTrack = snapshot.trackId ? trackQueries.getById(snapshot.trackId) : null;
+        channel.restore(channelTrack || null, snapshot);
+      }
+      this.updateAdaptiveCue(room.id);
+
+      logger.info({
+        roomId: room.id,
+        track: track?.title || null,
+        position: room.sessionState.position,
+      }, 'Room state restored');
+    }
+  }
+
   /**
    * Set position check interval for a room
    */
@@ -186,6 +752,82 @@ class RoomStateManager {
     }
   }
 
+  /**
+   * Set the pending automatic crossfade timeout for a room
+   */
+  setRoomCrossfadeTimeout(roomId, timeoutId) {
+    const room = this.getRoom(roomId);
+    room.crossfadeTimeout = timeoutId;
+  }
+
+  /**
+   * Clear the pending automatic crossfade timeout for a room
+   */
+  clearRoomCrossfadeTimeout(roomId) {
+    const room = this.rooms.get(roomId);
+    if (room && room.crossfadeTimeout) {
+      clearTimeout(room.crossfadeTimeout);
+      room.crossfadeTimeout = null;
+    }
+  }
+
+  /**
+   * Set the server-side end of track timeout for a room
+   */
+  setRoomTrackEndTimeout(roomId, timeoutId) {
+    const room = this.getRoom(roomId);
+    room.trackEndTimeout = timeoutId;
+  }
+
+  /**
+   * Clear the server-side end of track timeout for a room
+   */
+  clearRoomTrackEndTimeout(roomId) {
+    const room = this.rooms.get(roomId);
+    if (room && room.trackEndTimeout) {
+      clearTimeout(room.trackEndTimeout);
+      room.trackEndTimeout = null;
+    }
+  }
+
+  /**
+   * Set the timeout that advances a room gaplessly into its upcoming track
+   */
+  setRoomGaplessTimeout(roomId, timeoutId) {
+    const room = this.getRoom(roomId);
+    room.gaplessTimeout = timeoutId;
+  }
+
+  /**
+   * Clear the pending gapless advance for a room
+   */
+  clearRoomGaplessTimeout(roomId) {
+    const room = this.rooms.get(roomId);
+    if (room && room.gaplessTimeout) {
+      clearTimeout(room.gaplessTimeout);
+      room.gaplessTimeout = null;
+    }
+  }
+
+  /**
+   * Set the timeout that finishes a fade out (pause or stop) for a room
+   */
+  setRoomFadeTimeout(roomId, timeoutId) {
+    const room = this.getRoom(roomId);
+    room.fadeTimeout = timeoutId;
+  }
+
+  /**
+   * Clear the pending fade out timeout for a room
+   */
+  clearRoomFadeTimeout(roomId) {
+    const room = this.rooms.get(roomId);
+    if (room && room.fadeTimeout) {
+      clearTimeout(room.fadeTimeout);
+      room.fadeTimeout = null;
+    }
+  }
+
   /**
    * Cleanup all room intervals
    */
@@ -195,6 +837,10 @@ class RoomStateManager {
         clearInterval(room.positionCheckInterval);
         room.positionCheckInterval = null;
       }
+      this.clearRoomCrossfadeTimeout(roomId);
+      this.clearRoomTrackEndTimeout(roomId);
+      this.clearRoomGaplessTimeout(roomId);
+      this.clearRoomFadeTimeout(roomId);
     }
     logger.info('All room intervals cleared');
   }
@@ -0,0 +1,302 @@
+/**
+ * Scheduler - Runs timed actions for rooms
+ * Sleep timers (pause, stop or fade out at a time), starting a playlist at a set time,
+ * and stopping once the current track ends. Pending actions are kept in the database
+ * so they survive restarts.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { scheduledActionQueries, collectionQueries } from '../db/database.js';
+import logger from '../utils/logger.js';
+import roomStateManager from './roomState.js';
+import { MAX_FADE_DURATION } from './sessionState.js';
+
+export const SCHEDULED_ACTIONS = ['stop_after_track', 'pause', 'stop', 'fade_out', 'play_playlist'];
+
+// Actions that wait for the current track to end instead of a time
+const TRACK_END_ACTIONS = ['stop_after_track'];
+
+// setTimeout cannot wait longer than this, later actions are re-armed in steps
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// Actions that came due while the server was down still run if they are this recent
+const MISSED_ACTION_GRACE_MS = 60 * 1000;
+
+export class Scheduler {
+  constructor(io, syncController) {
+    this.io = io;
+    this.syncController = syncController;
+    this.actions = new Map(); // Pending actions by ID
+    this.timers = new Map(); // Armed timeouts by action ID
+  }
+
+  /**
+   * Load pending actions saved before the last shutdown and arm their timers
+   */
+  init() {
+    const now = Date.now();
+
+    for (const row of scheduledActionQueries.getAll()) {
+      const action = this.formatAction(row);
+
+      if (!roomStateManager.roomExists(action.roomId)) {
+        scheduledActionQueries.delete(action.id);
+        continue;
+      }
+      if (action.runAt !== null && action.runAt < now - MISSED_ACTION_GRACE_MS) {
+        logger.warn({ actionId: action.id, roomId: action.roomId, type: action.type, runAt: action.runAt },
+          'Dropping scheduled action missed while the server was down');
+        scheduledActionQueries.delete(action.id);
+        continue;
+      }
+
+      this.actions.set(action.id, action);
+      this.arm(action);
+    }
+
+    logger.info({ pending: this.actions.size }, 'Scheduler initialized');
+  }
+
+  /**
+   * Convert a database row to the action object sent to clients
+   */
+  formatAction(row) {
+    return {
+      id: row.id,
+      roomId: row.room_id,
+      type: row.type,
+      params: JSON.parse(row.params || '{}'),
+      runAt: row.run_at,
+      createdAt: row.created_at,
+    };
+  }
+
+  /**
+   * Get the pending actions of a room, soonest first (track end actions last)
+   */
+  getActions(roomId) {
+    return Array.from(this.actions.values())
+      .filter(action => action.roomId === roomId)
+      .sort((a, b) => (a.runAt ?? Infinity) - (b.runAt ?? Infinity) || a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Broadcast a room's pending actions so clients can show countdowns
+   */
+  broadcastSchedule(roomId) {
+    this.io.to(roomId).emit('schedule_update', {
+      roomId,
+      actions: this.getActions(roomId),
+      serverTimestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Check and normalize the options of an action type
+   */
+  validateParams(type, params) {
+    if (type === 'fade_out') {
+      const duration = params.duration ?? 10;
+      const then = params.then ?? 'stop';
+      if (typeof duration !== 'number' || duration <= 0 || duration > MAX_FADE_DURATION) {
+        throw new Error(`Invalid fade duration: must be between 0 and ${MAX_FADE_DURATION} seconds`);
+      }
+      if (!['pause', 'stop'].includes(then)) {
+        throw new Error('Invalid fade action: must be pause or stop');
+      }
+      return { duration, then };
+    }
+
+    if (type === 'play_playlist') {
+      if (!params.collectionId || !collectionQueries.getCollection(params.collectionId)) {
+        throw new Error('Collection not found');
+      }
+      return { collectionId: params.collectionId };
+    }
+
+    return {};
+  }
+
+  /**
+   * Schedule an action in a room
+   * runAt is a server timestamp in ms; track end actions ignore it
+   */
+  schedule(roomId, type, runAt = null, params = {}) {
+    if (!SCHEDULED_ACTIONS.includes(type)) {
+      throw new Error(`Invalid action type: ${type}`);
+    }
+
+    const waitsForTrackEnd = TRACK_END_ACTIONS.includes(type);
+    if (waitsForTrackEnd) {
+      if (this.getActions(roomId).some(action => action.type === type)) {
+        throw new Error(`Action ${type} is already scheduled in this room`);
+      }
+    } else if (typeof runAt !== 'number' || !Number.isFinite(runAt) || runAt < Date.now() - 1000) {
+      throw new Error('Invalid run time: must be a timestamp in the future');
+    }
+
+    const row = {
+      id: uuidv4(),
+      room_id: roomId,
+      type,
+      params: JSON.stringify(this.validateParams(type, params)),
+      run_at: waitsForTrackEnd ? null : Math.round(runAt),
+      created_at: Date.now(),
+    };
+    scheduledActionQueries.insert(row);
+
+    const action = this.formatAction(row);
+    this.actions.set(action.id, action);
+    this.arm(action);
+    if (waitsForTrackEnd) {
+      // The automatic crossfade must not move on past the end of this track
+      this.syncController.scheduleTrackTimers(roomId);
+    }
+    this.broadcastSchedule(roomId);
+
+    logger.info({ actionId: action.id, roomId, type, runAt: action.runAt, params: action.params }, 'Action scheduled');
+
+    return action;
+  }
+
+  /**
+   * Cancel a pending action; returns false if there is no such action in the room
+   */
+  cancel(actionId, roomId) {
+    const action = this.actions.get(actionId);
+    if (!action || action.roomId !== roomId) {
+      return false;
+    }
+
+    this.remove(action);
+    if (TRACK_END_ACTIONS.includes(action.type)) {
+      this.syncController.scheduleTrackTimers(roomId);
+    }
+    this.broadcastSchedule(roomId);
+
+    logger.info({ actionId, roomId, type: action.type }, 'Scheduled action cancelled');
+
+    return true;
+  }
+
+  /**
+   * Forget an action and its timer
+   */
+  remove(action) {
+    const timeoutId = this.timers.get(action.id);
+    if (timeoutId) {
+      clearTimeout(timeoutId);
+      this.timers.delete(action.id);
+    }
+    this.actions.delete(action.id);
+    scheduledActionQueries.delete(action.id);
+  }
+
+  /**
+   * Arm the timer of a timed action (long waits are re-armed in steps)
+   */
+  arm(action) {
+    if (action.runAt === null) {
+      return;
+    }
+
+    const delay = Math.max(0, action.runAt - Date.now());
+    const timeoutId = setTimeout(() => {
+      this.timers.delete(action.id);
+      if (delay > MAX_TIMEOUT_MS) {
+        this.arm(action);
+        return;
+      }
+      this.run(action);
+    }, Math.min(delay, MAX_TIMEOUT_MS));
+
+    this.timers.set(action.id, timeoutId);
+  }
+
+  /**
+   * Run a due action and tell the room it fired
+   */
+  async run(action) {
+    const { roomId } = action;
+    this.remove(action);
+    this.io.to(roomId).emit('schedule_fired', { roomId, action, serverTimestamp: Date.now() });
+    this.broadcastSchedule(roomId);
+
+    logger.info({ actionId: action.id, roomId, type: action.type }, 'Running scheduled action');
+
+    try {
+      // Actions act on the room's own playback, so a linked room stops mirroring first
+      if (roomStateManager.getLeaderId(roomId)) {
+        this.syncController.unlinkRoom(roomId);
+      }
+
+      const roomState = roomStateManager.getRoomState(roomId);
+
+      switch (action.type) {
+        case 'pause':
+          if (roomState.isPlaying()) {
+            this.syncController.pause(roomId);
+          }
+          break;
+        case 'stop':
+          this.syncController.stop(roomId);
+          break;
+        case 'fade_out':
+          if (roomState.isPlaying()) {
+            this.syncController.fadeOut(roomId, action.params.duration, action.params.then);
+          } else if (action.params.then === 'stop') {
+            this.syncController.stop(roomId);
+          }
+          break;
+        case 'play_playlist':
+          await this.syncController.playCollection(action.params.collectionId, roomId);
+          break;
+        case 'stop_after_track':
+          this.syncController.stop(roomId);
+          break;
+      }
+    } catch (error) {
+      logger.error({ error, actionId: action.id, roomId, type: action.type }, 'Scheduled action failed');
+    }
+  }
+
+  /**
+   * Check if a room has an action waiting for the current track to end
+   */
+  hasTrackEndAction(roomId) {
+    return this.getActions(roomId).some(action => TRACK_END_ACTIONS.includes(action.type));
+  }
+
+  /**
+   * Run the actions waiting for the current track to end
+   * Returns true when one ran, so the room does not move on to the next track
+   */
+  async runTrackEndActions(roomId) {
+    const actions = this.getActions(roomId).filter(action => TRACK_END_ACTIONS.includes(action.type));
+    for (const action of actions) {
+      await this.run(action);
+    }
+    return actions.length > 0;
+  }
+
+  /**
+   * Drop all pending actions of a room (the room is being deleted)
+   */
+  clearRoom(roomId) {
+    for (const action of this.getActions(roomId)) {
+      this.remove(action);
+    }
+  }
+
+  /**
+   * Clear all timers (pending actions stay saved for the next start)
+   */
+  cleanup() {
+    for (const timeoutId of this.timers.values()) {
+      clearTimeout(timeoutId);
+    }
+    this.timers.clear();
+  }
+}
+
+export default Scheduler;
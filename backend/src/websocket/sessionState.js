@@ -4,29 +4,76 @@
  * Simplified: Server only tracks state, clients handle timing and report when tracks end
  */
 
+import { ChannelState, LAYER_CHANNELS } from './channelState.js';
+
+export const MAX_CROSSFADE_DURATION = 30; // seconds
+export const MAX_FADE_DURATION = 60; // seconds
+export const MAX_DUCK_RAMP = 10; // seconds
+export const DEFAULT_DUCKING = { amount: 0.6, attack: 0.2, release: 0.6 };
+
 export class SessionState {
   constructor() {
     this.currentTrack = null;
     this.currentTrackPlaylistIndex = null; // Track position in playlist, not just track ID
+    this.playingFromQueue = false; // Current track came from the up-next queue (the playlist index is where to continue)
     this.playbackState = 'stopped'; // 'playing', 'paused', 'stopped'
     this.position = 0; // Current position in seconds
     this.lastUpdateTime = null; // Server timestamp of last state change
     this.volume = 0.7; // 0.0 to 1.0
     this.repeatMode = false; // Whether to repeat the current track
     this.loopPlaylist = false; // Whether to loop the entire playlist
+    this.shuffleMode = false; // Whether next/previous follow the shuffle order
+    this.shuffle = { seed: null, order: [], cursor: -1 }; // Shuffle order over playlist entry IDs (see shuffleOrder.js)
     this.loopStart = null; // Custom loop start point in seconds (null = beginning)
     this.loopEnd = null; // Custom loop end point in seconds (null = end of track)
+    this.crossfadeDuration = 0; // Crossfade between tracks in seconds (0 = hard cut)
+    this.crossfadeManual = false; // Whether manual track changes crossfade as well
+    this.ducking = { ...DEFAULT_DUCKING }; // Music dip under effects: amount (0 = off, 1 = silent), attack/release in seconds
+    this.duckWindows = []; // Effects the music is ducked under: { id, startTime, endTime } in server time
+    this.fade = null; // Running fade: { from, to, startTime, duration, then } as a gain on the room volume
+    this.stinger = null; // Active stinger: { trackId, resume } where resume is the interrupted music state
+    this.adaptiveCue = null; // Adaptive cue the current track is a variant of: { cueId, intensity }
+    this.playGeneration = 0; // Incremented on every track start so end reports can be matched to one play
+    this.endedGeneration = null; // Play generation whose end has already been handled
+    // Layered channels mixed on top of the music (the fields above are the music channel)
+    this.channels = Object.fromEntries(LAYER_CHANNELS.map(name => [name, new ChannelState(name)]));
+  }
+
+  /**
+   * Get a layered channel by name
+   */
+  getChannel(name) {
+    const channel = this.channels[name];
+    if (!channel) {
+      throw new Error(`Channel ${name} does not exist`);
+    }
+    return channel;
+  }
+
+  /**
+   * Get state of all layered channels
+   */
+  getChannelStates() {
+    return Object.fromEntries(
+      Object.entries(this.channels).map(([name, channel]) => [name, channel.getState()])
+    );
   }
 
   /**
    * Start playing a track
+   * startTime is the server time clients are scheduled to start at
    */
-  playTrack(track, startPosition = 0, playlistIndex = null) {
+  playTrack(track, startPosition = 0, playlistIndex = null, startTime = Date.now(), fromQueue = false) {
+    this.stinger = null; // Any other track replaces a running stinger
+    this.fade = null;
+    this.adaptiveCue = null;
     this.currentTrack = track;
     this.currentTrackPlaylistIndex = playlistIndex;
+    this.playingFromQueue = fromQueue;
     this.playbackState = 'playing';
     this.position = startPosition;
-    this.lastUpdateTime = Date.now();
+    this.lastUpdateTime = startTime;
+    this.playGeneration += 1;
     
     return this.getState();
   }
@@ -38,7 +85,7 @@ export class SessionState {
     if (this.playbackState === 'playing') {
       // Update position to current time
       if (this.lastUpdateTime) {
-        const elapsed = (Date.now() - this.lastUpdateTime) / 1000;
+        const elapsed = Math.max(0, (Date.now() - this.lastUpdateTime) / 1000);
         this.position += elapsed;
       }
       // Cap position at duration if exceeded
@@ -49,6 +96,7 @@ export class SessionState {
     
     this.playbackState = 'paused';
     this.lastUpdateTime = Date.now();
+    this.fade = null;
     
     return this.getState();
   }
@@ -56,11 +104,12 @@ export class SessionState {
   /**
    * Resume playback
    */
-  resume() {
+  resume(startTime = Date.now()) {
     if (this.playbackState === 'paused' && this.currentTrack) {
       this.playbackState = 'playing';
-      this.lastUpdateTime = Date.now();
+      this.lastUpdateTime = startTime;
     }
+    this.fade = null;
     
     return this.getState();
   }
@@ -69,11 +118,15 @@ export class SessionState {
    * Stop playback
    */
   stop() {
+    this.stinger = null;
     this.playbackState = 'stopped';
     this.position = 0;
     this.lastUpdateTime = Date.now();
     this.currentTrack = null; // Clear track to prevent auto-restart
     this.currentTrackPlaylistIndex = null; // Clear playlist index
+    this.playingFromQueue = false;
+    this.fade = null;
+    this.adaptiveCue = null;
     
     return this.getState();
   }
@@ -81,9 +134,9 @@ export class SessionState {
   /**
    * Seek to a specific position
    */
-  seek(position) {
+  seek(position, startTime = Date.now()) {
     this.position = position;
-    this.lastUpdateTime = Date.now();
+    this.lastUpdateTime = startTime;
     
     return this.getState();
   }
@@ -128,6 +181,23 @@ export class SessionState {
     return this.getState();
   }
 
+  /**
+   * Turn shuffle mode on with a fresh order, or off
+   */
+  setShuffle(enabled, shuffle = { seed: null, order: [], cursor: -1 }) {
+    this.shuffleMode = !!enabled;
+    this.shuffle = enabled ? shuffle : { seed: null, order: [], cursor: -1 };
+    return this.getState();
+  }
+
+  /**
+   * Replace the shuffle order and cursor, keeping the mode
+   */
+  setShuffleOrder(order, cursor, seed = this.shuffle.seed) {
+    this.shuffle = { seed, order, cursor };
+    return this.getState();
+  }
+
   /**
    * Set custom loop points
    */
@@ -146,12 +216,204 @@ export class SessionState {
     return this.getState();
   }
 
+  /**
+   * Remember the current music state and mark a stinger as playing
+   * An interrupted stinger keeps the music state it originally interrupted
+   */
+  startStinger(track, startTime = Date.now()) {
+    const resume = this.stinger?.resume || {
+      track: this.currentTrack,
+      playlistIndex: this.currentTrackPlaylistIndex,
+      playbackState: this.playbackState,
+      position: this.getCurrentPosition(),
+      repeatMode: this.repeatMode,
+      loopStart: this.loopStart,
+      loopEnd: this.loopEnd,
+    };
+
+    this.playTrack(track, 0, null, startTime);
+    this.repeatMode = false;
+    this.loopStart = null;
+    this.loopEnd = null;
+    this.stinger = { trackId: track.id, resume };
+
+    return this.getState();
+  }
+
+  /**
+   * Check if a stinger is currently playing
+   */
+  isStingerPlaying() {
+    return this.stinger !== null && this.currentTrack?.id === this.stinger.trackId;
+  }
+
+  /**
+   * Set the adaptive cue the current track is a variant of (null when it is not one)
+   */
+  setAdaptiveCue(adaptiveCue) {
+    this.adaptiveCue = adaptiveCue;
+    return this.getState();
+  }
+
+  /**
+   * Switch the music to another variant of the adaptive cue
+   * The variant continues from the position the room reaches at startTime; playlist slot,
+   * loop points, repeat and fade carry over, and the new play generation makes end
+   * reports of the old variant stale
+   */
+  switchVariant(track, intensity, startTime = Date.now()) {
+    const playing = this.isPlaying();
+    const untilSwitch = playing ? Math.max(0, startTime - Math.max(Date.now(), this.lastUpdateTime)) / 1000 : 0;
+
+    this.position = Math.min(this.getCurrentPosition() + untilSwitch, track.duration || Infinity);
+    if (playing) {
+      this.lastUpdateTime = startTime;
+    }
+    this.currentTrack = track;
+    this.adaptiveCue = { ...this.adaptiveCue, intensity };
+    this.playGeneration += 1;
+
+    return this.getState();
+  }
+
+  /**
+   * Set crossfade settings
+   */
+  setCrossfade(duration, manual) {
+    this.crossfadeDuration = Math.max(0, Math.min(MAX_CROSSFADE_DURATION, duration));
+    this.crossfadeManual = !!manual;
+    return this.getState();
+  }
+
+  /**
+   * Set ducking settings; fields that are left out keep their value
+   */
+  setDucking({ amount, attack, release } = {}) {
+    const clamp = (value, max, fallback) => (
+      typeof value === 'number' ? Math.max(0, Math.min(max, value)) : fallback
+    );
+    this.ducking = {
+      amount: clamp(amount, 1, this.ducking.amount),
+      attack: clamp(attack, MAX_DUCK_RAMP, this.ducking.attack),
+      release: clamp(release, MAX_DUCK_RAMP, this.ducking.release),
+    };
+    return this.getState();
+  }
+
+  /**
+   * Duck the music under an effect from startTime to endTime (null = until removed)
+   * A window with the same ID (a channel clip that was seeked or resumed) is replaced
+   */
+  addDuckWindow(id, startTime, endTime) {
+    this.removeDuckWindow(id);
+    this.duckWindows.push({ id, startTime, endTime });
+    return this.getDuckWindows();
+  }
+
+  /**
+   * Stop ducking for an effect; returns whether there was a window to remove
+   */
+  removeDuckWindow(id) {
+    const count = this.duckWindows.length;
+    this.duckWindows = this.duckWindows.filter(duck => duck.id !== id);
+    return this.duckWindows.length !== count;
+  }
+
+  /**
+   * Get the duck windows that still affect the music (released ones are dropped)
+   * A window without endTime lasts until it is removed
+   */
+  getDuckWindows(time = Date.now()) {
+    const release = this.ducking.release * 1000;
+    this.duckWindows = this.duckWindows.filter(duck => duck.endTime === null || time < duck.endTime + release);
+    return this.duckWindows;
+  }
+
+  /**
+   * Start a fade envelope on the music
+   * The envelope is a gain applied on top of the room volume, so the volume itself
+   * already holds the value playback ends up at; then is what happens when it finishes
+   */
+  startFade(from, to, duration, startTime = Date.now(), then = null) {
+    this.fade = {
+      from: Math.max(0, Math.min(1, from)),
+      to: Math.max(0, Math.min(1, to)),
+      startTime,
+      duration: Math.max(0, Math.min(MAX_FADE_DURATION, duration)),
+      then,
+    };
+    return this.getState();
+  }
+
+  /**
+   * Get the fade gain at a given time (1 when no fade is running)
+   */
+  getFadeGain(time = Date.now()) {
+    if (!this.fade) {
+      return 1;
+    }
+
+    const { from, to, startTime, duration } = this.fade;
+    const progress = duration > 0 ? (time - startTime) / (duration * 1000) : 1;
+    return from + (to - from) * Math.max(0, Math.min(1, progress));
+  }
+
+  /**
+   * Check if a fade envelope is still ramping
+   */
+  isFading() {
+    return this.fade !== null && Date.now() < this.fade.startTime + this.fade.duration * 1000;
+  }
+
+  /**
+   * Drop the fade envelope
+   */
+  clearFade() {
+    this.fade = null;
+    return this.getState();
+  }
+
+  /**
+   * Accept the end of the current play once
+   * Every client reports the end, so reports for another track, playlist slot or
+   * play generation, and repeats of an already handled end, are rejected
+   */
+  claimTrackEnd({ trackId = null, playlistIndex, generation } = {}) {
+    if (!this.currentTrack || this.playbackState !== 'playing') {
+      return false;
+    }
+    if ((trackId && trackId !== this.currentTrack.id)
+      || (playlistIndex !== undefined && playlistIndex !== this.currentTrackPlaylistIndex)
+      || (generation !== undefined && generation !== this.playGeneration)
+      || this.endedGeneration === this.playGeneration) {
+      return false;
+    }
+
+    this.endedGeneration = this.playGeneration;
+    return true;
+  }
+
+  /**
+   * Get milliseconds until the current track ends, including any wait for a scheduled start
+   * Returns null when nothing is playing or the duration is unknown
+   */
+  getTimeRemaining() {
+    const duration = this.currentTrack?.duration;
+    if (this.playbackState !== 'playing' || !duration) {
+      return null;
+    }
+
+    const startsIn = Math.max(0, this.lastUpdateTime - Date.now());
+    return startsIn + (duration - this.getCurrentPosition()) * 1000;
+  }
+
   /**
    * Get current expected position (for sync checks)
    */
   getCurrentPosition() {
     if (this.playbackState === 'playing' && this.lastUpdateTime) {
-      const elapsed = (Date.now() - this.lastUpdateTime) / 1000;
+      // Clients start at the scheduled time, so the position holds still until then
+      const elapsed = Math.max(0, (Date.now() - this.lastUpdateTime) / 1000);
       let position = this.position + elapsed;
       
       // If we have custom loop points in repeat mode, handle position wrapping
@@ -178,18 +440,54 @@ export class SessionState {
   getState() {
     return {
       currentTrack: this.currentTrack,
+      currentTrackPlaylistIndex: this.currentTrackPlaylistIndex,
+      playingFromQueue: this.playingFromQueue,
+      playGeneration: this.playGeneration,
       playbackState: this.playbackState,
       position: this.getCurrentPosition(),
       lastUpdateTime: this.lastUpdateTime,
       volume: this.volume,
       repeatMode: this.repeatMode,
       loopPlaylist: this.loopPlaylist,
+      shuffleMode: this.shuffleMode,
       loopStart: this.loopStart,
       loopEnd: this.loopEnd,
+      crossfadeDuration: this.crossfadeDuration,
+      crossfadeManual: this.crossfadeManual,
+      ducking: this.ducking,
+      duckWindows: this.getDuckWindows(),
+      fade: this.isFading() ? this.fade : null,
+      stinger: this.stinger ? { trackId: this.stinger.trackId } : null,
+      adaptiveCue: this.adaptiveCue,
+      channels: this.getChannelStates(),
       serverTime: Date.now(),
     };
   }
 
+  /**
+   * Restore previously saved state
+   * A restored track always comes back paused so no room starts playing on its own
+   */
+  restore(track, saved) {
+    this.currentTrack = track;
+    this.currentTrackPlaylistIndex = track ? saved.playlistIndex : null;
+    this.playbackState = track && saved.playbackState !== 'stopped' ? 'paused' : 'stopped';
+    this.position = track ? Math.min(saved.position || 0, track.duration || Infinity) : 0;
+    this.lastUpdateTime = Date.now();
+    this.volume = Math.max(0, Math.min(1, saved.volume));
+    this.repeatMode = !!saved.repeatMode;
+    this.loopPlaylist = !!saved.loopPlaylist;
+    this.shuffleMode = !!saved.shuffleMode;
+    this.shuffle = saved.shuffleMode && saved.shuffle ? saved.shuffle : { seed: null, order: [], cursor: -1 };
+    this.loopStart = saved.loopStart;
+    this.loopEnd = saved.loopEnd;
+    this.crossfadeDuration = saved.crossfadeDuration || 0;
+    this.crossfadeManual = !!saved.crossfadeManual;
+    this.ducking = { ...DEFAULT_DUCKING, ...saved.ducking };
+
+    return this.getState();
+  }
+
   /**
    * Check if a track is currently loaded
    */
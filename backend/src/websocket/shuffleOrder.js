@@ -0,0 +1,82 @@
+/**
+ * Shuffle order helpers
+ * A shuffle order is a list of playlist entry IDs (collection_tracks.id) so it survives
+ * tracks being added, removed or moved. The cursor is the index of the entry currently
+ * playing; entries before it have already been played in this round.
+ */
+
+/**
+ * Create a new random seed for a shuffle order
+ */
+export function createShuffleSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * Seeded pseudo random generator (mulberry32) returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+}
+
+/**
+ * Shuffle entry IDs deterministically from a seed
+ * If firstId is given it is moved to the front, so the entry playing now starts the round
+ */
+export function createShuffleOrder(entryIds, seed, firstId = null) {
+  const random = createRandom(seed);
+  const order = [...entryIds];
+
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+
+  const firstIndex = order.indexOf(firstId);
+  if (firstIndex > 0) {
+    order.unshift(...order.splice(firstIndex, 1));
+  }
+
+  return order;
+}
+
+/**
+ * Bring a shuffle order in line with the current playlist entries
+ * Removed entries are dropped and new entries are placed among the unplayed part of the
+ * round, so nothing that was already played comes back before the round ends.
+ * Returns the updated { order, cursor }
+ */
+export function reconcileShuffleOrder(order, cursor, entryIds, seed) {
+  const present = new Set(entryIds);
+  const known = new Set(order);
+
+  const kept = [];
+  let newCursor = -1;
+  order.forEach((id, index) => {
+    if (!present.has(id)) {
+      return;
+    }
+    kept.push(id);
+    if (index <= cursor) {
+      newCursor = kept.length - 1;
+    }
+  });
+
+  const random = createRandom(seed ^ kept.length);
+  for (const id of entryIds) {
+    if (known.has(id)) {
+      continue;
+    }
+    const slot = newCursor + 1 + Math.floor(random() * (kept.length - newCursor));
+    kept.splice(slot, 0, id);
+  }
+
+  return { order: kept, cursor: newCursor };
+}
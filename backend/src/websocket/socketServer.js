@@ -2,13 +2,46 @@ import { Server } from 'socket.io';
 import logger from '../utils/logger.js';
 import config from '../config/config.js';
 import SyncController from './syncController.js';
-import roomStateManager from './roomState.js';
+import Scheduler from './scheduler.js';
+import AmbientSpawner from './ambientSpawner.js';
+import roomStateManager, { ROLES } from './roomState.js';
+import { CHANNELS } from './channelState.js';
 import { collectionQueries } from '../db/database.js';
+import authService from '../services/auth.js';
 
 let io = null;
 let syncController = null;
+let scheduler = null;
+let ambientSpawner = null;
 const connectedClients = new Map();
 
+const MAX_LABEL_LENGTH = 40; // Display names and device labels
+
+/**
+ * Tidy a display name or device label sent by a client (null when there is none)
+ */
+function cleanLabel(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const label = value.trim().slice(0, MAX_LABEL_LENGTH);
+  return label || null;
+}
+
+/**
+ * Work out the role a connection gets for the role it asked for
+ * Asking for GM needs the GM code when one is configured; returns null if refused
+ */
+function resolveRole(requestedRole, gmCode) {
+  if (requestedRole === ROLES.GM) {
+    return !config.gmCode || gmCode === config.gmCode ? ROLES.GM : null;
+  }
+  if (requestedRole === ROLES.LISTENER) {
+    return ROLES.LISTENER;
+  }
+  return config.defaultRole;
+}
+
 /**
  * Initialize WebSocket server
  */
@@ -27,6 +60,26 @@ export function initWebSocket(httpServer) {
   syncController = new SyncController(io);
   syncController.init();
 
+  // Initialize the scheduler for timed room actions (after rooms are loaded)
+  scheduler = new Scheduler(io, syncController);
+  syncController.scheduler = scheduler;
+  scheduler.init();
+
+  // Random ambient effects fired into rooms
+  ambientSpawner = new AmbientSpawner(io, syncController);
+  syncController.ambientSpawner = ambientSpawner;
+
+  // Connections need a session token (io(url, { auth: { token } })) once authentication is configured
+  io.use((socket, next) => {
+    const session = authService.getSession(socket.handshake.auth?.token);
+    if (!session && authService.isEnabled()) {
+      logger.warn({ address: socket.handshake.address }, 'Rejected unauthenticated connection');
+      return next(new Error('Unauthorized'));
+    }
+    socket.data.auth = session;
+    next();
+  });
+
   // Connection handler
   io.on('connection', (socket) => {
     const clientId = socket.id;
@@ -40,12 +93,42 @@ export function initWebSocket(httpServer) {
       userAgent: socket.handshake.headers['user-agent'],
     });
 
+    // Display name, device label and audio status from the handshake (io(url, { auth: { name, device, audioBlocked } }))
+    // Logged in users are named after their account unless they pick a name
+    const { name, device, audioBlocked } = socket.handshake.auth || {};
+    roomStateManager.registerClient(clientId, {
+      name: cleanLabel(name) || socket.data.auth?.user?.username || null,
+      device: cleanLabel(device),
+      audioBlocked: audioBlocked === true,
+    });
+    const clientSecret = roomStateManager.issueClientSecret(clientId);
+
+    // Role requested in the handshake (io(url, { auth: { role, gmCode } }))
+    const { role: requestedRole, gmCode } = socket.handshake.auth || {};
+    let role = resolveRole(requestedRole, gmCode);
+    if (!role) {
+      socket.emit('error', { message: 'Invalid GM code, joined as listener', code: 'invalid_gm_code' });
+      role = ROLES.LISTENER;
+    }
+
+    /**
+     * Check that this connection is a GM in its room, reporting an error otherwise
+     */
+    const ensureGM = (action) => {
+      if (roomStateManager.getClientRole(clientId) === ROLES.GM) {
+        return true;
+      }
+      logger.warn({ clientId, action }, 'Blocked socket action from non-GM client');
+      socket.emit('error', { message: `Only the GM can ${action}` });
+      return false;
+    };
+
     // Join default room (room-1)
     const defaultRoom = roomStateManager.getDefaultRoom();
     socket.join(defaultRoom.id);
-    roomStateManager.joinRoom(clientId, defaultRoom.id);
+    roomStateManager.joinRoom(clientId, defaultRoom.id, role);
     
-    logger.info({ clientId, roomId: defaultRoom.id }, 'Client joined default room');
+    logger.info({ clientId, roomId: defaultRoom.id, role }, 'Client joined default room');
 
     // Send current state to new client
     socket.emit('state_sync', syncController.getState(defaultRoom.id));
@@ -59,16 +142,22 @@ export function initWebSocket(httpServer) {
     socket.emit('room_joined', {
       roomId: defaultRoom.id,
       roomNumber: defaultRoom.number,
+      roomName: defaultRoom.name,
       clientCount: roomStateManager.getRoomClientCount(defaultRoom.id),
+      role,
+      clientSecret, // Sent back in X-Client-Secret with X-Client-Id on HTTP requests
     });
     
     // Send all rooms info
     socket.emit('rooms_info', roomStateManager.getAllRooms());
+    syncController.broadcastPresence(defaultRoom.id);
     
     logger.debug({ clientId, roomId: defaultRoom.id, playlistLength: playlist.length }, 'Sent initial state to new client');
 
     // Handle room join request
-    socket.on('join_room', (data) => {
+    // The role can be changed on (re)join; without one the connection keeps its current role.
+    // Rooms with a join code need it unless the connection belongs to an admin.
+    socket.on('join_room', (data = {}) => {
       const { roomId } = data;
       
       try {
@@ -77,6 +166,21 @@ export function initWebSocket(httpServer) {
           return;
         }
 
+        if (!socket.data.auth?.user?.isAdmin && !roomStateManager.checkJoinCode(roomId, data.joinCode)) {
+          logger.warn({ clientId, roomId }, 'Refused room join with wrong join code');
+          socket.emit('error', { message: `Wrong join code for ${roomId}`, code: 'invalid_join_code', roomId });
+          return;
+        }
+
+        const roomRole = data.role
+          ? resolveRole(data.role, data.gmCode)
+          : roomStateManager.getClientRole(clientId) || role;
+        if (!roomRole) {
+          socket.emit('error', { message: 'Invalid GM code', code: 'invalid_gm_code' });
+          return;
+        }
+        role = roomRole;
+
         // Leave current room
         const oldRoomId = roomStateManager.getClientRoomId(clientId);
         if (oldRoomId) {
@@ -85,9 +189,9 @@ export function initWebSocket(httpServer) {
 
         // Join new room
         socket.join(roomId);
-        const room = roomStateManager.joinRoom(clientId, roomId);
+        const room = roomStateManager.joinRoom(clientId, roomId, role);
 
-        logger.info({ clientId, roomId, oldRoomId }, 'Client switched rooms');
+        logger.info({ clientId, roomId, oldRoomId, role }, 'Client switched rooms');
 
         // Send room state to client
         socket.emit('state_sync', syncController.getState(roomId));
@@ -101,11 +205,18 @@ export function initWebSocket(httpServer) {
         socket.emit('room_joined', {
           roomId: room.id,
           roomNumber: room.number,
+          roomName: room.name,
           clientCount: roomStateManager.getRoomClientCount(roomId),
+          role,
+          clientSecret,
         });
 
         // Broadcast updated room info to all clients
         io.emit('rooms_info', roomStateManager.getAllRooms());
+        if (oldRoomId && oldRoomId !== roomId) {
+          syncController.broadcastPresence(oldRoomId);
+        }
+        syncController.broadcastPresence(roomId);
         
       } catch (error) {
         logger.error({ error, clientId, roomId }, 'Failed to join room');
@@ -113,6 +224,117 @@ export function initWebSocket(httpServer) {
       }
     });
 
+    // Handle room management requests
+    socket.on('create_room', (data = {}) => {
+      if (!ensureGM('create rooms')) {
+        return;
+      }
+
+      try {
+        const name = typeof data.name === 'string' ? data.name.trim() : '';
+        const result = syncController.createRoom(name || null);
+        socket.emit('room_created', result.room);
+      } catch (error) {
+        logger.error({ error, clientId }, 'Failed to create room');
+        socket.emit('error', { message: error.message });
+      }
+    });
+
+    socket.on('rename_room', (data = {}) => {
+      const { roomId } = data;
+      const name = typeof data.name === 'string' ? data.name.trim() : '';
+      if (!ensureGM('rename rooms')) {
+        return;
+      }
+
+      try {
+        if (!roomStateManager.roomExists(roomId)) {
+          socket.emit('error', { message: `Room ${roomId} does not exist` });
+          return;
+        }
+        if (!name) {
+          socket.emit('error', { message: 'Room name is required' });
+          return;
+        }
+        syncController.renameRoom(roomId, name);
+      } catch (error) {
+        logger.error({ error, clientId, roomId }, 'Failed to rename room');
+        socket.emit('error', { message: error.message });
+      }
+    });
+
+    socket.on('delete_room', (data = {}) => {
+      const { roomId } = data;
+      if (!ensureGM('delete rooms')) {
+        return;
+      }
+
+      try {
+        if (!roomStateManager.roomExists(roomId)) {
+          socket.emit('error', { message: `Room ${roomId} does not exist` });
+          return;
+        }
+        syncController.deleteRoom(roomId);
+      } catch (error) {
+        logger.error({ error, clientId, roomId }, 'Failed to delete room');
+        socket.emit('error', { message: error.message });
+      }
+    });
+
+    // Up-next queue of the connection's current room (GM only)
+    const queueAction = (action, handler) => (data = {}) => {
+      if (!ensureGM(action)) {
+        return;
+      }
+      const roomId = roomStateManager.getClientRoomId(clientId) || 'room-1';
+      try {
+        handler(roomId, data);
+      } catch (error) {
+        logger.error({ error, clientId, roomId }, `Failed to ${action}`);
+        socket.emit('error', { message: error.message });
+      }
+    };
+
+    socket.on('queue_add', queueAction('add to the queue', (roomId, { trackId, position = null }) => {
+      syncController.enqueueTrack(trackId, roomId, Number.isInteger(position) ? position : null);
+    }));
+
+    socket.on('queue_move', queueAction('reorder the queue', (roomId, { entryId, position }) => {
+      if (!Number.isInteger(position) || position < 0) {
+        throw new Error('Invalid queue position');
+      }
+      syncController.moveQueueEntry(entryId, position, roomId);
+    }));
+
+    socket.on('queue_remove', queueAction('remove from the queue', (roomId, { entryId }) => {
+      syncController.removeQueueEntry(entryId, roomId);
+    }));
+
+    socket.on('queue_clear', queueAction('clear the queue', (roomId) => {
+      syncController.clearQueue(roomId);
+    }));
+
+    // Clock synchronization (NTP-style): the client derives its clock offset and
+    // round-trip time from its send/receive times and the server's receive/send times
+    socket.on('clock_ping', (data) => {
+      const serverReceiveTime = Date.now();
+      socket.emit('clock_pong', {
+        clientSendTime: data?.clientSendTime,
+        serverReceiveTime,
+        serverSendTime: Date.now(),
+      });
+    });
+
+    // Clients report their clock estimate once it settles
+    socket.on('clock_report', (data) => {
+      const client = connectedClients.get(clientId);
+      if (client && typeof data?.offset === 'number' && typeof data?.roundTripTime === 'number') {
+        client.clockOffset = data.offset;
+        client.roundTripTime = data.roundTripTime;
+        logger.debug({ clientId, offset: data.offset, roundTripTime: data.roundTripTime }, 'Client clock sync');
+      }
+    });
+
     // Handle client requests for current state
     socket.on('request_state', () => {
       const roomId = roomStateManager.getClientRoomId(clientId) || 'room-1';
@@ -126,10 +348,39 @@ export function initWebSocket(httpServer) {
       socket.emit('playlist_update', playlist);
     });
 
+    // Change the display name or device label shown to the room
+    socket.on('set_presence', (data) => {
+      if (!data || typeof data !== 'object') {
+        return;
+      }
+
+      const fields = {};
+      if ('name' in data) {
+        fields.name = cleanLabel(data.name);
+      }
+      if ('device' in data) {
+        fields.device = cleanLabel(data.device);
+      }
+      roomStateManager.updateClientInfo(clientId, fields);
+
+      const roomId = roomStateManager.getClientRoomId(clientId);
+      if (roomId) {
+        syncController.broadcastPresence(roomId);
+      }
+    });
+
+    // The browser blocked audio until the user interacts with the page, or it was unlocked
+    socket.on('audio_status', (data) => {
+      const roomId = roomStateManager.getClientRoomId(clientId);
+      if (roomId) {
+        syncController.handleAudioStatus(clientId, roomId, data?.blocked === true);
+      }
+    });
+
     // Handle position reports from clients
     socket.on('position_report', (data) => {
       const roomId = roomStateManager.getClientRoomId(clientId) || 'room-1';
-      syncController.handlePositionReport(clientId, roomId, data);
+      syncController.handlePositionReport(clientId, roomId, data || {});
     });
 
     // Handle client errors
@@ -139,10 +390,16 @@ export function initWebSocket(httpServer) {
     });
 
     // Handle track ended event from client
-    socket.on('track_ended', () => {
+    socket.on('track_ended', (data) => {
       const roomId = roomStateManager.getClientRoomId(clientId) || 'room-1';
-      logger.info({ clientId, roomId }, 'Client reported track ended');
-      syncController.handleTrackEnded(clientId, roomId);
+      const { channel = 'music', trackId = null, playlistIndex, generation } = data || {};
+      if (!CHANNELS.includes(channel)) {
+        logger.warn({ clientId, roomId, channel }, 'Ignoring track ended report for an unknown channel');
+        return;
+      }
+      logger.info({ clientId, roomId, channel, generation }, 'Client reported track ended');
+      syncController.handleTrackEnded(clientId, roomId, channel, trackId, { playlistIndex, generation })
+        .catch(error => logger.error({ error, clientId, roomId, channel }, 'Failed to handle track ended report'));
     });
 
     // Handle disconnection
@@ -151,9 +408,11 @@ export function initWebSocket(httpServer) {
       
       // Leave room
       const roomId = roomStateManager.leaveRoom(clientId);
+      roomStateManager.unregisterClient(clientId);
       if (roomId) {
         // Broadcast updated room info to all clients
         io.emit('rooms_info', roomStateManager.getAllRooms());
+        syncController.broadcastPresence(roomId);
       }
       
       connectedClients.delete(clientId);
@@ -186,10 +445,38 @@ export function getSyncController() {
 }
 
 /**
- * Get connected clients info
+ * Get scheduler instance
+ */
+export function getScheduler() {
+  if (!scheduler) {
+    throw new Error('WebSocket not initialized. Call initWebSocket() first.');
+  }
+  return scheduler;
+}
+
+/**
+ * Get ambient spawner instance
+ */
+export function getAmbientSpawner() {
+  if (!ambientSpawner) {
+    throw new Error('WebSocket not initialized. Call initWebSocket() first.');
+  }
+  return ambientSpawner;
+}
+
+/**
+ * Get connected clients info, with the room, role and presence of each
  */
 export function getConnectedClients() {
-  return Array.from(connectedClients.values());
+  return Array.from(connectedClients.values()).map(client => {
+    const roomId = roomStateManager.getClientRoomId(client.id);
+    return {
+      ...client,
+      ...roomStateManager.getClientInfo(client.id),
+      roomId,
+      role: roomStateManager.getClientRole(client.id),
+    };
+  });
 }
 
 /**
@@ -227,6 +514,8 @@ export default {
   initWebSocket,
   getIO,
   getSyncController,
+  getScheduler,
+  getAmbientSpawner,
   getConnectedClients,
   getClientCount,
   broadcastLibraryUpdate,
@@ -1,8 +1,34 @@
-import { trackQueries } from '../db/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import { trackQueries, collectionQueries, sceneQueries, adaptiveCueQueries } from '../db/database.js';
 import logger from '../utils/logger.js';
 import sessionState from './sessionState.js'; // Legacy for backward compatibility
 import roomStateManager from './roomState.js';
+import { MUSIC_CHANNEL } from './channelState.js';
+import { MAX_CROSSFADE_DURATION } from './sessionState.js';
+import { createShuffleSeed, createShuffleOrder, reconcileShuffleOrder } from './shuffleOrder.js';
 import config from '../config/config.js';
+import playHistory from '../services/playHistory.js';
+
+// How long past a track's end the server waits before advancing an empty room itself
+const TRACK_END_GRACE_MS = 1000;
+// Client end reports this long before the expected end are ignored (the timer still advances the room)
+const TRACK_END_REPORT_SLACK_MS = 3000;
+
+// Crossfade used when switching adaptive cue intensity, unless the command sets its own
+const INTENSITY_CROSSFADE_DURATION = 2; // seconds
+
+// How long before the current track ends the server moves a room on to its upcoming track
+// Clients get the play_track this early and switch at the exact end from their preloaded copy
+const GAPLESS_LEAD_MS = 1000;
+
+// Presence updates caused by position reports are batched per room over this window
+const PRESENCE_BROADCAST_DELAY_MS = 1000;
+
+// Lead time for one-shot effects, shorter than track starts so soundboard buttons feel immediate
+const SFX_START_DELAY_MS = 500;
+
+// Layered channels whose clips (narration, stingers) duck the music while they play
+const DUCKING_CHANNELS = ['sfx'];
 
 /**
  * Sync Controller - Handles playback synchronization commands
@@ -12,6 +38,9 @@ class SyncController {
   constructor(io) {
     this.io = io;
     this.positionCheckInterval = null;
+    this.scheduler = null; // Timed room actions, attached once created (see socketServer.js)
+    this.ambientSpawner = null; // Random ambient effects, attached once created (see socketServer.js)
+    this.presenceTimeouts = new Map(); // Pending batched presence broadcasts by room ID
   }
 
   /**
@@ -20,14 +49,24 @@ class SyncController {
   init() {
     logger.info('Sync controller initialized with room support');
     
+    // Load rooms from the database (the database must be initialized by now)
+    roomStateManager.initializeRooms();
+    
+    // Restore room states saved before the last shutdown (restored rooms come back paused)
+    roomStateManager.restoreRoomStates();
+    
     // Start periodic position checks for all rooms
     this.startPositionChecks();
   }
 
   /**
    * Play a track in a specific room
+   * Options: { crossfade } - crossfade from the current track (defaults to the room's manual crossfade setting)
+   *          { fromQueue } - the track comes from the up-next queue, playlistIndex is where the playlist continues
+   *          { fadeIn } - start silent and fade up to the room volume over this many seconds (never crossfades)
+   *          { gapless } - start exactly where the current track ends (gapless.startTime), clients switch over themselves
    */
-  async playTrack(trackId, roomId = 'room-1', startPosition = 0, playlistIndex = null) {
+  async playTrack(trackId, roomId = 'room-1', startPosition = 0, playlistIndex = null, options = {}) {
     try {
       logger.info({ trackId, roomId, startPosition, playlistIndex }, 'Playing track in room');
       
@@ -42,15 +81,26 @@ class SyncController {
       // Get room state
       const roomState = roomStateManager.getRoomState(roomId);
 
-      // Update session state with playlist index
-      roomState.playTrack(track, startPosition, playlistIndex);
+      // Only crossfade when something is actually playing to fade out
+      const crossfade = !options.fadeIn
+        && (options.crossfade ?? roomState.crossfadeManual)
+        && roomState.crossfadeDuration > 0
+        && roomState.isPlaying();
 
       // Calculate scheduled start time (1 second from now for buffer)
-      const scheduledStartTime = Date.now() + 1000;
+      // When crossfading, both fades start at this time on every client
+      const scheduledStartTime = options.gapless ? options.gapless.startTime : Date.now() + 1000;
+
+      // Update session state with playlist index (position counts from the scheduled start)
+      roomStateManager.clearRoomFadeTimeout(roomId);
+      roomState.playTrack(track, startPosition, playlistIndex, scheduledStartTime, !!options.fromQueue);
+      roomStateManager.updateAdaptiveCue(roomId);
+      roomStateManager.saveRoomState(roomId);
+      playHistory.startPlay(roomId, track, playlistIndex, scheduledStartTime);
 
       // Broadcast to all clients in this room
       const payload = {
-        event: 'play_track',
+        event: crossfade ? 'crossfade_track' : 'play_track',
         data: {
           trackId: track.id,
           streamUrl: `/audio/${track.id}`,
@@ -60,19 +110,34 @@ class SyncController {
           duration: track.duration,
           startPosition,
           scheduledStartTime,
+          playlistIndex,
+          fromQueue: roomState.playingFromQueue,
+          playGeneration: roomState.playGeneration,
+          adaptiveCue: roomState.adaptiveCue,
+          ...(crossfade && { crossfadeDuration: roomState.crossfadeDuration }),
+          ...(options.gapless && { gapless: true }),
           serverTimestamp: Date.now(),
           roomId,
         },
       };
 
-      this.io.to(roomId).emit('play_track', payload.data);
+      this.io.to(roomStateManager.getAudience(roomId)).emit(payload.event, payload.data);
+      this.scheduleTrackTimers(roomId);
+
+      if (options.fadeIn) {
+        roomState.startFade(0, 1, options.fadeIn, scheduledStartTime);
+        this.emitFade(roomId);
+      }
 
       logger.info({ 
         trackId, 
         roomId,
         title: track.title,
         duration: track.duration,
-        playlistIndex
+        playlistIndex,
+        crossfade,
+        gapless: !!options.gapless,
+        fadeIn: options.fadeIn || null
       }, 'Track playing in room');
 
       return { success: true, state: roomState.getState() };
@@ -82,13 +147,190 @@ class SyncController {
     }
   }
 
+  /**
+   * Play a stinger that cuts in over the current music
+   * The interrupted track, position, playlist index, repeat mode and loop points are
+   * restored once the stinger's track_ended arrives
+   */
+  playStinger(trackId, roomId = 'room-1') {
+    const track = trackQueries.getById(trackId);
+
+    if (!track) {
+      logger.warn({ trackId, roomId }, 'Track not found for stinger');
+      throw new Error('Track not found');
+    }
+
+    const roomState = roomStateManager.getRoomState(roomId);
+    const hadRepeat = roomState.repeatMode;
+    const scheduledStartTime = Date.now() + 1000;
+    roomStateManager.clearRoomFadeTimeout(roomId);
+    roomState.startStinger(track, scheduledStartTime);
+    roomStateManager.saveRoomState(roomId);
+    playHistory.startPlay(roomId, track, null, scheduledStartTime);
+
+    const payload = {
+      event: 'play_track',
+      data: {
+        trackId: track.id,
+        streamUrl: `/audio/${track.id}`,
+        title: track.title,
+        artist: track.artist,
+        album: track.album,
+        duration: track.duration,
+        startPosition: 0,
+        scheduledStartTime,
+        playlistIndex: null,
+        playGeneration: roomState.playGeneration,
+        stinger: true,
+        serverTimestamp: Date.now(),
+        roomId,
+      },
+    };
+
+    this.io.to(roomStateManager.getAudience(roomId)).emit('play_track', payload.data);
+    if (hadRepeat) {
+      this.io.to(roomStateManager.getAudience(roomId)).emit('repeat_mode_change', {
+        repeatMode: false,
+        serverTimestamp: Date.now(),
+        roomId,
+      });
+    }
+    this.scheduleTrackTimers(roomId);
+
+    logger.info({ 
+      trackId,
+      roomId,
+      title: track.title,
+      resumeTrack: roomState.stinger.resume.track?.title || null,
+      resumePosition: roomState.stinger.resume.position
+    }, 'Stinger playing in room');
+
+    return { success: true, state: roomState.getState() };
+  }
+
+  /**
+   * Restore the music state that a stinger interrupted
+   */
+  resumeAfterStinger(roomId = 'room-1') {
+    const roomState = roomStateManager.getRoomState(roomId);
+    const { resume } = roomState.stinger;
+
+    if (!resume.track) {
+      logger.info({ roomId }, 'Stinger ended, nothing to resume');
+      return this.stop(roomId);
+    }
+
+    const scheduledStartTime = Date.now() + 1000;
+    roomState.playTrack(resume.track, resume.position, resume.playlistIndex, scheduledStartTime);
+    roomStateManager.updateAdaptiveCue(roomId);
+    roomState.setRepeat(resume.repeatMode);
+    roomState.setLoopPoints(resume.loopStart, resume.loopEnd);
+
+    if (resume.playbackState !== 'playing') {
+      // Music was paused when the stinger cut in, so bring it back paused
+      roomState.pause();
+      roomStateManager.saveRoomState(roomId);
+      this.io.to(roomStateManager.getAudience(roomId)).emit('state_sync', roomState.getState());
+    } else {
+      roomStateManager.saveRoomState(roomId);
+      playHistory.startPlay(roomId, resume.track, resume.playlistIndex, scheduledStartTime);
+
+      const serverTimestamp = Date.now();
+      this.io.to(roomStateManager.getAudience(roomId)).emit('play_track', {
+        trackId: resume.track.id,
+        streamUrl: `/audio/${resume.track.id}`,
+        title: resume.track.title,
+        artist: resume.track.artist,
+        album: resume.track.album,
+        duration: resume.track.duration,
+        startPosition: resume.position,
+        scheduledStartTime,
+        playlistIndex: resume.playlistIndex,
+        playGeneration: roomState.playGeneration,
+        adaptiveCue: roomState.adaptiveCue,
+        serverTimestamp,
+        roomId,
+      });
+      this.io.to(roomStateManager.getAudience(roomId)).emit('repeat_mode_change', {
+        repeatMode: roomState.repeatMode,
+        serverTimestamp,
+        roomId,
+      });
+      this.io.to(roomStateManager.getAudience(roomId)).emit('loop_points_change', {
+        loopStart: roomState.loopStart,
+        loopEnd: roomState.loopEnd,
+        serverTimestamp,
+        roomId,
+      });
+      this.scheduleTrackTimers(roomId);
+    }
+
+    logger.info({ 
+      roomId,
+      trackId: resume.track.id,
+      position: resume.position,
+      playbackState: roomState.playbackState
+    }, 'Resumed music after stinger');
+
+    return { success: true, state: roomState.getState() };
+  }
+
+  /**
+   * Play a one-shot sound effect in a room on top of whatever is playing
+   * Nothing in the room state changes, so clients joining later don't hear it
+   * Options: { volume } - 0.0 to 1.0 relative to each client's volume (default 1)
+   *          { pan } - stereo position from -1 (left) to 1 (right), centered when left out
+   *          { duck } - dip the music while the effect plays, using the room's ducking settings
+   */
+  playSfx(trackId, roomId = 'room-1', options = {}) {
+    const track = trackQueries.getById(trackId);
+
+    if (!track) {
+      logger.warn({ trackId, roomId }, 'Track not found for sound effect');
+      throw new Error('Track not found');
+    }
+
+    const payload = {
+      event: 'play_sfx',
+      data: {
+        sfxId: uuidv4(),
+        trackId: track.id,
+        streamUrl: `/audio/${track.id}`,
+        title: track.title,
+        duration: track.duration,
+        volume: Math.max(0, Math.min(1, options.volume ?? 1)),
+        pan: Math.max(-1, Math.min(1, options.pan ?? 0)),
+        duck: !!options.duck,
+        scheduledStartTime: Date.now() + SFX_START_DELAY_MS,
+        serverTimestamp: Date.now(),
+        roomId,
+      },
+    };
+
+    this.io.to(roomStateManager.getAudience(roomId)).emit('play_sfx', payload.data);
+
+    const roomState = roomStateManager.getRoomState(roomId);
+    if (payload.data.duck && roomState.ducking.amount > 0) {
+      const { sfxId, scheduledStartTime } = payload.data;
+      roomState.addDuckWindow(sfxId, scheduledStartTime, scheduledStartTime + track.duration * 1000);
+      this.broadcastDuck(roomId);
+    }
+
+    logger.info({ trackId, roomId, title: track.title, duck: payload.data.duck }, 'Sound effect playing in room');
+
+    return { success: true, sfx: payload.data };
+  }
+
   /**
    * Pause playback in a specific room
    */
   pause(roomId = 'room-1') {
     const roomState = roomStateManager.getRoomState(roomId);
     const stateBefore = roomState.playbackState;
+    roomStateManager.clearRoomFadeTimeout(roomId);
     roomState.pause();
+    roomStateManager.saveRoomState(roomId);
+    playHistory.pausePlay(roomId);
     const stateAfter = roomState.playbackState;
 
     const payload = {
@@ -100,7 +342,8 @@ class SyncController {
       },
     };
 
-    this.io.to(roomId).emit('pause', payload.data);
+    this.io.to(roomStateManager.getAudience(roomId)).emit('pause', payload.data);
+    this.scheduleTrackTimers(roomId);
 
     logger.info({ 
       position: payload.data.position,
@@ -114,19 +357,23 @@ class SyncController {
 
   /**
    * Resume playback in a specific room
+   * Options: { fadeIn } - come back silent and fade up to the room volume over this many seconds
    */
-  resume(roomId = 'room-1') {
+  resume(roomId = 'room-1', options = {}) {
     const roomState = roomStateManager.getRoomState(roomId);
     
     if (!roomState.hasTrack()) {
       throw new Error('No track to resume');
     }
 
-    roomState.resume();
-
     // Calculate scheduled start time
     const scheduledStartTime = Date.now() + 1000;
 
+    roomStateManager.clearRoomFadeTimeout(roomId);
+    roomState.resume(scheduledStartTime);
+    roomStateManager.saveRoomState(roomId);
+    playHistory.resumePlay(roomId, roomState.currentTrack, roomState.currentTrackPlaylistIndex, scheduledStartTime);
+
     const payload = {
       event: 'resume',
       data: {
@@ -137,198 +384,1695 @@ class SyncController {
       },
     };
 
-    this.io.to(roomId).emit('resume', payload.data);
+    this.io.to(roomStateManager.getAudience(roomId)).emit('resume', payload.data);
+    this.scheduleTrackTimers(roomId);
+
+    if (options.fadeIn) {
+      roomState.startFade(0, 1, options.fadeIn, scheduledStartTime);
+      this.emitFade(roomId);
+    }
+
+    logger.info({ position: payload.data.position, roomId }, 'Playback resumed in room');
+
+    return { success: true, state: roomState.getState() };
+  }
+
+  /**
+   * Stop playback in a specific room
+   */
+  stop(roomId = 'room-1') {
+    const roomState = roomStateManager.getRoomState(roomId);
+    roomStateManager.clearRoomFadeTimeout(roomId);
+    roomState.stop();
+    roomStateManager.saveRoomState(roomId);
+    playHistory.endPlay(roomId, 'stopped');
+
+    const payload = {
+      event: 'stop',
+      data: {
+        serverTimestamp: Date.now(),
+        roomId,
+      },
+    };
+
+    this.io.to(roomStateManager.getAudience(roomId)).emit('stop', payload.data);
+    this.scheduleTrackTimers(roomId);
+
+    logger.info({ roomId }, 'Playback stopped in room');
+
+    return { success: true, state: roomState.getState() };
+  }
+
+  /**
+   * Broadcast the room's fade envelope so every client ramps on the same server timeline
+   */
+  emitFade(roomId) {
+    const { fade } = roomStateManager.getRoomState(roomId);
+
+    this.io.to(roomStateManager.getAudience(roomId)).emit('volume_fade', {
+      from: fade.from,
+      to: fade.to,
+      startTime: fade.startTime,
+      duration: fade.duration,
+      then: fade.then,
+      serverTimestamp: Date.now(),
+      roomId,
+    });
+  }
+
+  /**
+   * Fade the music out over a duration, then pause or stop the room
+   * Starts from wherever a running fade currently is; the room volume is left as is
+   * so the next play or resume comes back at full room volume
+   */
+  fadeOut(roomId = 'room-1', duration, then = 'pause') {
+    const roomState = roomStateManager.getRoomState(roomId);
+
+    if (!roomState.isPlaying()) {
+      return then === 'stop' ? this.stop(roomId) : this.pause(roomId);
+    }
+
+    roomStateManager.clearRoomFadeTimeout(roomId);
+    const startTime = Date.now();
+    roomState.startFade(roomState.getFadeGain(startTime), 0, duration, startTime, then);
+    this.emitFade(roomId);
+
+    const timeoutId = setTimeout(() => {
+      roomStateManager.getRoom(roomId).fadeTimeout = null;
+
+      try {
+        if (then === 'stop') {
+          this.stop(roomId);
+        } else {
+          this.pause(roomId);
+        }
+      } catch (error) {
+        logger.error({ error, roomId, then }, 'Failed to finish fade out');
+      }
+    }, roomState.fade.duration * 1000);
+
+    roomStateManager.setRoomFadeTimeout(roomId, timeoutId);
+    logger.info({ roomId, duration: roomState.fade.duration, then }, 'Fading out in room');
+
+    return { success: true, state: roomState.getState() };
+  }
+
+  /**
+   * Seek to position in a specific room
+   */
+  seek(position, roomId = 'room-1') {
+    const roomState = roomStateManager.getRoomState(roomId);
+    
+    if (!roomState.hasTrack()) {
+      throw new Error('No track loaded');
+    }
+
+    // Calculate scheduled start time if playing
+    const scheduledStartTime = roomState.isPlaying() 
+      ? Date.now() + 1000 
+      : null;
+
+    roomState.seek(position, scheduledStartTime || Date.now());
+    roomStateManager.saveRoomState(roomId);
+
+    const payload = {
+      event: 'seek',
+      data: {
+        position,
+        scheduledStartTime,
+        serverTimestamp: Date.now(),
+        roomId,
+      },
+    };
+
+    this.io.to(roomStateManager.getAudience(roomId)).emit('seek', payload.data);
+    this.scheduleTrackTimers(roomId);
+
+    logger.info({ position, roomId }, 'Seeked to position in room');
+
+    return { success: true, state: roomState.getState() };
+  }
+
+  /**
+   * Set volume in a specific room
+   */
+  setVolume(volume, roomId = 'room-1') {
+    const roomState = roomStateManager.getRoomState(roomId);
+    roomState.setVolume(volume);
+    roomStateManager.saveRoomState(roomId);
+
+    const payload = {
+      event: 'volume_change',
+      data: {
+        volume: roomState.volume,
+        serverTimestamp: Date.now(),
+        roomId,
+      },
+    };
+
+    this.io.to(roomStateManager.getAudience(roomId)).emit('volume_change', payload.data);
+
+    logger.info({ volume: roomState.volume, roomId }, 'Volume changed in room');
+
+    return { success: true, state: roomState.getState() };
+  }
+
+  /**
+   * Toggle repeat mode in a specific room
+   */
+  toggleRepeat(roomId = 'room-1') {
+    const roomState = roomStateManager.getRoomState(roomId);
+    roomState.toggleRepeat();
+    roomStateManager.saveRoomState(roomId);
+
+    const payload = {
+      event: 'repeat_mode_change',
+      data: {
+        repeatMode: roomState.repeatMode,
+        serverTimestamp: Date.now(),
+        roomId,
+      },
+    };
+
+    this.io.to(roomStateManager.getAudience(roomId)).emit('repeat_mode_change', payload.data);
+    this.scheduleTrackTimers(roomId);
+
+    logger.info({ repeatMode: roomState.repeatMode, roomId }, 'Repeat mode changed in room');
+
+    return { success: true, state: roomState.getState() };
+  }
+
+  /**
+   * Toggle loop playlist mode in a specific room
+   */
+  toggleLoop(roomId = 'room-1') {
+    const roomState = roomStateManager.getRoomState(roomId);
+    roomState.toggleLoop();
+    roomStateManager.saveRoomState(roomId);
+
+    const payload = {
+      event: 'loop_mode_change',
+      data: {
+        loopPlaylist: roomState.loopPlaylist,
+        serverTimestamp: Date.now(),
+        roomId,
+      },
+    };
+
+    this.io.to(roomStateManager.getAudience(roomId)).emit('loop_mode_change', payload.data);
+
+    logger.info({ loopPlaylist: roomState.loopPlaylist, roomId }, 'Loop playlist mode changed in room');
+
+    return { success: true, state: roomState.getState() };
+  }
+
+  /**
+   * Get the current playlist of a room
+   */
+  getRoomPlaylist(roomId) {
+    const room = roomStateManager.getRoom(roomId);
+    const result = collectionQueries.getCollectionTracks(room.playlistCollectionId, 1000, 0);
+    return result.tracks || [];
+  }
+
+  /**
+   * Toggle shuffle mode in a specific room
+   * A new shuffle order starts with the track playing now
+   */
+  toggleShuffle(roomId = 'room-1') {
+    const roomState = roomStateManager.getRoomState(roomId);
+
+    if (roomState.shuffleMode) {
+      roomState.setShuffle(false);
+    } else {
+      const playlist = this.getRoomPlaylist(roomId);
+      const seed = createShuffleSeed();
+      const currentEntryId = roomState.currentTrack
+        ? playlist[roomState.currentTrackPlaylistIndex]?.entry_id
+        : undefined;
+      const order = createShuffleOrder(playlist.map(t => t.entry_id), seed, currentEntryId);
+      roomState.setShuffle(true, { seed, order, cursor: currentEntryId !== undefined ? 0 : -1 });
+    }
+    roomStateManager.saveRoomState(roomId);
+
+    const payload = {
+      event: 'shuffle_mode_change',
+      data: {
+        shuffleMode: roomState.shuffleMode,
+        serverTimestamp: Date.now(),
+        roomId,
+      },
+    };
+
+    this.io.to(roomStateManager.getAudience(roomId)).emit('shuffle_mode_change', payload.data);
+
+    logger.info({ shuffleMode: roomState.shuffleMode, seed: roomState.shuffle.seed, roomId }, 'Shuffle mode changed in room');
+
+    return { success: true, state: roomState.getState() };
+  }
+
+  /**
+   * Bring a room's shuffle order in line with its playlist
+   * Also moves the playlist index along when the playing entry changed position
+   */
+  syncShuffleOrder(roomId, playlist = this.getRoomPlaylist(roomId)) {
+    const roomState = roomStateManager.getRoomState(roomId);
+    if (!roomState.shuffleMode) {
+      return null;
+    }
+
+    const { seed, order, cursor } = roomState.shuffle;
+    const updated = reconcileShuffleOrder(order, cursor, playlist.map(t => t.entry_id), seed);
+    roomState.setShuffleOrder(updated.order, updated.cursor);
+
+    const playingEntryId = order[cursor];
+    const playingIndex = playlist.findIndex(t => t.entry_id === playingEntryId);
+    if (playingIndex !== -1 && playlist[roomState.currentTrackPlaylistIndex]?.entry_id !== playingEntryId
+      && roomState.currentTrack?.id === playlist[playingIndex].id) {
+      roomState.currentTrackPlaylistIndex = playingIndex;
+    }
+
+    return roomState.shuffle;
+  }
+
+  /**
+   * React to tracks being added, removed or moved in a room's playlist
+   */
+  handlePlaylistChange(roomId) {
+    if (this.syncShuffleOrder(roomId)) {
+      roomStateManager.saveRoomState(roomId);
+      logger.debug({ roomId }, 'Shuffle order updated after playlist change');
+    }
+  }
+
+  /**
+   * Step through the shuffle order (direction 1 = next, -1 = previous)
+   * When the round is over and the playlist loops, a new round is shuffled that does
+   * not open with the track that just played
+   */
+  async playShuffledTrack(roomId, playlist, direction, options = {}) {
+    const roomState = roomStateManager.getRoomState(roomId);
+    const { order } = this.syncShuffleOrder(roomId, playlist);
+    let { cursor } = roomState.shuffle;
+
+    // A track picked by hand from the playlist continues the round from its own slot
+    const currentEntryId = roomState.currentTrack
+      ? playlist[roomState.currentTrackPlaylistIndex]?.entry_id
+      : undefined;
+    if (currentEntryId !== undefined && order[cursor] !== currentEntryId && order.includes(currentEntryId)) {
+      cursor = order.indexOf(currentEntryId);
+    }
+
+    let targetCursor = roomState.currentTrack ? cursor + direction : (direction > 0 ? 0 : order.length - 1);
+
+    if (targetCursor < 0 || targetCursor >= order.length) {
+      if (!roomState.loopPlaylist) {
+        const reason = direction > 0 ? 'end_of_playlist' : 'beginning_of_playlist';
+        if (options.crossfade) {
+          logger.info({ roomId }, 'End of shuffle order reached, no crossfade');
+          return { success: false, reason };
+        }
+        logger.info({ roomId }, 'End of shuffle order reached, stopping playback');
+        this.stop(roomId);
+        return { success: false, reason };
+      }
+
+      if (direction > 0) {
+        const seed = (roomState.shuffle.seed + 1) >>> 0;
+        const newOrder = createShuffleOrder(playlist.map(t => t.entry_id), seed);
+        if (newOrder.length > 1 && newOrder[0] === currentEntryId) {
+          newOrder.push(newOrder.shift());
+        }
+        roomState.setShuffleOrder(newOrder, -1, seed);
+        targetCursor = 0;
+        logger.info({ roomId, seed }, 'Shuffle round finished, reshuffling playlist');
+      } else {
+        targetCursor = order.length - 1;
+      }
+    }
+
+    const targetEntryId = roomState.shuffle.order[targetCursor];
+    const targetIndex = playlist.findIndex(t => t.entry_id === targetEntryId);
+    roomState.setShuffleOrder(roomState.shuffle.order, targetCursor);
+
+    logger.info({ 
+      roomId,
+      cursor: targetCursor,
+      playlistIndex: targetIndex,
+      title: playlist[targetIndex].title 
+    }, 'Playing track in shuffle order');
+    await this.playTrack(playlist[targetIndex].id, roomId, 0, targetIndex, options);
+    return { success: true };
+  }
+
+  /**
+   * Set custom loop points in a specific room
+   */
+  setLoopPoints(loopStart, loopEnd, roomId = 'room-1') {
+    const roomState = roomStateManager.getRoomState(roomId);
+    roomState.setLoopPoints(loopStart, loopEnd);
+    roomStateManager.saveRoomState(roomId);
+
+    const payload = {
+      event: 'loop_points_change',
+      data: {
+        loopStart: roomState.loopStart,
+        loopEnd: roomState.loopEnd,
+        serverTimestamp: Date.now(),
+        roomId,
+      },
+    };
+
+    this.io.to(roomStateManager.getAudience(roomId)).emit('loop_points_change', payload.data);
+
+    logger.info({ loopStart, loopEnd, roomId }, 'Loop points changed in room');
+
+    return { success: true, state: roomState.getState() };
+  }
+
+  /**
+   * Clear custom loop points in a specific room
+   */
+  clearLoopPoints(roomId = 'room-1') {
+    const roomState = roomStateManager.getRoomState(roomId);
+    roomState.clearLoopPoints();
+    roomStateManager.saveRoomState(roomId);
+
+    const payload = {
+      event: 'loop_points_change',
+      data: {
+        loopStart: null,
+        loopEnd: null,
+        serverTimestamp: Date.now(),
+        roomId,
+      },
+    };
+
+    this.io.to(roomStateManager.getAudience(roomId)).emit('loop_points_change', payload.data);
+
+    logger.info({ roomId }, 'Loop points cleared in room');
+
+    return { success: true, state: roomState.getState() };
+  }
+
+  /**
+   * Set crossfade settings in a specific room
+   */
+  setCrossfade(duration, manual, roomId = 'room-1') {
+    const roomState = roomStateManager.getRoomState(roomId);
+    roomState.setCrossfade(duration, manual);
+    roomStateManager.saveRoomState(roomId);
+
+    const payload = {
+      event: 'crossfade_change',
+      data: {
+        crossfadeDuration: roomState.crossfadeDuration,
+        crossfadeManual: roomState.crossfadeManual,
+        serverTimestamp: Date.now(),
+        roomId,
+      },
+    };
+
+    this.io.to(roomStateManager.getAudience(roomId)).emit('crossfade_change', payload.data);
+    this.scheduleTrackTimers(roomId);
+
+    logger.info({ 
+      crossfadeDuration: roomState.crossfadeDuration,
+      crossfadeManual: roomState.crossfadeManual,
+      roomId
+    }, 'Crossfade settings changed in room');
+
+    return { success: true, state: roomState.getState() };
+  }
+
+  /**
+   * Set ducking settings in a specific room
+   * Settings: { amount } how far the music dips, 0 (off) to 1 (silent)
+   *           { attack, release } seconds to dip the music and to bring it back
+   */
+  setDucking(settings, roomId = 'room-1') {
+    const roomState = roomStateManager.getRoomState(roomId);
+    roomState.setDucking(settings);
+    roomStateManager.saveRoomState(roomId);
+
+    this.broadcastDuck(roomId);
+
+    logger.info({ ducking: roomState.ducking, roomId }, 'Ducking settings changed in room');
+
+    return { success: true, state: roomState.getState() };
+  }
+
+  /**
+   * Broadcast a room's ducking settings and duck windows
+   * Clients turn the windows into a gain envelope on the music, so they all dip together
+   */
+  broadcastDuck(roomId) {
+    const roomState = roomStateManager.getRoomState(roomId);
+
+    const payload = {
+      event: 'duck_update',
+      data: {
+        ducking: roomState.ducking,
+        duckWindows: roomState.getDuckWindows(),
+        serverTimestamp: Date.now(),
+        roomId,
+      },
+    };
+
+    this.io.to(roomStateManager.getAudience(roomId)).emit('duck_update', payload.data);
+
+    return payload.data;
+  }
+
+  /**
+   * Follow a layered channel's clip with a duck window
+   * The window lasts until the clip ends, or until it is stopped when it repeats (endTime null)
+   */
+  updateChannelDuck(roomId, channel) {
+    const roomState = roomStateManager.getRoomState(roomId);
+    const channelState = roomState.getChannel(channel);
+    const duckId = `channel-${channel}`;
+    const previous = roomState.duckWindows.find(duck => duck.id === duckId) || null;
+
+    let changed;
+    if (channelState.isPlaying() && roomState.ducking.amount > 0) {
+      const startTime = channelState.lastUpdateTime;
+      const endTime = channelState.repeatMode
+        ? null
+        : startTime + Math.max(0, channelState.currentTrack.duration - channelState.position) * 1000;
+      changed = !previous || previous.startTime !== startTime || previous.endTime !== endTime;
+      roomState.addDuckWindow(duckId, startTime, endTime);
+    } else {
+      changed = roomState.removeDuckWindow(duckId);
+    }
+
+    if (changed) {
+      this.broadcastDuck(roomId);
+    }
+  }
+
+  /**
+   * Schedule the automatic crossfade into the next track
+   * The next track has to start before the current one ends, so the server advances
+   * the playlist crossfadeDuration seconds before the end instead of waiting for track_ended
+   */
+  scheduleAutoCrossfade(roomId) {
+    roomStateManager.clearRoomCrossfadeTimeout(roomId);
+
+    const roomState = roomStateManager.getRoomState(roomId);
+    const remaining = roomState.getTimeRemaining();
+    if (remaining === null || roomState.repeatMode || roomState.isStingerPlaying()
+      || !roomState.crossfadeDuration || this.scheduler?.hasTrackEndAction(roomId)) {
+      return;
+    }
+
+    const delay = remaining - roomState.crossfadeDuration * 1000;
+    if (delay <= 0) {
+      // Too close to the end to fade, let the track end normally
+      return;
+    }
+
+    const trackId = roomState.currentTrack.id;
+    const timeoutId = setTimeout(async () => {
+      roomStateManager.getRoom(roomId).crossfadeTimeout = null;
+
+      // Make sure nothing changed while waiting
+      if (!roomState.isPlaying() || roomState.currentTrack?.id !== trackId) {
+        return;
+      }
+
+      try {
+        // The track counts as played through once it starts fading out
+        playHistory.endPlay(roomId, 'ended');
+        await this.playNextTrack(roomId, { crossfade: true });
+      } catch (error) {
+        logger.error({ error, roomId }, 'Failed to crossfade into next track');
+      }
+    }, delay);
+
+    roomStateManager.setRoomCrossfadeTimeout(roomId, timeoutId);
+    logger.debug({ roomId, delay }, 'Automatic crossfade scheduled');
+  }
+
+  /**
+   * Advance a room from the server when its track ends with nobody listening
+   * Connected clients report the end themselves, so the timer only acts in an empty room
+   */
+  scheduleTrackEnd(roomId) {
+    roomStateManager.clearRoomTrackEndTimeout(roomId);
+
+    const roomState = roomStateManager.getRoomState(roomId);
+    const remaining = roomState.getTimeRemaining();
+    // Custom loop points wrap in place, the track never reaches its end
+    if (remaining === null || (roomState.repeatMode && roomState.loopEnd !== null)) {
+      return;
+    }
+
+    const play = {
+      trackId: roomState.currentTrack.id,
+      playlistIndex: roomState.currentTrackPlaylistIndex,
+      generation: roomState.playGeneration,
+    };
+    const timeoutId = setTimeout(() => {
+      roomStateManager.getRoom(roomId).trackEndTimeout = null;
+
+      if (roomStateManager.getAudience(roomId).some(id => roomStateManager.getRoomClientCount(id) > 0)) {
+        return;
+      }
+
+      logger.info({ roomId, trackId: play.trackId }, 'Track ended in empty room, advancing from server');
+      this.handleTrackEnded('server', roomId, MUSIC_CHANNEL, play.trackId, play);
+    }, remaining + TRACK_END_GRACE_MS);
+
+    roomStateManager.setRoomTrackEndTimeout(roomId, timeoutId);
+  }
+
+  /**
+   * Work out what playNextTrack would play when the current track ends, without changing anything
+   * Returns { track, playlistIndex, fromQueue } or null when the room would stop
+   */
+  peekNextTrack(roomId) {
+    const roomState = roomStateManager.getRoomState(roomId);
+
+    // The up-next queue is drained before the playlist continues
+    const queued = roomStateManager.getQueue(roomId)
+      .map(entry => trackQueries.getById(entry.trackId))
+      .find(Boolean);
+    if (queued) {
+      return { track: queued, playlistIndex: roomState.currentTrackPlaylistIndex, fromQueue: true };
+    }
+
+    const playlist = this.getRoomPlaylist(roomId);
+    if (playlist.length === 0) {
+      return null;
+    }
+
+    const entryAt = (index) => (index >= 0 && index < playlist.length
+      ? { track: playlist[index], playlistIndex: index, fromQueue: false }
+      : null);
+
+    if (roomState.shuffleMode) {
+      const entryIds = playlist.map(t => t.entry_id);
+      const { seed } = roomState.shuffle;
+      const { order, cursor } = reconcileShuffleOrder(roomState.shuffle.order, roomState.shuffle.cursor, entryIds, seed);
+      const currentEntryId = roomState.currentTrack
+        ? playlist[roomState.currentTrackPlaylistIndex]?.entry_id
+        : undefined;
+      const position = currentEntryId !== undefined && order[cursor] !== currentEntryId && order.includes(currentEntryId)
+        ? order.indexOf(currentEntryId)
+        : cursor;
+
+      let nextEntryId = order[position + 1];
+      if (nextEntryId === undefined) {
+        if (!roomState.loopPlaylist) {
+          return null;
+        }
+        const newOrder = createShuffleOrder(entryIds, (seed + 1) >>> 0);
+        if (newOrder.length > 1 && newOrder[0] === currentEntryId) {
+          newOrder.push(newOrder.shift());
+        }
+        nextEntryId = newOrder[0];
+      }
+      return entryAt(playlist.findIndex(t => t.entry_id === nextEntryId));
+    }
+
+    if (roomState.playingFromQueue && roomState.currentTrackPlaylistIndex === null) {
+      return entryAt(0);
+    }
+
+    const currentIndex = roomState.currentTrackPlaylistIndex ?? playlist.findIndex(t => t.id === roomState.currentTrack.id);
+    if (currentIndex === -1) {
+      return null;
+    }
+    if (currentIndex < playlist.length - 1) {
+      return entryAt(currentIndex + 1);
+    }
+    return roomState.loopPlaylist ? entryAt(0) : null;
+  }
+
+  /**
+   * Get the track a room moves on to gaplessly when the current one ends
+   * Only plain playlist advances qualify: repeats, stingers, crossfades and scheduled
+   * track end actions keep their own handling. startTime is the end of the current track.
+   */
+  getUpcomingTrack(roomId) {
+    const roomState = roomStateManager.getRoomState(roomId);
+    const remaining = roomState.getTimeRemaining();
+    if (remaining === null || roomState.repeatMode || roomState.isStingerPlaying()
+      || roomState.crossfadeDuration > 0 || this.scheduler?.hasTrackEndAction(roomId)) {
+      return null;
+    }
+
+    const next = this.peekNextTrack(roomId);
+    if (!next) {
+      return null;
+    }
+
+    const { track, playlistIndex, fromQueue } = next;
+    return {
+      trackId: track.id,
+      streamUrl: `/audio/${track.id}`,
+      title: track.title,
+      artist: track.artist,
+      duration: track.duration,
+      playlistIndex,
+      fromQueue,
+      startTime: Date.now() + remaining,
+    };
+  }
+
+  /**
+   * Move a room on to its upcoming track shortly before the current one ends
+   * The new track is scheduled for the exact end, so clients that preloaded it play on
+   * without waiting for track_ended to make the round trip
+   */
+  scheduleGaplessAdvance(roomId) {
+    roomStateManager.clearRoomGaplessTimeout(roomId);
+
+    const roomState = roomStateManager.getRoomState(roomId);
+    const remaining = roomState.getTimeRemaining();
+    if (remaining === null || remaining <= GAPLESS_LEAD_MS || !this.getUpcomingTrack(roomId)) {
+      return;
+    }
+
+    const play = { trackId: roomState.currentTrack.id, generation: roomState.playGeneration };
+    const timeoutId = setTimeout(async () => {
+      roomStateManager.getRoom(roomId).gaplessTimeout = null;
+
+      // The playlist or queue may have changed while waiting, so look again
+      const upcoming = this.getUpcomingTrack(roomId);
+      if (!upcoming || roomState.playGeneration !== play.generation || !roomState.claimTrackEnd(play)) {
+        return;
+      }
+
+      try {
+        roomStateManager.clearRoomTrackEndTimeout(roomId);
+        playHistory.endPlay(roomId, 'ended');
+        await this.playNextTrack(roomId, { crossfade: false, gapless: { startTime: upcoming.startTime } });
+      } catch (error) {
+        logger.error({ error, roomId }, 'Failed to advance gaplessly into next track');
+      }
+    }, remaining - GAPLESS_LEAD_MS);
+
+    roomStateManager.setRoomGaplessTimeout(roomId, timeoutId);
+    logger.debug({ roomId, delay: remaining - GAPLESS_LEAD_MS }, 'Gapless advance scheduled');
+  }
+
+  /**
+   * Reschedule the timers that follow the current track's timeline
+   */
+  scheduleTrackTimers(roomId) {
+    this.scheduleAutoCrossfade(roomId);
+    this.scheduleTrackEnd(roomId);
+    this.scheduleGaplessAdvance(roomId);
+  }
+
+  /**
+   * Broadcast an event for a layered channel to all clients in a room
+   */
+  emitChannelEvent(roomId, event, channel, data = {}) {
+    const payload = {
+      event,
+      data: {
+        channel,
+        ...data,
+        serverTimestamp: Date.now(),
+        roomId,
+      },
+    };
+
+    this.io.to(roomStateManager.getAudience(roomId)).emit(event, payload.data);
+
+    if (DUCKING_CHANNELS.includes(channel)) {
+      this.updateChannelDuck(roomId, channel);
+    }
+
+    return payload.data;
+  }
+
+  /**
+   * Play a track on a channel in a specific room
+   * The music channel keeps using the regular playlist-aware playback
+   */
+  async playChannelTrack(channel, trackId, roomId = 'room-1', startPosition = 0) {
+    if (channel === MUSIC_CHANNEL) {
+      return this.playTrack(trackId, roomId, startPosition);
+    }
+
+    const roomState = roomStateManager.getRoomState(roomId);
+    const channelState = roomState.getChannel(channel);
+
+    const track = trackQueries.getById(trackId);
+    if (!track) {
+      logger.warn({ trackId, roomId, channel }, 'Track not found for channel playback');
+      throw new Error('Track not found');
+    }
+
+    const scheduledStartTime = Date.now() + 1000;
+    channelState.playTrack(track, startPosition, scheduledStartTime);
+    roomStateManager.saveRoomState(roomId);
+
+    this.emitChannelEvent(roomId, 'channel_play_track', channel, {
+      trackId: track.id,
+      streamUrl: `/audio/${track.id}`,
+      title: track.title,
+      artist: track.artist,
+      duration: track.duration,
+      startPosition,
+      volume: channelState.volume,
+      repeatMode: channelState.repeatMode,
+      scheduledStartTime,
+      playGeneration: channelState.playGeneration,
+    });
+
+    logger.info({ trackId, roomId, channel, title: track.title }, 'Track playing on channel');
+
+    return { success: true, state: roomState.getState() };
+  }
+
+  /**
+   * Pause a channel in a specific room
+   */
+  pauseChannel(channel, roomId = 'room-1') {
+    if (channel === MUSIC_CHANNEL) {
+      return this.pause(roomId);
+    }
+
+    const roomState = roomStateManager.getRoomState(roomId);
+    const channelState = roomState.getChannel(channel);
+    channelState.pause();
+    roomStateManager.saveRoomState(roomId);
+
+    this.emitChannelEvent(roomId, 'channel_pause', channel, {
+      position: channelState.getCurrentPosition(),
+    });
+
+    logger.info({ roomId, channel, position: channelState.position }, 'Channel paused');
+
+    return { success: true, state: roomState.getState() };
+  }
+
+  /**
+   * Resume a channel in a specific room
+   */
+  resumeChannel(channel, roomId = 'room-1') {
+    if (channel === MUSIC_CHANNEL) {
+      return this.resume(roomId);
+    }
+
+    const roomState = roomStateManager.getRoomState(roomId);
+    const channelState = roomState.getChannel(channel);
+
+    if (!channelState.hasTrack()) {
+      throw new Error('No track to resume');
+    }
+
+    const scheduledStartTime = Date.now() + 1000;
+    channelState.resume(scheduledStartTime);
+    roomStateManager.saveRoomState(roomId);
+
+    this.emitChannelEvent(roomId, 'channel_resume', channel, {
+      position: channelState.getCurrentPosition(),
+      scheduledStartTime,
+    });
+
+    logger.info({ roomId, channel, position: channelState.position }, 'Channel resumed');
+
+    return { success: true, state: roomState.getState() };
+  }
+
+  /**
+   * Stop a channel in a specific room
+   */
+  stopChannel(channel, roomId = 'room-1') {
+    if (channel === MUSIC_CHANNEL) {
+      return this.stop(roomId);
+    }
+
+    const roomState = roomStateManager.getRoomState(roomId);
+    roomState.getChannel(channel).stop();
+    roomStateManager.saveRoomState(roomId);
+
+    this.emitChannelEvent(roomId, 'channel_stop', channel);
+
+    logger.info({ roomId, channel }, 'Channel stopped');
+
+    return { success: true, state: roomState.getState() };
+  }
+
+  /**
+   * Seek a channel in a specific room
+   */
+  seekChannel(channel, position, roomId = 'room-1') {
+    if (channel === MUSIC_CHANNEL) {
+      return this.seek(position, roomId);
+    }
+
+    const roomState = roomStateManager.getRoomState(roomId);
+    const channelState = roomState.getChannel(channel);
+
+    if (!channelState.hasTrack()) {
+      throw new Error('No track loaded');
+    }
+
+    const scheduledStartTime = channelState.isPlaying() ? Date.now() + 1000 : null;
+    channelState.seek(position, scheduledStartTime || Date.now());
+    roomStateManager.saveRoomState(roomId);
+
+    this.emitChannelEvent(roomId, 'channel_seek', channel, {
+      position,
+      scheduledStartTime,
+    });
+
+    logger.info({ roomId, channel, position }, 'Channel seeked');
+
+    return { success: true, state: roomState.getState() };
+  }
+
+  /**
+   * Set volume of a channel in a specific room
+   */
+  setChannelVolume(channel, volume, roomId = 'room-1') {
+    if (channel === MUSIC_CHANNEL) {
+      return this.setVolume(volume, roomId);
+    }
+
+    const roomState = roomStateManager.getRoomState(roomId);
+    const channelState = roomState.getChannel(channel);
+    channelState.setVolume(volume);
+    roomStateManager.saveRoomState(roomId);
+
+    this.emitChannelEvent(roomId, 'channel_volume_change', channel, {
+      volume: channelState.volume,
+    });
+
+    logger.info({ roomId, channel, volume: channelState.volume }, 'Channel volume changed');
+
+    return { success: true, state: roomState.getState() };
+  }
+
+  /**
+   * Toggle repeat mode of a channel in a specific room
+   */
+  toggleChannelRepeat(channel, roomId = 'room-1') {
+    if (channel === MUSIC_CHANNEL) {
+      return this.toggleRepeat(roomId);
+    }
+
+    const roomState = roomStateManager.getRoomState(roomId);
+    const channelState = roomState.getChannel(channel);
+    // Re-anchor the position so the loop wrap is computed from now on
+    channelState.seek(channelState.getCurrentPosition());
+    channelState.setRepeat(!channelState.repeatMode);
+    roomStateManager.saveRoomState(roomId);
+
+    this.emitChannelEvent(roomId, 'channel_repeat_change', channel, {
+      repeatMode: channelState.repeatMode,
+    });
+
+    logger.info({ roomId, channel, repeatMode: channelState.repeatMode }, 'Channel repeat mode changed');
+
+    return { success: true, state: roomState.getState() };
+  }
+
+  /**
+   * Set custom loop points of a channel in a specific room
+   */
+  setChannelLoopPoints(channel, loopStart, loopEnd, roomId = 'room-1') {
+    if (channel === MUSIC_CHANNEL) {
+      return this.setLoopPoints(loopStart, loopEnd, roomId);
+    }
+
+    const roomState = roomStateManager.getRoomState(roomId);
+    const channelState = roomState.getChannel(channel);
+    channelState.setLoopPoints(loopStart, loopEnd);
+    roomStateManager.saveRoomState(roomId);
+
+    this.emitChannelEvent(roomId, 'channel_loop_points_change', channel, {
+      loopStart: channelState.loopStart,
+      loopEnd: channelState.loopEnd,
+    });
+
+    logger.info({ roomId, channel, loopStart, loopEnd }, 'Channel loop points changed');
+
+    return { success: true, state: roomState.getState() };
+  }
+
+  /**
+   * Clear custom loop points of a channel in a specific room
+   */
+  clearChannelLoopPoints(channel, roomId = 'room-1') {
+    if (channel === MUSIC_CHANNEL) {
+      return this.clearLoopPoints(roomId);
+    }
+
+    const roomState = roomStateManager.getRoomState(roomId);
+    const channelState = roomState.getChannel(channel);
+    channelState.clearLoopPoints();
+    roomStateManager.saveRoomState(roomId);
+
+    this.emitChannelEvent(roomId, 'channel_loop_points_change', channel, {
+      loopStart: null,
+      loopEnd: null,
+    });
+
+    logger.info({ roomId, channel }, 'Channel loop points cleared');
+
+    return { success: true, state: roomState.getState() };
+  }
+
+  /**
+   * Get current state for a specific room
+   */
+  getState(roomId = 'room-1') {
+    // A linked room reports its leader's playback, but keeps its own queue and schedule
+    const leaderId = roomStateManager.getLeaderId(roomId);
+    const roomState = roomStateManager.getRoomState(leaderId || roomId);
+    return {
+      ...roomState.getState(),
+      upcoming: this.getUpcomingTrack(leaderId || roomId),
+      linkedTo: leaderId,
+      queue: roomStateManager.getQueue(roomId),
+      schedule: this.scheduler ? this.scheduler.getActions(roomId) : [],
+      spawners: this.ambientSpawner ? this.ambientSpawner.getSpawners(roomId) : [],
+      presence: roomStateManager.getRoomPresence(roomId),
+    };
+  }
+
+  /**
+   * Send a room's presence list (who is connected, their role and sync state) to its clients
+   */
+  broadcastPresence(roomId) {
+    clearTimeout(this.presenceTimeouts.get(roomId));
+    this.presenceTimeouts.delete(roomId);
+
+    if (!roomStateManager.roomExists(roomId)) {
+      return;
+    }
+
+    this.io.to(roomId).emit('presence_update', {
+      roomId,
+      clients: roomStateManager.getRoomPresence(roomId),
+      serverTimestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Broadcast a room's presence soon, folding in whatever else changes meanwhile
+   */
+  schedulePresenceBroadcast(roomId) {
+    if (this.presenceTimeouts.has(roomId)) {
+      return;
+    }
+    this.presenceTimeouts.set(roomId, setTimeout(() => this.broadcastPresence(roomId), PRESENCE_BROADCAST_DELAY_MS));
+  }
+
+  /**
+   * Send a room's up-next queue to its clients
+   */
+  broadcastQueue(roomId) {
+    this.io.to(roomId).emit('queue_update', {
+      roomId,
+      queue: roomStateManager.getQueue(roomId),
+      serverTimestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Add a track to a room's up-next queue (at the end unless a position is given)
+   */
+  enqueueTrack(trackId, roomId = 'room-1', position = null) {
+    const track = trackQueries.getById(trackId);
+    if (!track) {
+      throw new Error('Track not found');
+    }
+
+    const entry = roomStateManager.enqueue(roomId, track, position);
+    this.broadcastQueue(roomId);
+
+    logger.info({ roomId, trackId, title: track.title, position }, 'Track added to queue');
+
+    return { success: true, entry, queue: roomStateManager.getQueue(roomId) };
+  }
+
+  /**
+   * Move a queue entry to a new position
+   */
+  moveQueueEntry(entryId, position, roomId = 'room-1') {
+    if (!roomStateManager.moveQueueEntry(roomId, entryId, position)) {
+      throw new Error('Queue entry not found');
+    }
+    this.broadcastQueue(roomId);
+
+    return { success: true, queue: roomStateManager.getQueue(roomId) };
+  }
+
+  /**
+   * Remove an entry from a room's queue
+   */
+  removeQueueEntry(entryId, roomId = 'room-1') {
+    if (!roomStateManager.removeQueueEntry(roomId, entryId)) {
+      throw new Error('Queue entry not found');
+    }
+    this.broadcastQueue(roomId);
+
+    return { success: true, queue: roomStateManager.getQueue(roomId) };
+  }
+
+  /**
+   * Empty a room's queue
+   */
+  clearQueue(roomId = 'room-1') {
+    roomStateManager.clearQueue(roomId);
+    this.broadcastQueue(roomId);
+
+    return { success: true, queue: [] };
+  }
+
+  /**
+   * Drop a deleted track from every room's queue
+   */
+  removeTrackFromQueues(trackId) {
+    for (const roomId of roomStateManager.removeTrackFromQueues(trackId)) {
+      this.broadcastQueue(roomId);
+    }
+  }
+
+  /**
+   * Play the next queued track, if any
+   * The playlist index stays where it was so the playlist continues from there afterwards.
+   * Returns null when the queue is empty.
+   */
+  async playQueuedTrack(roomId, options = {}) {
+    const roomState = roomStateManager.getRoomState(roomId);
+    let entry = roomStateManager.shiftQueue(roomId);
+
+    // Skip entries whose track was deleted in the meantime
+    while (entry && !trackQueries.getById(entry.trackId)) {
+      logger.warn({ roomId, trackId: entry.trackId }, 'Skipping queued track that no longer exists');
+      entry = roomStateManager.shiftQueue(roomId);
+    }
+    if (!entry) {
+      return null;
+    }
+
+    this.broadcastQueue(roomId);
+    logger.info({ roomId, trackId: entry.trackId, title: entry.title }, 'Playing next track from queue');
+    await this.playTrack(entry.trackId, roomId, 0, roomState.currentTrackPlaylistIndex, { ...options, fromQueue: true });
+    return { success: true, fromQueue: true };
+  }
+
+  /**
+   * Broadcast the list of rooms to all clients
+   */
+  broadcastRoomsInfo() {
+    this.io.emit('rooms_info', roomStateManager.getAllRooms());
+  }
+
+  /**
+   * Create a new room
+   */
+  createRoom(name) {
+    const room = roomStateManager.createRoom(name);
+    this.startRoomPositionCheck(room.id);
+    this.broadcastRoomsInfo();
+
+    logger.info({ roomId: room.id, name: room.name }, 'Room created');
+
+    return { success: true, room: this.getRoomInfo(room.id) };
+  }
+
+  /**
+   * Rename a room
+   */
+  renameRoom(roomId, name) {
+    roomStateManager.renameRoom(roomId, name);
+    this.broadcastRoomsInfo();
+
+    return { success: true, room: this.getRoomInfo(roomId) };
+  }
+
+  /**
+   * Set or clear a room's join code
+   */
+  setRoomJoinCode(roomId, joinCode) {
+    roomStateManager.setRoomJoinCode(roomId, joinCode);
+    this.broadcastRoomsInfo();
+
+    return { success: true, room: this.getRoomInfo(roomId) };
+  }
+
+  /**
+   * Delete a room and move its clients to the default room
+   */
+  deleteRoom(roomId) {
+    const roleByClient = new Map(
+      roomStateManager.getRoomClients(roomId).map(clientId => [clientId, roomStateManager.getClientRole(clientId, roomId)])
+    );
+    // Rooms mirroring this one go back to their own playback
+    roomStateManager.getFollowerIds(roomId).forEach(followerId => this.unlinkRoom(followerId));
+
+    const clientIds = roomStateManager.deleteRoom(roomId);
+    this.scheduler?.clearRoom(roomId);
+    this.ambientSpawner?.clearRoom(roomId);
+    playHistory.clearRoom(roomId);
+    const defaultRoom = roomStateManager.getDefaultRoom();
+
+    for (const clientId of clientIds) {
+      const socket = this.io.sockets.sockets.get(clientId);
+      if (!socket) {
+        continue;
+      }
+
+      // Moved clients keep the role they had in the deleted room
+      const role = roleByClient.get(clientId);
+      socket.leave(roomId);
+      socket.join(defaultRoom.id);
+      roomStateManager.joinRoom(clientId, defaultRoom.id, role);
+
+      socket.emit('state_sync', this.getState(defaultRoom.id));
+      socket.emit('room_joined', {
+        roomId: defaultRoom.id,
+        roomNumber: defaultRoom.number,
+        roomName: defaultRoom.name,
+        clientCount: roomStateManager.getRoomClientCount(defaultRoom.id),
+        role,
+      });
+    }
+
+    this.broadcastRoomsInfo();
+    if (clientIds.length > 0) {
+      this.broadcastPresence(defaultRoom.id);
+    }
+
+    return { success: true, movedClients: clientIds.length };
+  }
+
+  /**
+   * Link a room so its clients mirror another room until unlinked
+   */
+  linkRoom(followerId, leaderId) {
+    roomStateManager.linkRoom(followerId, leaderId);
+    // The room's own track is on hold while it mirrors the leader
+    playHistory.pausePlay(followerId);
+
+    this.io.to(followerId).emit('state_sync', this.getState(followerId));
+    this.broadcastRoomsInfo();
+
+    return { success: true, roomId: followerId, leaderId };
+  }
+
+  /**
+   * Unlink a room and return its clients to the room's own playlist and state
+   */
+  unlinkRoom(followerId) {
+    // Clients pick the room's own playback up from the state sync right away
+    if (!roomStateManager.unlinkRoom(followerId)) {
+      return { success: false, reason: 'not_linked' };
+    }
+
+    const roomState = roomStateManager.getRoomState(followerId);
+    if (roomState.isPlaying()) {
+      playHistory.resumePlay(followerId, roomState.currentTrack, roomState.currentTrackPlaylistIndex, roomState.lastUpdateTime);
+    }
+
+    this.io.to(followerId).emit('state_sync', this.getState(followerId));
+    this.scheduleTrackTimers(followerId);
+    this.broadcastRoomsInfo();
+
+    return { success: true, roomId: followerId, leaderId: null };
+  }
+
+  /**
+   * Get info for a single room
+   */
+  getRoomInfo(roomId) {
+    return roomStateManager.getAllRooms().find(room => room.id === roomId) || null;
+  }
+
+  /**
+   * Convert a scene row into its API shape
+   */
+  formatScene(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      trackIds: JSON.parse(row.track_ids),
+      state: JSON.parse(row.state),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+
+  /**
+   * Get all scenes
+   */
+  getScenes() {
+    return sceneQueries.getAll().map(row => this.formatScene(row));
+  }
+
+  /**
+   * Get a scene by ID (null if it does not exist)
+   */
+  getScene(sceneId) {
+    const row = sceneQueries.getById(sceneId);
+    return row ? this.formatScene(row) : null;
+  }
+
+  /**
+   * Broadcast the scene list to all clients
+   */
+  broadcastScenes() {
+    this.io.emit('scenes_update', this.getScenes());
+  }
+
+  /**
+   * Snapshot a room's playlist and session state
+   */
+  snapshotRoom(roomId) {
+    const room = roomStateManager.getRoom(roomId);
+    const roomState = room.sessionState;
+    const { tracks } = collectionQueries.getCollectionTracks(room.playlistCollectionId, 1000, 0);
+
+    return {
+      trackIds: tracks.map(track => track.id),
+      state: {
+        trackId: roomState.currentTrack?.id || null,
+        playlistIndex: roomState.currentTrackPlaylistIndex,
+        playbackState: roomState.playbackState,
+        position: roomState.getCurrentPosition(),
+        volume: roomState.volume,
+        repeatMode: roomState.repeatMode,
+        loopPlaylist: roomState.loopPlaylist,
+        loopStart: roomState.loopStart,
+        loopEnd: roomState.loopEnd,
+        channels: Object.fromEntries(
+          Object.entries(roomState.channels).map(([name, channel]) => [name, channel.getSnapshot()])
+        ),
+      },
+    };
+  }
+
+  /**
+   * Capture a room's current setup as a new named scene
+   */
+  captureScene(name, roomId = 'room-1') {
+    const { trackIds, state } = this.snapshotRoom(roomId);
+    const now = Date.now();
+    const id = uuidv4();
+
+    sceneQueries.insert({
+      id,
+      name,
+      track_ids: JSON.stringify(trackIds),
+      state: JSON.stringify(state),
+      created_at: now,
+      updated_at: now,
+    });
+    this.broadcastScenes();
 
-    logger.info({ position: payload.data.position, roomId }, 'Playback resumed in room');
+    logger.info({ sceneId: id, name, roomId, trackCount: trackIds.length }, 'Scene captured');
 
-    return { success: true, state: roomState.getState() };
+    return { success: true, scene: this.getScene(id) };
   }
 
   /**
-   * Stop playback in a specific room
+   * Overwrite an existing scene with a room's current setup
    */
-  stop(roomId = 'room-1') {
-    const roomState = roomStateManager.getRoomState(roomId);
-    roomState.stop();
+  updateSceneFromRoom(sceneId, roomId = 'room-1') {
+    const { trackIds, state } = this.snapshotRoom(roomId);
+    sceneQueries.update(sceneId, {
+      track_ids: JSON.stringify(trackIds),
+      state: JSON.stringify(state),
+    });
+    this.broadcastScenes();
 
-    const payload = {
-      event: 'stop',
-      data: {
-        serverTimestamp: Date.now(),
-        roomId,
-      },
-    };
+    logger.info({ sceneId, roomId, trackCount: trackIds.length }, 'Scene updated from room');
 
-    this.io.to(roomId).emit('stop', payload.data);
+    return { success: true, scene: this.getScene(sceneId) };
+  }
 
-    logger.info({ roomId }, 'Playback stopped in room');
+  /**
+   * Rename a scene
+   */
+  renameScene(sceneId, name) {
+    sceneQueries.update(sceneId, { name });
+    this.broadcastScenes();
 
-    return { success: true, state: roomState.getState() };
+    logger.info({ sceneId, name }, 'Scene renamed');
+
+    return { success: true, scene: this.getScene(sceneId) };
   }
 
   /**
-   * Seek to position in a specific room
+   * Delete a scene
    */
-  seek(position, roomId = 'room-1') {
-    const roomState = roomStateManager.getRoomState(roomId);
-    
-    if (!roomState.hasTrack()) {
-      throw new Error('No track loaded');
+  deleteScene(sceneId) {
+    sceneQueries.delete(sceneId);
+    this.broadcastScenes();
+
+    logger.info({ sceneId }, 'Scene deleted');
+
+    return { success: true };
+  }
+
+  /**
+   * Recall a scene into a room
+   * Replaces the room playlist, starts the scene track at its position and applies
+   * flags, loop points, volume and layered channels with the regular broadcasts
+   */
+  async recallScene(sceneId, roomId = 'room-1') {
+    const scene = this.getScene(sceneId);
+    if (!scene) {
+      throw new Error('Scene not found');
     }
 
-    roomState.seek(position);
+    const room = roomStateManager.getRoom(roomId);
+    const roomState = room.sessionState;
+    const { state } = scene;
+
+    // Replace the room playlist (tracks deleted since the capture are skipped)
+    collectionQueries.clearTracks(room.playlistCollectionId);
+    let playlistIndex = null;
+    let added = 0;
+    scene.trackIds.forEach((trackId, index) => {
+      if (!trackQueries.getById(trackId)) {
+        return;
+      }
+      if (index === state.playlistIndex) {
+        playlistIndex = added;
+      }
+      collectionQueries.addTrack(room.playlistCollectionId, trackId);
+      added++;
+    });
+    this.io.to(roomId).emit('playlist_update', { collectionId: room.playlistCollectionId, roomId });
+    this.handlePlaylistChange(roomId);
+
+    // Volume first so the recalled track starts at the captured level
+    this.setVolume(state.volume, roomId);
+
+    // Music (a scene captured while paused comes back paused at its position)
+    const track = state.trackId ? trackQueries.getById(state.trackId) : null;
+    if (track) {
+      const startPosition = Math.min(state.position || 0, track.duration || Infinity);
+      const playing = state.playbackState === 'playing';
+      await this.playTrack(track.id, roomId, startPosition, playlistIndex, playing ? {} : { crossfade: false });
+      if (!playing) {
+        this.pause(roomId);
+      }
+    } else if (roomState.hasTrack()) {
+      this.stop(roomId);
+    }
 
-    // Calculate scheduled start time if playing
-    const scheduledStartTime = roomState.isPlaying() 
-      ? Date.now() + 1000 
-      : null;
+    // Flags and loop points (after play_track, which clears loop points on clients)
+    roomState.setRepeat(state.repeatMode);
+    roomState.setLoop(state.loopPlaylist);
+    roomState.setLoopPoints(state.loopStart ?? null, state.loopEnd ?? null);
+    const serverTimestamp = Date.now();
+    this.io.to(roomStateManager.getAudience(roomId)).emit('repeat_mode_change', { repeatMode: roomState.repeatMode, serverTimestamp, roomId });
+    this.io.to(roomStateManager.getAudience(roomId)).emit('loop_mode_change', { loopPlaylist: roomState.loopPlaylist, serverTimestamp, roomId });
+    this.io.to(roomStateManager.getAudience(roomId)).emit('loop_points_change', {
+      loopStart: roomState.loopStart,
+      loopEnd: roomState.loopEnd,
+      serverTimestamp,
+      roomId,
+    });
+    this.scheduleTrackTimers(roomId);
+
+    // Layered channels
+    for (const [name, channelState] of Object.entries(roomState.channels)) {
+      const snapshot = state.channels?.[name] || {};
+      channelState.setVolume(snapshot.volume ?? 1.0);
+      channelState.setRepeat(snapshot.repeatMode);
+      channelState.setLoopPoints(snapshot.loopStart ?? null, snapshot.loopEnd ?? null);
+      this.emitChannelEvent(roomId, 'channel_volume_change', name, { volume: channelState.volume });
+      this.emitChannelEvent(roomId, 'channel_repeat_change', name, { repeatMode: channelState.repeatMode });
+      this.emitChannelEvent(roomId, 'channel_loop_points_change', name, {
+        loopStart: channelState.loopStart,
+        loopEnd: channelState.loopEnd,
+      });
+
+      const channelTrack = snapshot.trackId ? trackQueries.getById(snapshot.trackId) : null;
+      if (channelTrack && snapshot.playbackState === 'playing') {
+        await this.playChannelTrack(name, channelTrack.id, roomId, snapshot.position || 0);
+      } else if (channelState.hasTrack()) {
+        this.stopChannel(name, roomId);
+      }
+    }
 
-    const payload = {
-      event: 'seek',
-      data: {
-        position,
-        scheduledStartTime,
-        serverTimestamp: Date.now(),
-        roomId,
-      },
-    };
+    roomStateManager.saveRoomState(roomId);
 
-    this.io.to(roomId).emit('seek', payload.data);
+    logger.info({ sceneId, name: scene.name, roomId, track: track?.title || null }, 'Scene recalled');
 
-    logger.info({ position, roomId }, 'Seeked to position in room');
+    return { success: true, scene, state: roomState.getState() };
+  }
 
-    return { success: true, state: roomState.getState() };
+  /**
+   * Convert an adaptive cue row into its API shape
+   */
+  formatCue(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      variants: adaptiveCueQueries.getVariants(row.id).map(variant => ({
+        intensity: variant.intensity,
+        label: variant.label,
+        trackId: variant.track_id,
+        title: variant.title,
+        duration: variant.duration,
+      })),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
   }
 
   /**
-   * Set volume in a specific room
+   * Get all adaptive cues
    */
-  setVolume(volume, roomId = 'room-1') {
-    const roomState = roomStateManager.getRoomState(roomId);
-    roomState.setVolume(volume);
+  getCues() {
+    return adaptiveCueQueries.getAll().map(row => this.formatCue(row));
+  }
 
-    const payload = {
-      event: 'volume_change',
-      data: {
-        volume: roomState.volume,
-        serverTimestamp: Date.now(),
-        roomId,
-      },
-    };
+  /**
+   * Get an adaptive cue by ID (null if it does not exist)
+   */
+  getCue(cueId) {
+    const row = adaptiveCueQueries.getById(cueId);
+    return row ? this.formatCue(row) : null;
+  }
 
-    this.io.to(roomId).emit('volume_change', payload.data);
+  /**
+   * Broadcast the cue list to all clients
+   */
+  broadcastCues() {
+    this.io.emit('cues_update', this.getCues());
+  }
 
-    logger.info({ volume: roomState.volume, roomId }, 'Volume changed in room');
+  /**
+   * Check a cue's variant list: [{ trackId, label? }] from calmest to most intense
+   */
+  validateCueVariants(variants) {
+    if (!Array.isArray(variants) || variants.length < 2) {
+      throw new Error('Invalid variants: a cue needs at least two tracks');
+    }
 
-    return { success: true, state: roomState.getState() };
+    const trackIds = new Set();
+    for (const variant of variants) {
+      if (!variant || typeof variant.trackId !== 'string' || trackIds.has(variant.trackId)) {
+        throw new Error('Invalid variants: each needs a different trackId');
+      }
+      if (variant.label !== undefined && variant.label !== null && typeof variant.label !== 'string') {
+        throw new Error('Invalid variants: label must be a string');
+      }
+      if (!trackQueries.getById(variant.trackId)) {
+        throw new Error(`Track not found: ${variant.trackId}`);
+      }
+      trackIds.add(variant.trackId);
+    }
+
+    return variants.map(variant => ({ trackId: variant.trackId, label: variant.label?.trim() || null }));
   }
 
   /**
-   * Toggle repeat mode in a specific room
+   * Rooms playing a variant re-check their cue after cues change
    */
-  toggleRepeat(roomId = 'room-1') {
-    const roomState = roomStateManager.getRoomState(roomId);
-    roomState.toggleRepeat();
+  refreshAdaptiveCues() {
+    roomStateManager.getAllRooms().forEach(room => roomStateManager.updateAdaptiveCue(room.id));
+  }
 
-    const payload = {
-      event: 'repeat_mode_change',
-      data: {
-        repeatMode: roomState.repeatMode,
-        serverTimestamp: Date.now(),
-        roomId,
-      },
-    };
+  /**
+   * Create an adaptive cue from tracks of the same piece at rising intensity
+   */
+  createCue(name, variants) {
+    const validated = this.validateCueVariants(variants);
+    const now = Date.now();
+    const id = uuidv4();
 
-    this.io.to(roomId).emit('repeat_mode_change', payload.data);
+    adaptiveCueQueries.insert({ id, name, created_at: now, updated_at: now });
+    adaptiveCueQueries.setVariants(id, validated);
+    this.refreshAdaptiveCues();
+    this.broadcastCues();
 
-    logger.info({ repeatMode: roomState.repeatMode, roomId }, 'Repeat mode changed in room');
+    logger.info({ cueId: id, name, variantCount: validated.length }, 'Adaptive cue created');
 
-    return { success: true, state: roomState.getState() };
+    return { success: true, cue: this.getCue(id) };
   }
 
   /**
-   * Toggle loop playlist mode in a specific room
+   * Rename a cue and/or replace its variants
    */
-  toggleLoop(roomId = 'room-1') {
-    const roomState = roomStateManager.getRoomState(roomId);
-    roomState.toggleLoop();
+  updateCue(cueId, { name, variants } = {}) {
+    const validated = variants !== undefined ? this.validateCueVariants(variants) : null;
 
-    const payload = {
-      event: 'loop_mode_change',
-      data: {
-        loopPlaylist: roomState.loopPlaylist,
-        serverTimestamp: Date.now(),
-        roomId,
-      },
-    };
+    if (name !== undefined) {
+      adaptiveCueQueries.updateName(cueId, name);
+    }
+    if (validated) {
+      adaptiveCueQueries.setVariants(cueId, validated);
+    }
+    this.refreshAdaptiveCues();
+    this.broadcastCues();
 
-    this.io.to(roomId).emit('loop_mode_change', payload.data);
+    logger.info({ cueId, name, variantCount: validated?.length }, 'Adaptive cue updated');
 
-    logger.info({ loopPlaylist: roomState.loopPlaylist, roomId }, 'Loop playlist mode changed in room');
+    return { success: true, cue: this.getCue(cueId) };
+  }
 
-    return { success: true, state: roomState.getState() };
+  /**
+   * Delete a cue (its tracks stay in the library)
+   */
+  deleteCue(cueId) {
+    adaptiveCueQueries.delete(cueId);
+    this.refreshAdaptiveCues();
+    this.broadcastCues();
+
+    logger.info({ cueId }, 'Adaptive cue deleted');
+
+    return { success: true };
   }
 
   /**
-   * Set custom loop points in a specific room
+   * Switch a room playing an adaptive cue to the variant at another intensity
+   * Every client crossfades to the new variant at the same server time and at the
+   * position the room has reached by then
+   * Options: { crossfade } - crossfade length in seconds (defaults to INTENSITY_CROSSFADE_DURATION)
    */
-  setLoopPoints(loopStart, loopEnd, roomId = 'room-1') {
+  setIntensity(intensity, roomId = 'room-1', options = {}) {
     const roomState = roomStateManager.getRoomState(roomId);
-    roomState.setLoopPoints(loopStart, loopEnd);
 
-    const payload = {
-      event: 'loop_points_change',
-      data: {
+    if (!roomState.hasTrack() || !roomState.adaptiveCue || roomState.isStingerPlaying()) {
+      throw new Error('No adaptive cue is playing');
+    }
+
+    const variant = adaptiveCueQueries.getVariants(roomState.adaptiveCue.cueId)
+      .find(candidate => candidate.intensity === intensity);
+    if (!variant) {
+      throw new Error(`Invalid intensity: the cue has no variant at ${intensity}`);
+    }
+    if (variant.track_id === roomState.currentTrack.id) {
+      return { success: true, changed: false, state: roomState.getState() };
+    }
+
+    const track = trackQueries.getById(variant.track_id);
+    const crossfadeDuration = Math.max(0, Math.min(MAX_CROSSFADE_DURATION, options.crossfade ?? INTENSITY_CROSSFADE_DURATION));
+    const switchTime = Date.now() + 1000;
+
+    roomState.switchVariant(track, intensity, switchTime);
+    roomStateManager.saveRoomState(roomId);
+
+    if (roomState.isPlaying()) {
+      playHistory.startPlay(roomId, track, roomState.currentTrackPlaylistIndex, switchTime);
+
+      const serverTimestamp = Date.now();
+      const audience = roomStateManager.getAudience(roomId);
+      this.io.to(audience).emit(crossfadeDuration > 0 ? 'crossfade_track' : 'play_track', {
+        trackId: track.id,
+        streamUrl: `/audio/${track.id}`,
+        title: track.title,
+        artist: track.artist,
+        album: track.album,
+        duration: track.duration,
+        startPosition: roomState.position,
+        scheduledStartTime: switchTime,
+        playlistIndex: roomState.currentTrackPlaylistIndex,
+        fromQueue: roomState.playingFromQueue,
+        playGeneration: roomState.playGeneration,
+        adaptiveCue: roomState.adaptiveCue,
+        ...(crossfadeDuration > 0 && { crossfadeDuration }),
+        serverTimestamp,
+        roomId,
+      });
+      // Clients drop loop points on a new track, the variant keeps the room's
+      this.io.to(audience).emit('loop_points_change', {
         loopStart: roomState.loopStart,
         loopEnd: roomState.loopEnd,
-        serverTimestamp: Date.now(),
+        serverTimestamp,
         roomId,
-      },
-    };
-
-    this.io.to(roomId).emit('loop_points_change', payload.data);
-
-    logger.info({ loopStart, loopEnd, roomId }, 'Loop points changed in room');
+      });
+      this.scheduleTrackTimers(roomId);
+    } else {
+      // A paused room just swaps the loaded track at the same position
+      roomStateManager.getAudience(roomId).forEach(id => this.io.to(id).emit('state_sync', this.getState(id)));
+    }
 
-    return { success: true, state: roomState.getState() };
+    logger.info({
+      roomId,
+      cueId: roomState.adaptiveCue.cueId,
+      intensity,
+      trackId: track.id,
+      position: roomState.position,
+      crossfadeDuration,
+    }, 'Adaptive cue intensity changed');
+
+    return { success: true, changed: true, state: roomState.getState() };
   }
 
   /**
-   * Clear custom loop points in a specific room
+   * Replace a room's playlist with a collection's tracks and start it from the top
+   * (or from the start of a fresh shuffle order)
    */
-  clearLoopPoints(roomId = 'room-1') {
-    const roomState = roomStateManager.getRoomState(roomId);
-    roomState.clearLoopPoints();
+  async playCollection(collectionId, roomId = 'room-1', options = {}) {
+    if (!collectionQueries.getCollection(collectionId)) {
+      throw new Error('Collection not found');
+    }
 
-    const payload = {
-      event: 'loop_points_change',
-      data: {
-        loopStart: null,
-        loopEnd: null,
-        serverTimestamp: Date.now(),
-        roomId,
-      },
-    };
+    const room = roomStateManager.getRoom(roomId);
+    const roomState = room.sessionState;
 
-    this.io.to(roomId).emit('loop_points_change', payload.data);
+    if (collectionId !== room.playlistCollectionId) {
+      const { tracks } = collectionQueries.getCollectionTracks(collectionId, 1000, 0);
+      collectionQueries.clearTracks(room.playlistCollectionId);
+      tracks.forEach(track => collectionQueries.addTrack(room.playlistCollectionId, track.id));
+      this.io.to(roomId).emit('playlist_update', { collectionId: room.playlistCollectionId, roomId });
+      this.handlePlaylistChange(roomId);
+    }
 
-    logger.info({ roomId }, 'Loop points cleared in room');
+    const playlist = this.getRoomPlaylist(roomId);
+    if (playlist.length === 0) {
+      logger.info({ collectionId, roomId }, 'Collection is empty, stopping playback');
+      this.stop(roomId);
+      return { success: false, reason: 'empty_playlist' };
+    }
 
-    return { success: true, state: roomState.getState() };
-  }
+    let playlistIndex = 0;
+    if (roomState.shuffleMode) {
+      const seed = createShuffleSeed();
+      const order = createShuffleOrder(playlist.map(t => t.entry_id), seed);
+      roomState.setShuffleOrder(order, 0, seed);
+      playlistIndex = playlist.findIndex(t => t.entry_id === order[0]);
+    }
 
-  /**
-   * Get current state for a specific room
-   */
-  getState(roomId = 'room-1') {
-    const roomState = roomStateManager.getRoomState(roomId);
-    return roomState.getState();
+    logger.info({ collectionId, roomId, tracks: playlist.length }, 'Starting collection as room playlist');
+    await this.playTrack(playlist[playlistIndex].id, roomId, 0, playlistIndex, options);
+
+    return { success: true, state: roomState.getState() };
   }
 
   /**
    * Play next track in playlist for a specific room
+   * Options are passed on to playTrack
    */
-  async playNextTrack(roomId = 'room-1') {
+  async playNextTrack(roomId = 'room-1', options = {}) {
     try {
       const { collectionQueries } = await import('../db/database.js');
       const roomState = roomStateManager.getRoomState(roomId);
@@ -343,6 +2087,12 @@ class SyncController {
         roomId,
         currentTrack: roomState.currentTrack?.title 
       }, 'Playing next track in room');
+
+      // The up-next queue is drained before the playlist continues
+      const queued = await this.playQueuedTrack(roomId, options);
+      if (queued) {
+        return queued;
+      }
       
       if (playlist.length === 0) {
         logger.info({ roomId }, 'Playlist is empty, stopping playback');
@@ -350,12 +2100,17 @@ class SyncController {
         return { success: false, reason: 'empty_playlist' };
       }
 
+      if (roomState.shuffleMode) {
+        return await this.playShuffledTrack(roomId, playlist, 1, options);
+      }
+
       const currentTrack = roomState.currentTrack;
-      if (!currentTrack) {
+      // A queued track played while nothing from the playlist had played leaves no index to continue from
+      if (!currentTrack || (roomState.playingFromQueue && roomState.currentTrackPlaylistIndex === null)) {
         // No current track, start from the beginning
         logger.info({ roomId }, 'No current track, starting from first track');
         const firstTrack = playlist[0];
-        await this.playTrack(firstTrack.id, roomId, 0, 0);
+        await this.playTrack(firstTrack.id, roomId, 0, 0, options);
         return { success: true };
       }
 
@@ -386,7 +2141,7 @@ class SyncController {
           roomId,
           nextTrackTitle: nextTrack.title 
         }, 'Playing next track in sequence');
-        await this.playTrack(nextTrack.id, roomId, 0, currentIndex + 1);
+        await this.playTrack(nextTrack.id, roomId, 0, currentIndex + 1, options);
         return { success: true };
       }
       
@@ -399,10 +2154,16 @@ class SyncController {
           roomId,
           playlistLength: playlist.length 
         }, 'Looping playlist - playing first track');
-        await this.playTrack(firstTrack.id, roomId, 0, 0);
+        await this.playTrack(firstTrack.id, roomId, 0, 0, options);
         return { success: true };
       }
       
+      // Nothing to crossfade into - let the current track play out
+      if (options.crossfade) {
+        logger.info({ roomId }, 'End of playlist reached, no crossfade');
+        return { success: false, reason: 'end_of_playlist' };
+      }
+      
       // No loop mode - just stop
       logger.info({ roomId }, 'End of playlist reached, stopping playback');
       this.stop(roomId);
@@ -416,8 +2177,9 @@ class SyncController {
 
   /**
    * Play previous track in playlist for a specific room
+   * Options are passed on to playTrack
    */
-  async playPreviousTrack(roomId = 'room-1') {
+  async playPreviousTrack(roomId = 'room-1', options = {}) {
     try {
       const { collectionQueries } = await import('../db/database.js');
       const roomState = roomStateManager.getRoomState(roomId);
@@ -439,12 +2201,16 @@ class SyncController {
         return { success: false, reason: 'empty_playlist' };
       }
 
+      if (roomState.shuffleMode) {
+        return await this.playShuffledTrack(roomId, playlist, -1, options);
+      }
+
       const currentTrack = roomState.currentTrack;
       if (!currentTrack) {
         // No current track, start from the end
         logger.info({ roomId }, 'No current track, starting from last track');
         const lastTrack = playlist[playlist.length - 1];
-        await this.playTrack(lastTrack.id, roomId, 0, playlist.length - 1);
+        await this.playTrack(lastTrack.id, roomId, 0, playlist.length - 1, options);
         return { success: true };
       }
 
@@ -475,7 +2241,7 @@ class SyncController {
           roomId,
           prevTrackTitle: prevTrack.title 
         }, 'Playing previous track in sequence');
-        await this.playTrack(prevTrack.id, roomId, 0, currentIndex - 1);
+        await this.playTrack(prevTrack.id, roomId, 0, currentIndex - 1, options);
         return { success: true };
       }
       
@@ -488,7 +2254,7 @@ class SyncController {
           roomId,
           playlistLength: playlist.length 
         }, 'Looping playlist - playing last track');
-        await this.playTrack(lastTrack.id, roomId, 0, playlist.length - 1);
+        await this.playTrack(lastTrack.id, roomId, 0, playlist.length - 1, options);
         return { success: true };
       }
       
@@ -511,39 +2277,71 @@ class SyncController {
     const rooms = roomStateManager.getAllRooms();
     
     rooms.forEach(room => {
-      const intervalId = setInterval(() => {
-        const roomState = roomStateManager.getRoomState(room.id);
-        const currentPosition = roomState.getCurrentPosition();
-        const isPlaying = roomState.isPlaying();
-        
-        // Only send position checks when actively playing
-        if (isPlaying) {
-          const payload = {
-            event: 'position_check',
-            data: {
-              expectedPosition: currentPosition,
-              maxDrift: config.maxDriftSeconds,
-              serverTimestamp: Date.now(),
-              roomId: room.id,
-            },
-          };
+      this.startRoomPositionCheck(room.id);
+    });
+  }
 
-          this.io.to(room.id).emit('position_check', payload.data);
+  /**
+   * Start periodic position checks for a single room
+   */
+  startRoomPositionCheck(roomId) {
+    roomStateManager.clearRoomInterval(roomId);
 
-          logger.debug({ 
-            position: currentPosition.toFixed(2),
-            roomId: room.id
-          }, 'Position check sent to room');
-        }
-      }, config.positionCheckInterval);
+    const intervalId = setInterval(() => {
+      // A linked room's clients get the leader's position checks
+      if (roomStateManager.getLeaderId(roomId)) {
+        return;
+      }
 
-      roomStateManager.setRoomInterval(room.id, intervalId);
+      const roomState = roomStateManager.getRoomState(roomId);
+      const currentPosition = roomState.getCurrentPosition();
+      const isPlaying = roomState.isPlaying();
+
+      // Expected positions of layered channels that are playing
+      const channels = {};
+      for (const [name, channelState] of Object.entries(roomState.channels)) {
+        if (channelState.isPlaying()) {
+          channels[name] = {
+            trackId: channelState.currentTrack.id,
+            expectedPosition: channelState.getCurrentPosition(),
+          };
+        }
+      }
       
-      logger.info({ 
-        roomId: room.id,
-        interval: config.positionCheckInterval 
-      }, 'Position check interval started for room');
-    });
+      // Only send position checks when actively playing
+      if (isPlaying || Object.keys(channels).length > 0) {
+        const payload = {
+          event: 'position_check',
+          data: {
+            expectedPosition: currentPosition,
+            isPlaying,
+            upcoming: isPlaying ? this.getUpcomingTrack(roomId) : null,
+            channels,
+            maxDrift: config.maxDriftSeconds,
+            driftTolerance: config.driftToleranceSeconds,
+            serverTimestamp: Date.now(),
+            roomId,
+          },
+        };
+
+        this.io.to(roomStateManager.getAudience(roomId)).emit('position_check', payload.data);
+
+        // Keep the saved position fresh so a restart resumes close to where we were
+        roomStateManager.saveRoomState(roomId);
+
+        logger.debug({ 
+          position: currentPosition.toFixed(2),
+          roomId
+        }, 'Position check sent to room');
+      }
+    }, config.positionCheckInterval);
+
+    roomStateManager.setRoomInterval(roomId, intervalId);
+    
+    logger.info({ 
+      roomId,
+      interval: config.positionCheckInterval 
+    }, 'Position check interval started for room');
   }
 
   /**
@@ -555,17 +2353,50 @@ class SyncController {
   }
 
   /**
-   * Handle client position report (for monitoring)
+   * Handle client position report
+   * The position, drift and whether audio is blocked show up in the room's presence list
    */
-  handlePositionReport(clientId, roomId, data) {
+  handlePositionReport(clientId, roomId, data = {}) {
+    const number = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+    roomStateManager.updateClientInfo(clientId, {
+      trackId: typeof data.trackId === 'string' ? data.trackId : null,
+      position: number(data.position),
+      playbackState: typeof data.state === 'string' ? data.state : null,
+      drift: number(data.drift),
+      lastReportAt: Date.now(),
+    });
+    this.schedulePresenceBroadcast(roomId);
+
     logger.debug({ 
       clientId,
       roomId,
       position: data.position,
+      drift: data.drift,
       state: data.state 
     }, 'Client position report');
   }
 
+  /**
+   * Handle a client reporting that its browser blocked audio (or that the user unlocked it)
+   * The GM sees the change right away in the room's presence list and room buttons
+   */
+  handleAudioStatus(clientId, roomId, blocked) {
+    const info = roomStateManager.getClientInfo(clientId);
+    if (!info || info.audioBlocked === blocked) {
+      return;
+    }
+
+    roomStateManager.updateClientInfo(clientId, {
+      audioBlocked: blocked,
+      audioBlockedSince: blocked ? Date.now() : null,
+    });
+    this.broadcastPresence(roomId);
+    this.broadcastRoomsInfo();
+
+    logger.info({ clientId, roomId, blocked }, blocked ? 'Client audio blocked by the browser' : 'Client audio unlocked');
+  }
+
   /**
    * Handle client error
    */
@@ -576,8 +2407,43 @@ class SyncController {
   /**
    * Handle track ended event from client
    */
-  async handleTrackEnded(clientId, roomId) {
+  async handleTrackEnded(clientId, roomId, channel = MUSIC_CHANNEL, trackId = null, play = {}) {
+    // Clients of a linked room are playing the leader's track
+    roomId = roomStateManager.getPlaybackRoomId(roomId);
     const roomState = roomStateManager.getRoomState(roomId);
+
+    if (channel !== MUSIC_CHANNEL) {
+      this.handleChannelTrackEnded(clientId, roomId, channel, trackId, play);
+      return;
+    }
+
+    // Any connection can send track_ended, so a report while the track still has a while
+    // to go is not believed; otherwise a listener could skip tracks
+    const remaining = roomState.getTimeRemaining();
+    if (clientId !== 'server' && remaining !== null && remaining > TRACK_END_REPORT_SLACK_MS) {
+      logger.debug({ clientId, roomId, trackId, remaining }, 'Ignoring early track ended report');
+      return;
+    }
+
+    // Only the first report of a play counts; late duplicates from other clients,
+    // or reports after a crossfade already moved the room on, are ignored
+    if (!roomState.claimTrackEnd({ trackId, ...play })) {
+      logger.debug({ clientId, roomId, trackId, ...play }, 'Ignoring duplicate or stale track ended report');
+      return;
+    }
+    roomStateManager.clearRoomTrackEndTimeout(roomId);
+    playHistory.endPlay(roomId, 'ended');
+
+    // A finished stinger hands the room back to the music it interrupted
+    if (roomState.isStingerPlaying()) {
+      this.resumeAfterStinger(roomId);
+      return;
+    }
+
+    // A scheduled "stop after this track" ends the room here instead of moving on
+    if (this.scheduler && await this.scheduler.runTrackEndActions(roomId)) {
+      return;
+    }
     
     logger.info({ 
       clientId,
@@ -593,7 +2459,10 @@ class SyncController {
         // If custom loop points are set, start at loopStart, otherwise start at 0
         const startPosition = roomState.loopStart !== null ? roomState.loopStart : 0;
         // Pass the current playlist index when repeating
-        await this.playTrack(roomState.currentTrack.id, roomId, startPosition, roomState.currentTrackPlaylistIndex);
+        await this.playTrack(roomState.currentTrack.id, roomId, startPosition, roomState.currentTrackPlaylistIndex, {
+          crossfade: false,
+          fromQueue: roomState.playingFromQueue,
+        });
       } catch (error) {
         logger.error({ error, clientId, roomId }, 'Failed to replay track in repeat mode');
       }
@@ -602,16 +2471,54 @@ class SyncController {
     
     // Not repeating - try to play next track in playlist
     try {
-      await this.playNextTrack(roomId);
+      // The track has already ended, so there is nothing left to fade out
+      await this.playNextTrack(roomId, { crossfade: false });
     } catch (error) {
       logger.error({ error, clientId, roomId }, 'Failed to play next track after track ended');
     }
   }
 
+  /**
+   * Handle a layered channel reaching the end of its track
+   * Every client reports the end, so only the first report of each play is acted on
+   */
+  handleChannelTrackEnded(clientId, roomId, channel, trackId, play = {}) {
+    const channelState = roomStateManager.getRoomState(roomId).getChannel(channel);
+
+    // Same as the music: a listener must not be able to stop or restart a layer mid-track
+    const remaining = channelState.getTimeRemaining();
+    if (clientId !== 'server' && remaining !== null && remaining > TRACK_END_REPORT_SLACK_MS) {
+      logger.debug({ clientId, roomId, channel, trackId, remaining }, 'Ignoring early channel track ended report');
+      return;
+    }
+
+    if (!channelState.claimTrackEnd({ trackId, generation: play.generation })) {
+      logger.debug({ clientId, roomId, channel, trackId }, 'Ignoring stale channel track ended report');
+      return;
+    }
+
+    logger.info({ clientId, roomId, channel, trackId: channelState.currentTrack.id }, 'Channel track ended');
+
+    if (channelState.repeatMode) {
+      const startPosition = channelState.loopStart !== null ? channelState.loopStart : 0;
+      this.playChannelTrack(channel, channelState.currentTrack.id, roomId, startPosition)
+        .catch(error => logger.error({ error, roomId, channel }, 'Failed to repeat channel track'));
+      return;
+    }
+
+    this.stopChannel(channel, roomId);
+  }
+
   /**
    * Cleanup
    */
   cleanup() {
+    this.scheduler?.cleanup();
+    this.ambientSpawner?.cleanup();
+    this.presenceTimeouts.forEach(clearTimeout);
+    this.presenceTimeouts.clear();
+    playHistory.endAll('interrupted');
+    roomStateManager.saveAllRoomStates();
     this.stopPositionChecks();
   }
 }
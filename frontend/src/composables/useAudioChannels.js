@@ -0,0 +1,312 @@
+/**
+ * Composable for layered audio channels (ambience, sfx)
+ * Each channel gets its own audio element that is mixed on top of the main music player
+ * and kept in sync with the server the same way as the music track
+ */
+
+import { ref, watch, onMounted, onUnmounted } from 'vue';
+import api from '../services/api';
+import websocket from '../services/websocket';
+import { usePlaybackSync } from './usePlaybackSync';
+
+export const LAYER_CHANNELS = ['ambience', 'sfx'];
+
+export function useAudioChannels(options = {}) {
+  const {
+    localVolume = ref(1),
+    onAutoplayBlocked = () => {}
+  } = options;
+
+  // Reactive channel state for the UI
+  const channels = ref(Object.fromEntries(LAYER_CHANNELS.map(name => [name, {
+    name,
+    track: null,
+    isPlaying: false,
+    volume: 1,
+    repeatMode: false,
+    loopStart: null,
+    loopEnd: null,
+    currentTime: 0,
+    playGeneration: null,
+  }])));
+
+  // One audio element per channel (not rendered, only mixed)
+  const audioElements = {};
+  const { schedulePlay, cancelScheduledPlay, correctDrift } = usePlaybackSync();
+
+  /**
+   * Apply channel volume relative to the client's own volume
+   */
+  const applyVolume = (name) => {
+    const audio = audioElements[name];
+    if (audio) {
+      audio.volume = Math.max(0, Math.min(1, localVolume.value * channels.value[name].volume));
+    }
+  };
+
+  /**
+   * Loop natively when repeating without custom loop points (gapless)
+   */
+  const applyLoop = (name) => {
+    const audio = audioElements[name];
+    const channel = channels.value[name];
+    if (audio) {
+      audio.loop = channel.repeatMode && channel.loopEnd === null;
+    }
+  };
+
+  /**
+   * Start playback, reporting autoplay restrictions
+   */
+  const startAudio = (name) => {
+    const audio = audioElements[name];
+    audio.play().catch(e => {
+      if (e.name === 'NotAllowedError') {
+        console.warn(`⚠️ ${name} channel play failed - user interaction required`);
+        onAutoplayBlocked();
+      } else {
+        console.warn(`${name} channel play failed:`, e);
+      }
+    });
+  };
+
+  /**
+   * Start playback from position at a server-scheduled time
+   */
+  const scheduleStart = (name, scheduledStartTime, position) => {
+    schedulePlay(audioElements[name], scheduledStartTime, position, () => startAudio(name));
+  };
+
+  /**
+   * Load a track into a channel's audio element
+   */
+  const loadTrack = (name, track) => {
+    const audio = audioElements[name];
+    const audioUrl = api.getAudioUrl(track.id);
+    if (audio.src !== audioUrl) {
+      audio.src = audioUrl;
+      audio.load();
+    }
+    channels.value[name].track = track;
+  };
+
+  /**
+   * Unload a channel
+   */
+  const clearChannel = (name) => {
+    cancelScheduledPlay(audioElements[name]);
+    const audio = audioElements[name];
+    audio.pause();
+    audio.removeAttribute('src');
+    audio.load();
+    channels.value[name].track = null;
+    channels.value[name].isPlaying = false;
+    channels.value[name].currentTime = 0;
+  };
+
+  /**
+   * Apply full channel state (from state_sync)
+   */
+  const applyChannelState = (name, state) => {
+    const channel = channels.value[name];
+    channel.volume = state.volume;
+    channel.repeatMode = state.repeatMode;
+    channel.loopStart = state.loopStart;
+    channel.loopEnd = state.loopEnd;
+    applyVolume(name);
+    applyLoop(name);
+
+    if (!state.currentTrack) {
+      clearChannel(name);
+      return;
+    }
+
+    loadTrack(name, state.currentTrack);
+    channel.playGeneration = state.playGeneration;
+
+    if (state.playbackState === 'playing') {
+      scheduleStart(name, null, state.position);
+    } else {
+      cancelScheduledPlay(audioElements[name]);
+      audioElements[name].currentTime = state.position;
+      audioElements[name].pause();
+    }
+  };
+
+  // WebSocket event handlers
+  const handleStateSync = (data) => {
+    if (!data.channels) return;
+    for (const name of LAYER_CHANNELS) {
+      if (data.channels[name]) {
+        applyChannelState(name, data.channels[name]);
+      }
+    }
+  };
+
+  const handleChannelPlayTrack = (data) => {
+    if (!audioElements[data.channel]) return;
+    console.log('Channel play track:', data);
+
+    const channel = channels.value[data.channel];
+    channel.volume = data.volume;
+    channel.repeatMode = data.repeatMode;
+    channel.playGeneration = data.playGeneration;
+    applyVolume(data.channel);
+    applyLoop(data.channel);
+
+    loadTrack(data.channel, {
+      id: data.trackId,
+      title: data.title,
+      artist: data.artist,
+      duration: data.duration,
+    });
+    scheduleStart(data.channel, data.scheduledStartTime, data.startPosition);
+  };
+
+  const handleChannelPause = (data) => {
+    if (!audioElements[data.channel]) return;
+    cancelScheduledPlay(audioElements[data.channel]);
+    audioElements[data.channel].pause();
+    audioElements[data.channel].currentTime = data.position;
+  };
+
+  const handleChannelResume = (data) => {
+    if (!audioElements[data.channel]) return;
+    scheduleStart(data.channel, data.scheduledStartTime, data.position);
+  };
+
+  const handleChannelSeek = (data) => {
+    if (!audioElements[data.channel]) return;
+    if (data.scheduledStartTime) {
+      audioElements[data.channel].pause();
+      scheduleStart(data.channel, data.scheduledStartTime, data.position);
+    } else {
+      audioElements[data.channel].currentTime = data.position;
+    }
+  };
+
+  const handleChannelStop = (data) => {
+    if (!audioElements[data.channel]) return;
+    clearChannel(data.channel);
+  };
+
+  const handleChannelVolumeChange = (data) => {
+    if (!audioElements[data.channel]) return;
+    channels.value[data.channel].volume = data.volume;
+    applyVolume(data.channel);
+  };
+
+  const handleChannelRepeatChange = (data) => {
+    if (!audioElements[data.channel]) return;
+    channels.value[data.channel].repeatMode = data.repeatMode;
+    applyLoop(data.channel);
+  };
+
+  const handleChannelLoopPointsChange = (data) => {
+    if (!audioElements[data.channel]) return;
+    channels.value[data.channel].loopStart = data.loopStart;
+    channels.value[data.channel].loopEnd = data.loopEnd;
+    applyLoop(data.channel);
+  };
+
+  const handlePositionCheck = (data) => {
+    if (!data.channels) return;
+    for (const [name, check] of Object.entries(data.channels)) {
+      const audio = audioElements[name];
+      if (!audio || audio.paused) continue;
+
+      correctDrift(audio, check.expectedPosition, data.serverTimestamp, data);
+    }
+  };
+
+  /**
+   * Create the audio element for a channel and wire up its events
+   */
+  const createAudioElement = (name) => {
+    const audio = new Audio();
+    audio.preload = 'auto';
+
+    audio.addEventListener('timeupdate', () => {
+      const channel = channels.value[name];
+      channel.currentTime = audio.currentTime;
+
+      // Custom loop points are handled the same way as the music player
+      if (channel.repeatMode && channel.loopEnd !== null && audio.currentTime >= channel.loopEnd) {
+        audio.currentTime = channel.loopStart !== null ? channel.loopStart : 0;
+      }
+    });
+    audio.addEventListener('play', () => {
+      channels.value[name].isPlaying = true;
+    });
+    audio.addEventListener('pause', () => {
+      channels.value[name].isPlaying = false;
+    });
+    audio.addEventListener('ended', () => {
+      channels.value[name].isPlaying = false;
+      const channel = channels.value[name];
+      websocket.reportTrackEnded(name, channel.track?.id || null, { generation: channel.playGeneration });
+    });
+    audio.addEventListener('error', () => {
+      // Ignore errors from unloading the element
+      if (!channels.value[name].track) return;
+      websocket.reportError(`Audio playback error on ${name} channel`, channels.value[name].track.id);
+    });
+
+    audioElements[name] = audio;
+    applyVolume(name);
+  };
+
+  /**
+   * Unlock every channel's audio element during the user's unlock gesture
+   */
+  const unlockChannels = async () => {
+    await Promise.all(LAYER_CHANNELS.map(async (name) => {
+      const audio = audioElements[name];
+      if (!audio || !audio.src || !audio.paused) return;
+
+      try {
+        audio.muted = true;
+        await audio.play();
+        audio.pause();
+      } catch (error) {
+        console.warn(`Failed to unlock ${name} channel:`, error);
+      } finally {
+        audio.muted = false;
+      }
+    }));
+  };
+
+  const eventHandlers = {
+    state_sync: handleStateSync,
+    channel_play_track: handleChannelPlayTrack,
+    channel_pause: handleChannelPause,
+    channel_resume: handleChannelResume,
+    channel_seek: handleChannelSeek,
+    channel_stop: handleChannelStop,
+    channel_volume_change: handleChannelVolumeChange,
+    channel_repeat_change: handleChannelRepeatChange,
+    channel_loop_points_change: handleChannelLoopPointsChange,
+    position_check: handlePositionCheck,
+  };
+
+  watch(localVolume, () => {
+    LAYER_CHANNELS.forEach(applyVolume);
+  });
+
+  onMounted(() => {
+    LAYER_CHANNELS.forEach(createAudioElement);
+    Object.entries(eventHandlers).forEach(([event, handler]) => websocket.on(event, handler));
+  });
+
+  onUnmounted(() => {
+    Object.entries(eventHandlers).forEach(([event, handler]) => websocket.off(event, handler));
+    LAYER_CHANNELS.forEach((name) => {
+      audioElements[name]?.pause();
+    });
+  });
+
+  return {
+    channels,
+    unlockChannels
+  };
+}
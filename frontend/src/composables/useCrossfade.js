@@ -0,0 +1,102 @@
+/**
+ * Composable for server-coordinated crossfades
+ * The outgoing track keeps playing on a detached audio element while the main element
+ * switches to the incoming track. Both fades are timed against server time so every
+ * client in the room fades together.
+ */
+
+import { ref, onUnmounted } from 'vue';
+import websocket from '../services/websocket';
+
+const FADE_STEP_MS = 50;
+
+export function useCrossfade(audioElement, volume) {
+  const isCrossfading = ref(false);
+
+  let fadeOutElement = null;
+  let fadeInterval = null;
+
+  /**
+   * Stop any running crossfade and restore the main element's volume
+   */
+  const cancelCrossfade = () => {
+    if (fadeInterval) {
+      clearInterval(fadeInterval);
+      fadeInterval = null;
+    }
+    if (fadeOutElement) {
+      fadeOutElement.pause();
+      fadeOutElement.removeAttribute('src');
+      fadeOutElement.load();
+      fadeOutElement = null;
+    }
+    if (audioElement.value) {
+      audioElement.value.volume = volume.value;
+    }
+    isCrossfading.value = false;
+  };
+
+  /**
+   * Hand the currently playing track over to a detached element so the main
+   * element is free to load the incoming track. Must be called before the main
+   * element's source changes.
+   */
+  const detachOutgoingTrack = () => {
+    cancelCrossfade();
+
+    const main = audioElement.value;
+    if (!main || !main.src || main.paused) {
+      return false;
+    }
+
+    fadeOutElement = new Audio(main.src);
+    fadeOutElement.currentTime = main.currentTime;
+    fadeOutElement.volume = main.volume;
+    fadeOutElement.play().catch(e => {
+      console.warn('Crossfade outgoing track failed to play:', e);
+    });
+
+    return true;
+  };
+
+  /**
+   * Ramp the outgoing track down and the main element up
+   * between fadeStartTime and fadeStartTime + duration (server time)
+   */
+  const startCrossfade = (fadeStartTime, duration) => {
+    const hasOutgoing = fadeOutElement !== null;
+    const fadeDurationMs = duration * 1000;
+    isCrossfading.value = true;
+
+    if (audioElement.value) {
+      audioElement.value.volume = 0;
+    }
+
+    fadeInterval = setInterval(() => {
+      const elapsed = websocket.getServerTime() - fadeStartTime;
+      const progress = Math.max(0, Math.min(1, elapsed / fadeDurationMs));
+
+      if (audioElement.value) {
+        audioElement.value.volume = volume.value * progress;
+      }
+      if (fadeOutElement) {
+        fadeOutElement.volume = volume.value * (1 - progress);
+      }
+
+      if (progress >= 1) {
+        cancelCrossfade();
+      }
+    }, FADE_STEP_MS);
+
+    console.log(`Crossfade scheduled over ${duration}s${hasOutgoing ? '' : ' (fade in only)'}`);
+  };
+
+  onUnmounted(cancelCrossfade);
+
+  return {
+    isCrossfading,
+    detachOutgoingTrack,
+    startCrossfade,
+    cancelCrossfade
+  };
+}
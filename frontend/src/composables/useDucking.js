@@ -0,0 +1,83 @@
+/**
+ * Composable for music ducking under sound effects and spoken clips
+ * The server owns the duck windows ({ id, startTime, endTime } in server time) and the
+ * room's ducking settings, so every client dips and recovers the music together.
+ */
+
+import { ref, onUnmounted } from 'vue';
+import websocket from '../services/websocket';
+
+const DUCK_STEP_MS = 50;
+
+export function useDucking() {
+  const duckGain = ref(1);
+  const ducking = ref({ amount: 0.6, attack: 0.2, release: 0.6 });
+
+  let duckWindows = [];
+  let duckInterval = null;
+
+  /**
+   * How far a window has dipped the music at a server time (0 = not at all, 1 = fully)
+   * A window that ends before the attack finishes releases from wherever it got to
+   */
+  const getDuckProgress = ({ startTime, endTime }, time) => {
+    const { attack, release } = ducking.value;
+    const attackProgress = (until) => (
+      attack > 0 ? Math.max(0, Math.min(1, (until - startTime) / (attack * 1000))) : 1
+    );
+
+    if (time < startTime) return 0;
+    if (endTime === null || time < endTime) return attackProgress(time);
+
+    const releaseProgress = release > 0 ? Math.min(1, (time - endTime) / (release * 1000)) : 1;
+    return attackProgress(endTime) * (1 - releaseProgress);
+  };
+
+  const stopUpdates = () => {
+    if (duckInterval) {
+      clearInterval(duckInterval);
+      duckInterval = null;
+    }
+  };
+
+  /**
+   * Follow the duck windows until the last one has released
+   */
+  const update = () => {
+    const now = websocket.getServerTime();
+    const releaseMs = ducking.value.release * 1000;
+    duckWindows = duckWindows.filter(duck => duck.endTime === null || now < duck.endTime + releaseMs);
+
+    const progress = Math.max(0, ...duckWindows.map(duck => getDuckProgress(duck, now)));
+    duckGain.value = 1 - ducking.value.amount * progress;
+
+    if (duckWindows.length === 0) {
+      stopUpdates();
+    }
+  };
+
+  /**
+   * Take over the room's ducking settings and duck windows from the server
+   */
+  const applyDuck = (data) => {
+    if (data.ducking) {
+      ducking.value = data.ducking;
+    }
+    if (Array.isArray(data.duckWindows)) {
+      duckWindows = data.duckWindows;
+    }
+
+    update();
+    if (duckWindows.length > 0 && !duckInterval) {
+      duckInterval = setInterval(update, DUCK_STEP_MS);
+    }
+  };
+
+  onUnmounted(stopUpdates);
+
+  return {
+    duckGain,
+    ducking,
+    applyDuck
+  };
+}
@@ -0,0 +1,182 @@
+/**
+ * Composable for gapless playback between consecutive tracks
+ * The server announces the upcoming track with the server time the current one ends.
+ * It is preloaded on a detached element that starts at exactly that time, without
+ * waiting for track_ended to make the round trip. The main element then loads the same
+ * track, catches up while muted and takes over.
+ */
+
+import { ref, watch, onUnmounted } from 'vue';
+import api from '../services/api';
+import { usePlaybackSync } from './usePlaybackSync';
+
+const START_TIME_TOLERANCE_MS = 50; // Announcements closer than this count as the same start
+
+export function useGaplessPlayback(audioElement, volume, options = {}) {
+  const {
+    onSwitch = () => {},
+    onAutoplayBlocked = () => {}
+  } = options;
+
+  const isHandingOver = ref(false); // The main element is catching up with the preloaded one
+
+  let upcoming = null; // { trackId, startTime, info, audio, confirmed, started }
+  let lastSwitch = null; // { trackId, startTime } of the last finished switch
+  const { schedulePlay, cancelScheduledPlay } = usePlaybackSync();
+
+  /**
+   * Drop the preloaded track and any hand-over in progress
+   */
+  const cancelGapless = () => {
+    if (upcoming) {
+      cancelScheduledPlay(upcoming.audio);
+      upcoming.audio.pause();
+      upcoming.audio.removeAttribute('src');
+      upcoming.audio.load();
+      upcoming = null;
+    }
+    if (isHandingOver.value && audioElement.value) {
+      audioElement.value.volume = volume.value;
+    }
+    isHandingOver.value = false;
+  };
+
+  /**
+   * Let the main element take over from the preloaded one at the same position
+   */
+  const handOver = (entry) => {
+    const main = audioElement.value;
+    if (!main || upcoming !== entry) return;
+
+    main.volume = 0;
+    main.src = entry.audio.src;
+    main.load();
+
+    main.addEventListener('canplay', () => {
+      if (upcoming !== entry) return;
+      main.currentTime = entry.audio.currentTime;
+      main.play().then(() => {
+        // Seeking again once running lines both elements up before swapping
+        main.currentTime = entry.audio.currentTime;
+        main.addEventListener('seeked', () => {
+          if (upcoming !== entry) return;
+          main.volume = volume.value;
+          lastSwitch = { trackId: entry.trackId, startTime: entry.startTime };
+          upcoming = null;
+          entry.audio.pause();
+          entry.audio.removeAttribute('src');
+          isHandingOver.value = false;
+        }, { once: true });
+      }).catch(e => {
+        console.warn('Gapless hand-over failed:', e);
+        cancelGapless();
+      });
+    }, { once: true });
+  };
+
+  /**
+   * Start the preloaded track at the end of the current one
+   */
+  const startUpcoming = (entry) => {
+    entry.audio.play().then(() => {
+      if (upcoming !== entry) return;
+      entry.started = true;
+      isHandingOver.value = true;
+      console.log(`Gapless switch to ${entry.info.title}`);
+      onSwitch(entry.info);
+      handOver(entry);
+    }).catch(e => {
+      if (e.name === 'NotAllowedError') {
+        console.warn('⚠️ Gapless play failed - user interaction required');
+        onAutoplayBlocked();
+      } else {
+        console.warn('Gapless play failed:', e);
+      }
+      cancelGapless();
+    });
+  };
+
+  /**
+   * Preload a track to start at startTime (server time)
+   * The same track announced again only moves its start
+   */
+  const preload = (trackId, startTime, info) => {
+    if (upcoming && upcoming.trackId === trackId) {
+      const entry = upcoming;
+      entry.info = info;
+      if (!entry.started && Math.abs(entry.startTime - startTime) > START_TIME_TOLERANCE_MS) {
+        entry.startTime = startTime;
+        schedulePlay(entry.audio, startTime, 0, () => startUpcoming(entry));
+      }
+      return entry;
+    }
+
+    cancelGapless();
+
+    const audio = new Audio();
+    audio.preload = 'auto';
+    audio.volume = volume.value;
+    audio.src = api.getAudioUrl(trackId);
+    audio.load();
+
+    const entry = { trackId, startTime, info, audio, confirmed: false, started: false };
+    upcoming = entry;
+    schedulePlay(audio, startTime, 0, () => startUpcoming(entry));
+
+    return entry;
+  };
+
+  /**
+   * Follow the upcoming track announced in state syncs and position checks
+   * Once the server has committed to a track (or it has started) announcements are
+   * about the track after it, so they wait until the switch is over
+   */
+  const setUpcoming = (info) => {
+    if (upcoming && (upcoming.confirmed || upcoming.started)) return;
+
+    if (!info) {
+      cancelGapless();
+      return;
+    }
+    preload(info.trackId, info.startTime, info);
+  };
+
+  /**
+   * Take a gapless play_track from the server
+   * Returns false when it can't be played gaplessly and should be loaded as usual
+   */
+  const playGapless = (data) => {
+    // The switch may already be over when the server's play_track arrives late
+    if (!upcoming && lastSwitch?.trackId === data.trackId
+      && Math.abs(lastSwitch.startTime - data.scheduledStartTime) <= START_TIME_TOLERANCE_MS) {
+      onSwitch(data);
+      return true;
+    }
+
+    if (upcoming?.started) {
+      if (upcoming.trackId !== data.trackId) return false;
+      upcoming.info = data;
+      onSwitch(data);
+      return true;
+    }
+
+    const entry = preload(data.trackId, data.scheduledStartTime, data);
+    entry.confirmed = true;
+    return true;
+  };
+
+  watch(volume, (value) => {
+    if (upcoming) {
+      upcoming.audio.volume = value;
+    }
+  });
+
+  onUnmounted(cancelGapless);
+
+  return {
+    isHandingOver,
+    setUpcoming,
+    playGapless,
+    cancelGapless
+  };
+}
@@ -0,0 +1,114 @@
+/**
+ * Composable for wall-clock synchronized playback
+ * Audio elements start at a server-scheduled instant and are kept on the server
+ * timeline: small drift is corrected by nudging playbackRate, large drift by seeking.
+ */
+
+import { onUnmounted } from 'vue';
+import websocket from '../services/websocket';
+
+const MAX_RATE_ADJUST = 0.05; // Never speed up or slow down by more than 5%
+const CORRECTION_WINDOW = 2; // Seconds over which small drift is ideally corrected
+const LATE_START_TOLERANCE = 0.05; // Seconds late before a scheduled start skips ahead
+
+export function usePlaybackSync() {
+  const playTimeouts = new Map();
+  const rateTimeouts = new Map();
+
+  /**
+   * Return an element to normal playback speed
+   */
+  const resetPlaybackRate = (audio) => {
+    clearTimeout(rateTimeouts.get(audio));
+    rateTimeouts.delete(audio);
+    audio.playbackRate = 1;
+  };
+
+  /**
+   * Cancel a pending scheduled start and any running rate correction
+   */
+  const cancelScheduledPlay = (audio) => {
+    clearTimeout(playTimeouts.get(audio));
+    playTimeouts.delete(audio);
+    resetPlaybackRate(audio);
+  };
+
+  /**
+   * Start playback from position at scheduledStartTime (server time)
+   * startAudio performs the actual play() call so callers keep their own error handling.
+   * A client that gets there late joins at the position the room has already reached.
+   */
+  const schedulePlay = (audio, scheduledStartTime, position, startAudio) => {
+    cancelScheduledPlay(audio);
+    audio.currentTime = position;
+
+    if (!scheduledStartTime) {
+      startAudio();
+      return;
+    }
+
+    const start = () => {
+      playTimeouts.delete(audio);
+      const lateness = (websocket.getServerTime() - scheduledStartTime) / 1000;
+      if (lateness > LATE_START_TOLERANCE) {
+        console.warn(`Started ${lateness.toFixed(2)}s after the scheduled time, skipping ahead`);
+        audio.currentTime = position + lateness;
+      }
+      startAudio();
+    };
+
+    const timeUntilPlay = scheduledStartTime - websocket.getServerTime();
+    if (timeUntilPlay > 0) {
+      playTimeouts.set(audio, setTimeout(start, timeUntilPlay));
+    } else {
+      start();
+    }
+  };
+
+  /**
+   * Compare an element against the server position from a position check and correct it
+   * Returns the absolute drift in seconds
+   */
+  const correctDrift = (audio, expectedPosition, serverTimestamp, { maxDrift, driftTolerance = LATE_START_TOLERANCE }) => {
+    // The check was sent a little while ago; the server timeline has moved on since
+    const elapsed = Math.max(0, websocket.getServerTime() - serverTimestamp) / 1000;
+    const target = expectedPosition + elapsed;
+    const offset = target - audio.currentTime; // Positive when behind the server
+    const drift = Math.abs(offset);
+
+    if (audio.paused || playTimeouts.has(audio)) {
+      return drift;
+    }
+
+    if (drift > maxDrift) {
+      console.log(`Correcting drift by seeking: ${drift.toFixed(2)}s > ${maxDrift}s`);
+      resetPlaybackRate(audio);
+      audio.currentTime = target;
+    } else if (drift > driftTolerance) {
+      const adjust = Math.max(-MAX_RATE_ADJUST, Math.min(MAX_RATE_ADJUST, offset / CORRECTION_WINDOW));
+      audio.playbackRate = 1 + adjust;
+
+      // Return to normal speed once the gap has been closed
+      clearTimeout(rateTimeouts.get(audio));
+      rateTimeouts.set(audio, setTimeout(() => resetPlaybackRate(audio), (offset / adjust) * 1000));
+    } else {
+      resetPlaybackRate(audio);
+    }
+
+    return drift;
+  };
+
+  onUnmounted(() => {
+    playTimeouts.forEach(clearTimeout);
+    rateTimeouts.forEach(clearTimeout);
+    playTimeouts.clear();
+    rateTimeouts.clear();
+  });
+
+  return {
+    schedulePlay,
+    cancelScheduledPlay,
+    correctDrift,
+    resetPlaybackRate
+  };
+}
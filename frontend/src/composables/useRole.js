@@ -0,0 +1,31 @@
+/**
+ * Composable for the connection's role in its room
+ * GMs control playback and edit the playlist, listeners only receive audio
+ */
+
+import { ref, computed, onMounted, onUnmounted } from 'vue';
+import websocket from '../services/websocket';
+
+export function useRole() {
+  const role = ref(websocket.getRole());
+  const isGM = computed(() => role.value === 'gm');
+
+  const handleRoomJoined = (data) => {
+    if (data.role) {
+      role.value = data.role;
+    }
+  };
+
+  onMounted(() => {
+    websocket.on('room_joined', handleRoomJoined);
+  });
+
+  onUnmounted(() => {
+    websocket.off('room_joined', handleRoomJoined);
+  });
+
+  return {
+    role,
+    isGM
+  };
+}
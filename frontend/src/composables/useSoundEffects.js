@@ -0,0 +1,112 @@
+/**
+ * Composable for one-shot sound effects (soundboard)
+ * Every play_sfx gets its own short-lived audio element, started at the server-scheduled
+ * time so the whole room hears it together. Effects can overlap and never touch the music
+ * (ducking is up to the server, see useDucking). Effects with a pan (ambient spawners) go
+ * through a stereo panner.
+ */
+
+import { ref, watch, onMounted, onUnmounted } from 'vue';
+import api from '../services/api';
+import websocket from '../services/websocket';
+import { usePlaybackSync } from './usePlaybackSync';
+
+let audioContext = null;
+
+/**
+ * Shared Web Audio context for panned effects, created on first use
+ */
+const getAudioContext = () => {
+  if (!audioContext) {
+    audioContext = new (window.AudioContext || window.webkitAudioContext)();
+  }
+  if (audioContext.state === 'suspended') {
+    audioContext.resume().catch(() => {});
+  }
+  return audioContext;
+};
+
+export function useSoundEffects(options = {}) {
+  const {
+    localVolume = ref(1),
+    onAutoplayBlocked = () => {}
+  } = options;
+
+  const activeEffects = new Map(); // sfxId -> { audio, volume, source }
+  const { schedulePlay, cancelScheduledPlay } = usePlaybackSync();
+
+  const removeEffect = (sfxId) => {
+    const effect = activeEffects.get(sfxId);
+    if (!effect) return;
+    cancelScheduledPlay(effect.audio);
+    effect.audio.pause();
+    effect.audio.removeAttribute('src');
+    effect.source?.disconnect();
+    activeEffects.delete(sfxId);
+  };
+
+  const applyVolume = ({ audio, volume }) => {
+    audio.volume = Math.max(0, Math.min(1, localVolume.value * volume));
+  };
+
+  const handlePlaySfx = (data) => {
+    // An effect that is already over by the time it arrives is not worth starting
+    const endTime = data.scheduledStartTime + data.duration * 1000;
+    if (websocket.getServerTime() >= endTime) return;
+
+    console.log('Sound effect:', data.title);
+
+    const audio = new Audio();
+    audio.preload = 'auto';
+    const effect = { audio, volume: data.volume, source: null };
+
+    if (data.pan) {
+      try {
+        // Web Audio only hears cross-origin media fetched with CORS
+        audio.crossOrigin = 'anonymous';
+        const context = getAudioContext();
+        const panner = context.createStereoPanner();
+        panner.pan.value = data.pan;
+        effect.source = context.createMediaElementSource(audio);
+        effect.source.connect(panner).connect(context.destination);
+      } catch (error) {
+        console.warn('Stereo panning unavailable, playing centered:', error);
+      }
+    }
+
+    audio.src = api.getAudioUrl(data.trackId);
+    activeEffects.set(data.sfxId, effect);
+    applyVolume(effect);
+
+    audio.addEventListener('ended', () => removeEffect(data.sfxId));
+    audio.addEventListener('error', () => {
+      console.warn(`Sound effect ${data.title} failed to play`);
+      removeEffect(data.sfxId);
+    });
+
+    schedulePlay(audio, data.scheduledStartTime, 0, () => {
+      audio.play().catch(e => {
+        if (e.name === 'NotAllowedError') {
+          console.warn('⚠️ Sound effect play failed - user interaction required');
+          onAutoplayBlocked();
+        } else {
+          console.warn('Sound effect play failed:', e);
+        }
+        removeEffect(data.sfxId);
+      });
+    });
+  };
+
+  watch(localVolume, () => {
+    activeEffects.forEach(applyVolume);
+  });
+
+  onMounted(() => {
+    websocket.on('play_sfx', handlePlaySfx);
+  });
+
+  onUnmounted(() => {
+    websocket.off('play_sfx', handlePlaySfx);
+    Array.from(activeEffects.keys()).forEach(removeEffect);
+  });
+}
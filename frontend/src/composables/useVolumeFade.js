@@ -0,0 +1,60 @@
+/**
+ * Composable for server-owned fade envelopes (fade in / fade out transport commands)
+ * The server broadcasts the envelope as a gain on top of the local volume, with a
+ * start time in server time, so every client in the room ramps together.
+ */
+
+import { ref, onUnmounted } from 'vue';
+import websocket from '../services/websocket';
+
+const FADE_STEP_MS = 50;
+
+export function useVolumeFade() {
+  const fadeGain = ref(1);
+
+  let fadeInterval = null;
+
+  /**
+   * Stop any running fade and go back to full gain
+   */
+  const cancelFade = () => {
+    if (fadeInterval) {
+      clearInterval(fadeInterval);
+      fadeInterval = null;
+    }
+    fadeGain.value = 1;
+  };
+
+  /**
+   * Follow a fade envelope { from, to, startTime, duration } until it ends
+   * A finished fade out holds at its final gain until the pause or stop arrives
+   */
+  const startFade = ({ from, to, startTime, duration }) => {
+    cancelFade();
+
+    const fadeDurationMs = duration * 1000;
+    const update = () => {
+      const elapsed = websocket.getServerTime() - startTime;
+      const progress = fadeDurationMs > 0 ? Math.max(0, Math.min(1, elapsed / fadeDurationMs)) : 1;
+      fadeGain.value = from + (to - from) * progress;
+
+      if (progress >= 1 && fadeInterval) {
+        clearInterval(fadeInterval);
+        fadeInterval = null;
+      }
+    };
+
+    update();
+    fadeInterval = setInterval(update, FADE_STEP_MS);
+
+    console.log(`Volume fade from ${from} to ${to} over ${duration}s`);
+  };
+
+  onUnmounted(cancelFade);
+
+  return {
+    fadeGain,
+    startFade,
+    cancelFade
+  };
+}
@@ -1,3 +1,6 @@
+import websocket from './websocket';
+import auth from './auth';
+
 // API base URL - defaults to current origin for bundled deployment
 const API_BASE_URL = import.meta.env.VITE_API_URL || '';
 
@@ -11,17 +14,29 @@ class ApiClient {
 
   async request(endpoint, options = {}) {
     const url = `${this.baseUrl}${endpoint}`;
+    const clientId = websocket.getClientId();
+    const clientSecret = websocket.getClientSecret();
+    const token = auth.getToken();
     const config = {
+      ...options,
       headers: {
         'Content-Type': 'application/json',
+        ...(token && { 'Authorization': `Bearer ${token}` }),
+        // Identifies our socket connection so the server can check its role
+        ...(clientId && { 'X-Client-Id': clientId, 'X-Client-Secret': clientSecret }),
         ...options.headers,
       },
-      ...options,
     };
 
     try {
       const response = await fetch(url, config);
       
+      if (response.status === 401 && !endpoint.startsWith('/api/auth')) {
+        // Session missing or expired - ask the app to show the login form
+        auth.clearToken();
+        websocket.emit('auth_required', {});
+      }
+
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
@@ -139,31 +154,45 @@ class ApiClient {
   }
 
   // Playback
-  async playTrack(trackId, startPosition = 0, roomId = 'room-1', playlistIndex = null) {
+  async playTrack(trackId, startPosition = 0, roomId = 'room-1', playlistIndex = null, fadeIn = null) {
     return this.request('/api/playback/play', {
       method: 'POST',
-      body: JSON.stringify({ trackId, startPosition, roomId, playlistIndex }),
+      body: JSON.stringify({ trackId, startPosition, roomId, playlistIndex, fadeIn }),
+    });
+  }
+
+  async playStinger(trackId, roomId = 'room-1') {
+    return this.request('/api/playback/stinger', {
+      method: 'POST',
+      body: JSON.stringify({ trackId, roomId }),
+    });
+  }
+
+  async playSfx(trackId, roomId = 'room-1', { volume, pan, duck = false } = {}) {
+    return this.request('/api/playback/sfx', {
+      method: 'POST',
+      body: JSON.stringify({ trackId, roomId, volume, pan, duck }),
     });
   }
 
-  async pause(roomId = 'room-1') {
+  async pause(roomId = 'room-1', fadeOut = null) {
     return this.request('/api/playback/pause', { 
       method: 'POST',
-      body: JSON.stringify({ roomId }),
+      body: JSON.stringify({ roomId, fadeOut }),
     });
   }
 
-  async resume(roomId = 'room-1') {
+  async resume(roomId = 'room-1', fadeIn = null) {
     return this.request('/api/playback/resume', { 
       method: 'POST',
-      body: JSON.stringify({ roomId }),
+      body: JSON.stringify({ roomId, fadeIn }),
     });
   }
 
-  async stop(roomId = 'room-1') {
+  async stop(roomId = 'room-1', fadeOut = null) {
     return this.request('/api/playback/stop', { 
       method: 'POST',
-      body: JSON.stringify({ roomId }),
+      body: JSON.stringify({ roomId, fadeOut }),
     });
   }
 
@@ -195,6 +224,20 @@ class ApiClient {
     });
   }
 
+  async setCrossfade(duration, manual = false, roomId = 'room-1') {
+    return this.request('/api/playback/crossfade', {
+      method: 'POST',
+      body: JSON.stringify({ duration, manual, roomId }),
+    });
+  }
+
+  async setDucking({ amount, attack, release } = {}, roomId = 'room-1') {
+    return this.request('/api/playback/ducking', {
+      method: 'POST',
+      body: JSON.stringify({ amount, attack, release, roomId }),
+    });
+  }
+
   async toggleLoop(roomId = 'room-1') {
     return this.request('/api/playback/loop', { 
       method: 'POST',
@@ -202,6 +245,46 @@ class ApiClient {
     });
   }
 
+  async toggleShuffle(roomId = 'room-1') {
+    return this.request('/api/playback/shuffle', { 
+      method: 'POST',
+      body: JSON.stringify({ roomId }),
+    });
+  }
+
+  // Up-next queue (played before the playlist continues)
+  async getQueue(roomId = 'room-1') {
+    return this.request(`/api/playback/queue?roomId=${encodeURIComponent(roomId)}`);
+  }
+
+  async enqueueTrack(trackId, position = null, roomId = 'room-1') {
+    return this.request('/api/playback/queue', {
+      method: 'POST',
+      body: JSON.stringify({ trackId, position, roomId }),
+    });
+  }
+
+  async moveQueueEntry(entryId, position, roomId = 'room-1') {
+    return this.request(`/api/playback/queue/${entryId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ position, roomId }),
+    });
+  }
+
+  async removeQueueEntry(entryId, roomId = 'room-1') {
+    return this.request(`/api/playback/queue/${entryId}`, {
+      method: 'DELETE',
+      body: JSON.stringify({ roomId }),
+    });
+  }
+
+  async clearQueue(roomId = 'room-1') {
+    return this.request('/api/playback/queue', {
+      method: 'DELETE',
+      body: JSON.stringify({ roomId }),
+    });
+  }
+
   async setLoopPoints(loopStart, loopEnd, roomId = 'room-1') {
     return this.request('/api/playback/loop-points', {
       method: 'POST',
@@ -216,10 +299,241 @@ class ApiClient {
     });
   }
 
+  // Layered channels (music, ambience, sfx)
+  async playChannelTrack(channel, trackId, startPosition = 0, roomId = 'room-1') {
+    return this.request(`/api/playback/channels/${channel}/play`, {
+      method: 'POST',
+      body: JSON.stringify({ trackId, startPosition, roomId }),
+    });
+  }
+
+  async pauseChannel(channel, roomId = 'room-1') {
+    return this.request(`/api/playback/channels/${channel}/pause`, {
+      method: 'POST',
+      body: JSON.stringify({ roomId }),
+    });
+  }
+
+  async resumeChannel(channel, roomId = 'room-1') {
+    return this.request(`/api/playback/channels/${channel}/resume`, {
+      method: 'POST',
+      body: JSON.stringify({ roomId }),
+    });
+  }
+
+  async stopChannel(channel, roomId = 'room-1') {
+    return this.request(`/api/playback/channels/${channel}/stop`, {
+      method: 'POST',
+      body: JSON.stringify({ roomId }),
+    });
+  }
+
+  async seekChannel(channel, position, roomId = 'room-1') {
+    return this.request(`/api/playback/channels/${channel}/seek`, {
+      method: 'POST',
+      body: JSON.stringify({ position, roomId }),
+    });
+  }
+
+  async setChannelVolume(channel, volume, roomId = 'room-1') {
+    return this.request(`/api/playback/channels/${channel}/volume`, {
+      method: 'POST',
+      body: JSON.stringify({ volume, roomId }),
+    });
+  }
+
+  async toggleChannelRepeat(channel, roomId = 'room-1') {
+    return this.request(`/api/playback/channels/${channel}/repeat`, {
+      method: 'POST',
+      body: JSON.stringify({ roomId }),
+    });
+  }
+
   async getPlaybackState(roomId = 'room-1') {
     return this.request(`/api/playback/state?roomId=${roomId}`);
   }
 
+  // Rooms
+  async getRooms() {
+    return this.request('/api/rooms');
+  }
+
+  async createRoom(name = null) {
+    return this.request('/api/rooms', {
+      method: 'POST',
+      body: JSON.stringify({ name }),
+    });
+  }
+
+  async renameRoom(roomId, name) {
+    return this.request(`/api/rooms/${roomId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ name }),
+    });
+  }
+
+  async setRoomJoinCode(roomId, joinCode) {
+    return this.request(`/api/rooms/${roomId}/join-code`, {
+      method: 'PUT',
+      body: JSON.stringify({ joinCode }),
+    });
+  }
+
+  async linkRoom(roomId, leaderId) {
+    return this.request(`/api/rooms/${roomId}/link`, {
+      method: 'PUT',
+      body: JSON.stringify({ leaderId }),
+    });
+  }
+
+  async unlinkRoom(roomId) {
+    return this.request(`/api/rooms/${roomId}/link`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getRoomPresence(roomId = 'room-1') {
+    return this.request(`/api/rooms/${roomId}/presence`);
+  }
+
+  async getRoomHistory(roomId = 'room-1', filters = {}) {
+    const params = Object.fromEntries(
+      Object.entries(filters).filter(([, value]) => value !== null && value !== undefined && value !== '')
+    );
+    const queryString = new URLSearchParams(params).toString();
+    return this.request(`/api/rooms/${roomId}/history${queryString ? `?${queryString}` : ''}`);
+  }
+
+  async deleteRoom(roomId) {
+    return this.request(`/api/rooms/${roomId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Adaptive cues
+  async getCues() {
+    return this.request('/api/cues');
+  }
+
+  async createCue(name, variants) {
+    return this.request('/api/cues', {
+      method: 'POST',
+      body: JSON.stringify({ name, variants }),
+    });
+  }
+
+  async updateCue(cueId, updates) {
+    return this.request(`/api/cues/${cueId}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates),
+    });
+  }
+
+  async deleteCue(cueId) {
+    return this.request(`/api/cues/${cueId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async setIntensity(intensity, roomId = 'room-1') {
+    return this.request('/api/playback/intensity', {
+      method: 'POST',
+      body: JSON.stringify({ intensity, roomId }),
+    });
+  }
+
+  // Scenes
+  async getScenes() {
+    return this.request('/api/scenes');
+  }
+
+  async captureScene(name, roomId = 'room-1') {
+    return this.request('/api/scenes', {
+      method: 'POST',
+      body: JSON.stringify({ name, roomId }),
+    });
+  }
+
+  async updateScene(sceneId, updates) {
+    return this.request(`/api/scenes/${sceneId}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates),
+    });
+  }
+
+  async recallScene(sceneId, roomId = 'room-1') {
+    return this.request(`/api/scenes/${sceneId}/recall`, {
+      method: 'POST',
+      body: JSON.stringify({ roomId }),
+    });
+  }
+
+  async deleteScene(sceneId) {
+    return this.request(`/api/scenes/${sceneId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Scheduled actions
+  async getSchedule(roomId = 'room-1') {
+    return this.request(`/api/schedule?roomId=${encodeURIComponent(roomId)}`);
+  }
+
+  async scheduleAction(action, roomId = 'room-1') {
+    return this.request('/api/schedule', {
+      method: 'POST',
+      body: JSON.stringify({ ...action, roomId }),
+    });
+  }
+
+  async cancelScheduledAction(actionId, roomId = 'room-1') {
+    return this.request(`/api/schedule/${actionId}`, {
+      method: 'DELETE',
+      body: JSON.stringify({ roomId }),
+    });
+  }
+
+  // Ambient spawners
+  async getSpawners(roomId = 'room-1') {
+    return this.request(`/api/spawners?roomId=${encodeURIComponent(roomId)}`);
+  }
+
+  async startSpawner(collectionId, options = {}, roomId = 'room-1') {
+    return this.request('/api/spawners', {
+      method: 'POST',
+      body: JSON.stringify({ ...options, collectionId, roomId }),
+    });
+  }
+
+  async stopSpawner(spawnerId, roomId = 'room-1') {
+    return this.request(`/api/spawners/${spawnerId}`, {
+      method: 'DELETE',
+      body: JSON.stringify({ roomId }),
+    });
+  }
+
+  // Authentication
+  async getAuthStatus() {
+    return this.request('/api/auth/status');
+  }
+
+  async login(credentials) {
+    const session = await this.request('/api/auth/login', {
+      method: 'POST',
+      body: JSON.stringify(credentials),
+    });
+    auth.setToken(session.token);
+    return session;
+  }
+
+  async logout() {
+    try {
+      await this.request('/api/auth/logout', { method: 'POST' });
+    } finally {
+      auth.clearToken();
+    }
+  }
+
   // System
   async getConfig() {
     return this.request('/api/config');
@@ -237,7 +551,9 @@ class ApiClient {
   getAudioUrl(trackId) {
     // If baseUrl is empty, use relative path
     const base = this.baseUrl || '';
-    return `${base}/audio/${trackId}`;
+    // Audio elements can't send headers, so the session token goes in the query
+    const token = auth.getToken();
+    return `${base}/audio/${trackId}${token ? `?token=${encodeURIComponent(token)}` : ''}`;
   }
 
   // YouTube Downloads
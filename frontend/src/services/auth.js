@@ -0,0 +1,31 @@
+/**
+ * Session token storage
+ * The token from logging in is sent with every API request and socket connection
+ */
+
+const TOKEN_KEY = 'rpg-music-token';
+
+const auth = {
+  /**
+   * Get the stored session token
+   */
+  getToken() {
+    return localStorage.getItem(TOKEN_KEY);
+  },
+
+  /**
+   * Remember the session token from a login
+   */
+  setToken(token) {
+    localStorage.setItem(TOKEN_KEY, token);
+  },
+
+  /**
+   * Forget the session token (logout or expired session)
+   */
+  clearToken() {
+    localStorage.removeItem(TOKEN_KEY);
+  },
+};
+
+export default auth;
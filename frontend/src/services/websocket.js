@@ -1,16 +1,58 @@
 import { io } from 'socket.io-client';
+import auth from './auth';
 
 // WebSocket URL - use environment variable or default to current page origin
 const WS_URL = import.meta.env.VITE_WS_URL || window.location.origin;
 
+// Clock sync settings
+const CLOCK_SYNC_SAMPLES = 5; // Pings per sync burst
+const CLOCK_SYNC_SAMPLE_GAP = 200; // ms between pings in a burst
+const CLOCK_SYNC_INTERVAL = 30000; // ms between sync bursts
+const CLOCK_SYNC_HISTORY = 15; // Samples kept for choosing the best estimate
+
+/**
+ * Guess a short device label ("Firefox on Android") from the user agent
+ */
+const detectDevice = () => {
+  const ua = navigator.userAgent;
+  const os = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/],
+  ].find(([, pattern]) => pattern.test(ua))?.[0];
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Firefox', /Firefox\/|FxiOS/],
+    ['Chrome', /Chrome\/|CriOS/],
+    ['Safari', /Safari\//],
+  ].find(([, pattern]) => pattern.test(ua))?.[0];
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || null;
+};
+
 class WebSocketService {
   constructor() {
     this.socket = null;
     this.connected = false;
     this.serverTimeOffset = 0;
+    this.roundTripTime = null;
+    this.clockSamples = [];
+    this.clockSynced = false;
+    this.clockSyncInterval = null;
     this.listeners = new Map();
     this.currentRoomId = null;
     this.rooms = [];
+    this.role = null;
+    this.clientSecret = null; // Proves to the HTTP API that requests come from this connection
+    this.requestedRole = localStorage.getItem('rpg-music-role'); // Role to ask for when joining rooms
+    this.gmCode = localStorage.getItem('rpg-music-gm-code');
+    this.joinCodes = JSON.parse(localStorage.getItem('rpg-music-join-codes') || '{}'); // Join codes by room ID
+    this.displayName = localStorage.getItem('rpg-music-name'); // Shown to the GM in the room's listener list
+    this.deviceLabel = localStorage.getItem('rpg-music-device') || detectDevice();
+    this.audioBlocked = false; // The browser refused to play until the user interacts with the page
   }
 
   /**
@@ -26,6 +68,15 @@ class WebSocketService {
       reconnection: true,
       reconnectionDelay: 1000,
       reconnectionAttempts: Infinity,
+      // Evaluated on every (re)connect so a changed role, name or new login is used
+      auth: (cb) => cb({
+        token: auth.getToken(),
+        role: this.requestedRole,
+        gmCode: this.gmCode,
+        name: this.displayName,
+        device: this.deviceLabel,
+        audioBlocked: this.audioBlocked,
+      }),
     });
 
     // Connection events
@@ -36,19 +87,42 @@ class WebSocketService {
       
       // Request current state
       this.socket.emit('request_state');
+
+      this.startClockSync();
     });
 
     this.socket.on('disconnect', (reason) => {
       console.log('WebSocket disconnected:', reason);
       this.connected = false;
+      this.stopClockSync();
       this.emit('disconnected', { reason });
     });
 
     this.socket.on('connect_error', (error) => {
       console.error('WebSocket connection error:', error);
+      if (error.message === 'Unauthorized') {
+        // Retrying won't help until the user logs in again
+        auth.clearToken();
+        this.disconnect();
+        this.emit('auth_required', {});
+        return;
+      }
       this.emit('error', { error: error.message });
     });
 
+    this.socket.on('error', (data) => {
+      console.warn('Server error:', data?.message);
+      if (data?.code === 'invalid_join_code') {
+        this.setJoinCode(data.roomId, null);
+      }
+      this.emit('error', { error: data?.message, code: data?.code, roomId: data?.roomId });
+    });
+
+    // Clock sync replies
+    this.socket.on('clock_pong', (data) => {
+      this.handleClockPong(data);
+    });
+
     // Sync events from server
     this.socket.on('state_sync', (data) => {
       this.calculateTimeOffset(data.serverTime);
@@ -60,6 +134,11 @@ class WebSocketService {
       this.emit('play_track', data);
     });
 
+    this.socket.on('play_sfx', (data) => {
+      this.calculateTimeOffset(data.serverTimestamp);
+      this.emit('play_sfx', data);
+    });
+
     this.socket.on('pause', (data) => {
       this.calculateTimeOffset(data.serverTimestamp);
       this.emit('pause', data);
@@ -80,6 +159,11 @@ class WebSocketService {
       this.emit('stop', data);
     });
 
+    this.socket.on('volume_fade', (data) => {
+      this.calculateTimeOffset(data.serverTimestamp);
+      this.emit('volume_fade', data);
+    });
+
     this.socket.on('repeat_mode_change', (data) => {
       this.calculateTimeOffset(data.serverTimestamp);
       this.emit('repeat_mode_change', data);
@@ -90,16 +174,73 @@ class WebSocketService {
       this.emit('loop_mode_change', data);
     });
 
+    this.socket.on('shuffle_mode_change', (data) => {
+      this.calculateTimeOffset(data.serverTimestamp);
+      this.emit('shuffle_mode_change', data);
+    });
+
+    this.socket.on('queue_update', (data) => {
+      this.emit('queue_update', data);
+    });
+
+    this.socket.on('schedule_update', (data) => {
+      this.calculateTimeOffset(data.serverTimestamp);
+      this.emit('schedule_update', data);
+    });
+
+    this.socket.on('spawners_update', (data) => {
+      this.calculateTimeOffset(data.serverTimestamp);
+      this.emit('spawners_update', data);
+    });
+
+    this.socket.on('schedule_fired', (data) => {
+      this.calculateTimeOffset(data.serverTimestamp);
+      this.emit('schedule_fired', data);
+    });
+
     this.socket.on('loop_points_change', (data) => {
       this.calculateTimeOffset(data.serverTimestamp);
       this.emit('loop_points_change', data);
     });
 
+    this.socket.on('crossfade_track', (data) => {
+      console.log('Crossfade track received:', data);
+      this.calculateTimeOffset(data.serverTimestamp);
+      this.emit('crossfade_track', data);
+    });
+
+    this.socket.on('crossfade_change', (data) => {
+      this.calculateTimeOffset(data.serverTimestamp);
+      this.emit('crossfade_change', data);
+    });
+
+    this.socket.on('duck_update', (data) => {
+      this.calculateTimeOffset(data.serverTimestamp);
+      this.emit('duck_update', data);
+    });
+
     this.socket.on('position_check', (data) => {
       this.calculateTimeOffset(data.serverTimestamp);
       this.emit('position_check', data);
     });
 
+    // Layered channel events (ambience, sfx)
+    [
+      'channel_play_track',
+      'channel_pause',
+      'channel_resume',
+      'channel_seek',
+      'channel_stop',
+      'channel_volume_change',
+      'channel_repeat_change',
+      'channel_loop_points_change',
+    ].forEach((event) => {
+      this.socket.on(event, (data) => {
+        this.calculateTimeOffset(data.serverTimestamp);
+        this.emit(event, data);
+      });
+    });
+
     this.socket.on('library_update', (data) => {
       console.log('Library update received:', data);
       this.emit('library_update', data);
@@ -129,6 +270,12 @@ class WebSocketService {
     this.socket.on('room_joined', (data) => {
       console.log('🚪 Joined room:', data);
       this.currentRoomId = data.roomId;
+      if (data.role) {
+        this.role = data.role;
+      }
+      if (data.clientSecret) {
+        this.clientSecret = data.clientSecret;
+      }
       this.emit('room_joined', data);
     });
 
@@ -138,6 +285,20 @@ class WebSocketService {
       this.emit('rooms_info', data);
     });
 
+    this.socket.on('presence_update', (data) => {
+      this.emit('presence_update', data);
+    });
+
+    this.socket.on('scenes_update', (data) => {
+      console.log('🎬 Scenes update received:', data);
+      this.emit('scenes_update', data);
+    });
+
+    this.socket.on('cues_update', (data) => {
+      console.log('🎚️ Cues update received:', data);
+      this.emit('cues_update', data);
+    });
+
     // Download events
     this.socket.on('download_job_added', (data) => {
       console.log('⬇️ Download job added:', data);
@@ -174,6 +335,7 @@ class WebSocketService {
    * Disconnect from WebSocket server
    */
   disconnect() {
+    this.stopClockSync();
     if (this.socket) {
       this.socket.disconnect();
       this.socket = null;
@@ -182,13 +344,94 @@ class WebSocketService {
   }
 
   /**
-   * Calculate time offset between client and server
+   * Calculate time offset between client and server from an event timestamp
+   * Only a rough fallback until the first clock sync sample arrives, since it
+   * ignores network latency
    */
   calculateTimeOffset(serverTimestamp) {
+    if (this.clockSynced || typeof serverTimestamp !== 'number') {
+      return;
+    }
     const clientTime = Date.now();
     this.serverTimeOffset = serverTimestamp - clientTime;
   }
 
+  /**
+   * Start periodic clock sync bursts
+   */
+  startClockSync() {
+    this.stopClockSync();
+    this.clockSamples = [];
+    this.sendClockPings();
+    this.clockSyncInterval = setInterval(() => this.sendClockPings(), CLOCK_SYNC_INTERVAL);
+  }
+
+  /**
+   * Stop periodic clock sync
+   */
+  stopClockSync() {
+    if (this.clockSyncInterval) {
+      clearInterval(this.clockSyncInterval);
+      this.clockSyncInterval = null;
+    }
+  }
+
+  /**
+   * Send a burst of clock pings
+   */
+  sendClockPings() {
+    for (let i = 0; i < CLOCK_SYNC_SAMPLES; i++) {
+      setTimeout(() => {
+        if (this.socket && this.connected) {
+          this.socket.emit('clock_ping', { clientSendTime: Date.now() });
+        }
+      }, i * CLOCK_SYNC_SAMPLE_GAP);
+    }
+  }
+
+  /**
+   * Derive offset and round-trip time from a pong (NTP-style)
+   * The sample with the lowest round-trip time has the least asymmetric
+   * network delay, so it gives the most accurate offset
+   */
+  handleClockPong({ clientSendTime, serverReceiveTime, serverSendTime }) {
+    const clientReceiveTime = Date.now();
+    if (typeof clientSendTime !== 'number') {
+      return;
+    }
+
+    const offset = ((serverReceiveTime - clientSendTime) + (serverSendTime - clientReceiveTime)) / 2;
+    const roundTripTime = (clientReceiveTime - clientSendTime) - (serverSendTime - serverReceiveTime);
+
+    this.clockSamples.push({ offset, roundTripTime });
+    if (this.clockSamples.length > CLOCK_SYNC_HISTORY) {
+      this.clockSamples.shift();
+    }
+
+    const best = this.clockSamples.reduce((a, b) => (b.roundTripTime < a.roundTripTime ? b : a));
+    this.serverTimeOffset = best.offset;
+    this.roundTripTime = best.roundTripTime;
+    this.clockSynced = true;
+
+    if (this.clockSamples.length % CLOCK_SYNC_SAMPLES === 0) {
+      this.socket?.emit('clock_report', { offset: best.offset, roundTripTime: best.roundTripTime });
+    }
+  }
+
+  /**
+   * Get the estimated clock offset to the server in ms
+   */
+  getServerTimeOffset() {
+    return this.serverTimeOffset;
+  }
+
+  /**
+   * Get the best measured round-trip time in ms (null until synced)
+   */
+  getRoundTripTime() {
+    return this.roundTripTime;
+  }
+
   /**
    * Get server time
    */
@@ -206,20 +449,51 @@ class WebSocketService {
   }
 
   /**
-   * Report position to server (optional)
+   * Report position to server, with extras like { drift, audioBlocked } for the GM's listener list
    */
-  reportPosition(trackId, position, state) {
+  reportPosition(trackId, position, state, extra = {}) {
     if (this.socket && this.connected) {
       this.socket.emit('position_report', {
         clientId: this.socket.id,
         trackId,
         position,
         state,
+        ...extra,
         clientTimestamp: Date.now(),
       });
     }
   }
 
+  /**
+   * Tell the room whether this client's browser is blocking audio
+   */
+  reportAudioStatus(blocked) {
+    this.audioBlocked = blocked;
+    if (this.socket && this.connected) {
+      this.socket.emit('audio_status', { blocked });
+    }
+  }
+
+  /**
+   * Set the display name and device label shown to the room
+   */
+  setPresence(name, device = this.deviceLabel) {
+    this.displayName = name || null;
+    this.deviceLabel = device || null;
+    if (this.displayName) {
+      localStorage.setItem('rpg-music-name', this.displayName);
+    } else {
+      localStorage.removeItem('rpg-music-name');
+    }
+    if (this.deviceLabel) {
+      localStorage.setItem('rpg-music-device', this.deviceLabel);
+    }
+
+    if (this.socket && this.connected) {
+      this.socket.emit('set_presence', { name: this.displayName, device: this.deviceLabel });
+    }
+  }
+
   /**
    * Report error to server
    */
@@ -238,14 +512,16 @@ class WebSocketService {
 
   /**
    * Report track ended to server
+   * play identifies which play of the track ended ({ playlistIndex, generation })
+   * so the server can ignore duplicate reports
    */
-  reportTrackEnded() {
+  reportTrackEnded(channel = 'music', trackId = null, play = {}) {
     if (!this.socket || !this.connected) {
       return;
     }
 
-    console.log('Reporting track ended to server');
-    this.socket.emit('track_ended');
+    console.log('Reporting track ended to server', channel);
+    this.socket.emit('track_ended', { channel, trackId, ...play });
   }
 
   /**
@@ -303,15 +579,64 @@ class WebSocketService {
   }
 
   /**
-   * Join a room
+   * Get the secret that goes with the client ID on HTTP requests
    */
-  joinRoom(roomId) {
+  getClientSecret() {
+    return this.clientSecret;
+  }
+
+  /**
+   * Join a room, using the remembered join code for it unless a new one is given
+   */
+  joinRoom(roomId, joinCode = null) {
+    if (joinCode) {
+      this.setJoinCode(roomId, joinCode);
+    }
     if (this.socket && this.connected) {
       console.log('Joining room:', roomId);
-      this.socket.emit('join_room', { roomId });
+      this.socket.emit('join_room', {
+        roomId,
+        role: this.requestedRole,
+        gmCode: this.gmCode,
+        joinCode: this.joinCodes[roomId],
+      });
     }
   }
 
+  /**
+   * Remember (or forget, with null) the join code for a room
+   */
+  setJoinCode(roomId, joinCode) {
+    if (joinCode) {
+      this.joinCodes[roomId] = joinCode;
+    } else {
+      delete this.joinCodes[roomId];
+    }
+    localStorage.setItem('rpg-music-join-codes', JSON.stringify(this.joinCodes));
+  }
+
+  /**
+   * Ask for a role in the current room (remembered for later rooms and reconnects)
+   */
+  requestRole(role, gmCode = null) {
+    this.requestedRole = role;
+    this.gmCode = gmCode;
+    localStorage.setItem('rpg-music-role', role);
+    if (gmCode) {
+      localStorage.setItem('rpg-music-gm-code', gmCode);
+    } else {
+      localStorage.removeItem('rpg-music-gm-code');
+    }
+    this.joinRoom(this.currentRoomId || 'room-1');
+  }
+
+  /**
+   * Get this connection's role in its room
+   */
+  getRole() {
+    return this.role;
+  }
+
   /**
    * Get current room ID
    */